@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// scripts/build-parser.js
+// Compiles shared/parser.ts to shared/parser.compiled.js, which the API and the CLI load
+// (via shared/parser.node.js), so nothing needs TypeScript at runtime.
+//
+//   npm run build:parser         after editing shared/parser.ts (parse / parse:eval run it first)
+//   node scripts/build-parser.js --check
+//     Exits 1 if the compiled file is out of date (scripts/parser-build.test.js runs this check).
+const fs = require('fs');
+const path = require('path');
+
+const SRC = path.join(__dirname, '..', 'shared', 'parser.ts');
+const OUT = path.join(__dirname, '..', 'shared', 'parser.compiled.js');
+const HEADER = '// Generated from shared/parser.ts by scripts/build-parser.js. Do not edit.\n';
+
+function compileParser() {
+  const ts = require('typescript');
+  const { outputText } = ts.transpileModule(fs.readFileSync(SRC, 'utf8'), {
+    fileName: SRC,
+    compilerOptions: {
+      module: ts.ModuleKind.CommonJS,
+      target: ts.ScriptTarget.ES2020,
+    },
+  });
+  return HEADER + outputText;
+}
+
+function isCurrent() {
+  return fs.existsSync(OUT) && fs.readFileSync(OUT, 'utf8') === compileParser();
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--check')) {
+    if (!isCurrent()) {
+      console.error('shared/parser.compiled.js is out of date: run npm run build:parser');
+      process.exit(1);
+    }
+  } else {
+    fs.writeFileSync(OUT, compileParser());
+  }
+}
+
+module.exports = { compileParser, isCurrent, OUT };
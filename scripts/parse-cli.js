@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// scripts/parse-cli.js
+// Runs shared/parser.ts from the command line, the same code web, mobile and the API use.
+// Loads the compiled parser; npm run parse / parse:eval rebuild it from parser.ts first.
+//
+//   node scripts/parse-cli.js [file|-] [--format json|csv] [--lines] [--multi] [opts]
+//     Parses every message in the file (stdin when omitted or "-"). Input may be a WhatsApp
+//     .txt export or a plain paste (messages split on blank lines); --lines = one per line.
+//
+//   node scripts/parse-cli.js eval [corpus.jsonl] [--fields a,b] [--json] [opts]
+//     Runs a labelled corpus and reports per-field accuracy + every mismatch.
+//     Exits 1 on any mismatch outside a "known" case, so it can gate dictionary / regex changes.
+//
+//   opts: --style title|letter   --dict societies.csv   --aliases aliases.json
+//
+// Corpus lines: { "text": "...", "expect": { "society": "...", "plot_no": "...", ... } }
+// or, for inventory posts, "expect": [ {...}, {...} ] (checked against parseMessageMulti).
+// Only the fields listed in "expect" are scored; "note" is free text shown with mismatches.
+// "known": "why" marks a case the parser gets wrong today: it is still scored, but its
+// mismatches don't fail the run, and the report says when it starts passing.
+const fs = require('fs');
+const path = require('path');
+const { parseMessage, parseMessageMulti, splitChatExport } = require('../shared/parser.node');
+
+const DEFAULT_CORPUS = path.join(__dirname, 'parser-corpus.jsonl');
+const EVAL_FIELDS = ['society', 'phase_block', 'plot_no', 'size_val', 'size_unit', 'demand_pkr', 'phone_e164', 'contact_name'];
+const CSV_COLUMNS = [
+  'society', 'phase_block', 'plot_no', 'size_val', 'size_unit', 'area_sqft', 'demand_pkr',
+  'demand_text', 'phone_e164', 'contact_name', 'notes', 'confidence', 'text'
+];
+
+function usage(msg) {
+  if (msg) console.error(`parse-cli: ${msg}`);
+  console.error('usage: parse-cli.js [file|-] [--format json|csv] [--lines] [--multi] [--style title|letter] [--dict file] [--aliases file]');
+  console.error('       parse-cli.js eval [corpus.jsonl] [--fields a,b] [--json] [--style …] [--dict …] [--aliases …]');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const args = { _: [], format: 'json', lines: false, multi: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => (i + 1 < argv.length ? argv[++i] : usage(`${a} needs a value`));
+    if (a === '--format') args.format = value();
+    else if (a === '--style') args.style = value();
+    else if (a === '--dict') args.dict = value();
+    else if (a === '--aliases') args.aliases = value();
+    else if (a === '--fields') args.fields = value();
+    else if (a === '--lines') args.lines = true;
+    else if (a === '--multi') args.multi = true;
+    else if (a === '--json') args.json = true;
+    else if (a === '-h' || a === '--help') usage();
+    else if (a.startsWith('--')) usage(`unknown option ${a}`);
+    else args._.push(a);
+  }
+  if (!['json', 'csv'].includes(args.format)) usage('--format must be json or csv');
+  if (args.style && !['title', 'letter'].includes(args.style)) usage('--style must be title or letter');
+  return args;
+}
+
+function parseOptions(args) {
+  const opts = {};
+  if (args.style) opts.blockOutputStyle = args.style;
+  if (args.dict) opts.societyDictCSV = fs.readFileSync(args.dict, 'utf8');
+  if (args.aliases) opts.aliasesJSON = JSON.parse(fs.readFileSync(args.aliases, 'utf8'));
+  return opts;
+}
+
+function readInput(file) {
+  return fs.readFileSync(!file || file === '-' ? 0 : file, 'utf8');
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* ---------- parse mode ---------- */
+function runParse(args) {
+  const raw = readInput(args._[0]);
+  const opts = parseOptions(args);
+  const messages = args.lines
+    ? raw.split(/\r?\n/).filter(l => l.trim()).map(text => ({ text }))
+    : splitChatExport(raw);
+
+  const rows = [];
+  for (const m of messages) {
+    const results = args.multi ? parseMessageMulti(m.text, opts) : [{ ...parseMessage(m.text, opts), text: m.text }];
+    for (const r of results) rows.push({ ...r, sender: m.sender || '', sent_at: m.sent_at || '' });
+  }
+
+  if (args.format === 'csv') {
+    const out = [CSV_COLUMNS.join(',')];
+    for (const r of rows) out.push(CSV_COLUMNS.map(c => csvCell(r[c])).join(','));
+    process.stdout.write(out.join('\n') + '\n');
+  } else {
+    process.stdout.write(JSON.stringify(rows, null, 2) + '\n');
+  }
+}
+
+/* ---------- eval mode ---------- */
+function readCorpus(file) {
+  const cases = [];
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('//')) return;
+    let c;
+    try { c = JSON.parse(line); } catch (e) { usage(`${file}:${i + 1}: ${e.message}`); }
+    if (typeof c.text !== 'string' || !c.expect) usage(`${file}:${i + 1}: needs "text" and "expect"`);
+    cases.push({ ...c, line: i + 1 });
+  });
+  return cases;
+}
+
+// 5 and "5", "" and null are the same answer
+function sameValue(expected, actual) {
+  const e = expected === null || expected === undefined ? '' : expected;
+  const a = actual === null || actual === undefined ? '' : actual;
+  if (typeof e === 'number' || typeof a === 'number') return e !== '' && a !== '' && Number(e) === Number(a);
+  return String(e) === String(a);
+}
+
+function runEval(args) {
+  const file = args._[1] || DEFAULT_CORPUS;
+  const opts = parseOptions(args);
+  const only = args.fields ? args.fields.split(',').map(s => s.trim()).filter(Boolean) : null;
+  const cases = readCorpus(file);
+
+  const stats = {};
+  const diffs = [];
+  const score = (c, item, expect, actual) => {
+    for (const [field, want] of Object.entries(expect)) {
+      if (only && !only.includes(field)) continue;
+      if (!only && !EVAL_FIELDS.includes(field)) continue;
+      const st = stats[field] || (stats[field] = { correct: 0, total: 0 });
+      st.total++;
+      if (sameValue(want, actual[field])) st.correct++;
+      else diffs.push({ line: c.line, item, field, expected: want, actual: actual[field] ?? '', text: c.text, note: c.note || '', known: c.known || '' });
+    }
+  };
+
+  for (const c of cases) {
+    if (Array.isArray(c.expect)) {
+      // the item count is scored as its own "_items" field
+      const items = parseMessageMulti(c.text, opts);
+      const st = !only || only.includes('_items') ? (stats._items || (stats._items = { correct: 0, total: 0 })) : null;
+      if (st) st.total++;
+      if (items.length === c.expect.length) { if (st) st.correct++; }
+      else if (st) diffs.push({ line: c.line, item: null, field: '_items', expected: c.expect.length, actual: items.length, text: c.text, note: c.note || '', known: c.known || '' });
+      c.expect.forEach((exp, i) => score(c, i, exp, items[i] || {}));
+    } else {
+      score(c, null, c.expect, parseMessage(c.text, opts));
+    }
+  }
+
+  const fields = Object.keys(stats).sort((a, b) => {
+    const ia = EVAL_FIELDS.indexOf(a), ib = EVAL_FIELDS.indexOf(b);
+    return (ia < 0 ? 99 : ia) - (ib < 0 ? 99 : ib);
+  });
+  const total = fields.reduce((n, f) => n + stats[f].total, 0);
+  const correct = fields.reduce((n, f) => n + stats[f].correct, 0);
+  const pct = (c, t) => (t ? ((c / t) * 100).toFixed(1) : '-');
+  const regressions = diffs.filter(d => !d.known);
+  const failingLines = new Set(diffs.map(d => d.line));
+  // with --fields a known case may pass only because its broken field wasn't scored
+  const fixed = only ? [] : cases.filter(c => c.known && !failingLines.has(c.line)).map(c => c.line);
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify({
+      corpus: file, cases: cases.length,
+      fields: Object.fromEntries(fields.map(f => [f, { ...stats[f], accuracy: stats[f].total ? stats[f].correct / stats[f].total : null }])),
+      overall: { correct, total, accuracy: total ? correct / total : null },
+      diffs, regressions: regressions.length, fixed_known_issues: fixed
+    }, null, 2) + '\n');
+  } else {
+    const out = [`${path.relative(process.cwd(), file) || file}: ${cases.length} messages`, ''];
+    const w = Math.max(...fields.map(f => f.length), 7);
+    for (const f of fields) {
+      const st = stats[f];
+      out.push(`  ${f.padEnd(w)}  ${String(st.correct).padStart(4)}/${String(st.total).padEnd(4)}  ${pct(st.correct, st.total).padStart(5)}%`);
+    }
+    out.push(`  ${'overall'.padEnd(w)}  ${String(correct).padStart(4)}/${String(total).padEnd(4)}  ${pct(correct, total).padStart(5)}%`);
+    const list = (title, ds) => {
+      if (!ds.length) return;
+      out.push('', `${title} (${ds.length}):`);
+      for (const d of ds) {
+        const where = `line ${d.line}${d.item !== null ? ` item ${d.item + 1}` : ''}`;
+        out.push(`  ${where}  ${d.field}: expected ${JSON.stringify(d.expected)}, got ${JSON.stringify(d.actual)}`);
+        const why = d.known || d.note;
+        out.push(`    ${d.text.replace(/\s*\n\s*/g, ' / ').slice(0, 120)}${why ? `  (${why})` : ''}`);
+      }
+    };
+    list('Mismatches', regressions);
+    list('Known issues', diffs.filter(d => d.known));
+    if (fixed.length) out.push('', `Known issues now passing, drop "known" on line(s): ${fixed.join(', ')}`);
+    process.stdout.write(out.join('\n') + '\n');
+  }
+  process.exitCode = regressions.length ? 1 : 0;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args._[0] === 'eval') runEval(args);
+else runParse(args);
@@ -0,0 +1,9 @@
+// shared/parser.compiled.js has to match shared/parser.ts; the API runs the compiled file.
+// node --test scripts/
+const test = require('node:test');
+const assert = require('node:assert');
+const { isCurrent } = require('./build-parser');
+
+test('shared/parser.compiled.js is built from the current parser.ts', () => {
+  assert.ok(isCurrent(), 'run npm run build:parser and commit shared/parser.compiled.js');
+});
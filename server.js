@@ -7,6 +7,10 @@ const cors = require('cors');
 const { Pool } = require('pg');
 const { parse } = require('pg-connection-string');
 const bcrypt = require('bcryptjs');
+const {
+  parseMessage, parseMessageMulti, splitChatExport, toE164, areaInSqFt,
+  parseSocietyCSV, DEFAULT_SOC_DICT, DEFAULT_SQFT_PER_MARLA
+} = require('./shared/parser.node');
 
 
 
@@ -29,6 +33,7 @@ const crypto = require('crypto');
 
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
+const ExcelJS = require('exceljs');
 const fs = require('fs');
 const path = require('path');
 // === Email (SMTP first, then Resend fallback) ===
@@ -90,7 +95,8 @@ app.set('trust proxy', 1);
 app.use(cors({
   origin: '*',
   methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization','X-Device-Id','X-Device-Type','X-Admin-Secret']
+  allowedHeaders: ['Content-Type','Authorization','X-Device-Id','X-Device-Type','X-Device-Name','X-Replace-Device','X-Admin-Secret','X-Audit-Reason'],
+  exposedHeaders: ['X-Next-Cursor', 'Retry-After']
 
 }));
 
@@ -123,10 +129,7 @@ try {
   console.warn('UPLOAD_DIR create skipped:', e.code || e.message);
 }
 
-// Only expose a static /uploads route when running NOT on Vercel
-if (process.env.VERCEL !== '1') {
-  app.use('/uploads', express.static(UPLOAD_DIR));
-}
+// Uploads are private: nothing here is served statically, see STORAGE (signed /files URLs)
 
 
 console.log('PG_CONNECTION_STRING =', process.env.PG_CONNECTION_STRING || '(missing)');
@@ -141,12 +144,18 @@ const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
 const TRIAL_DAYS = Number(process.env.TRIAL_DAYS || 30);
 
 
+// Access tokens are short-lived; clients renew them with the refresh token (POST /auth/refresh)
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
 // helper: issue JWT
 function sign(user, device_id) {
   return jwt.sign(
     { uid: user.id, email: user.email, device_id },
     JWT_SECRET,
-    { expiresIn: '15d' }
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
   );
 }
 // ===== Device helpers =====
@@ -154,10 +163,29 @@ function guessDeviceType(ua) {
   return /Mobi|Android|iPhone|iPad/i.test(ua || '') ? 'mobile' : 'desktop';
 }
 
-async function upsertDeviceOnLogin({ user_id, device_id, device_type, ua, ip, replace = false }) {
+function ensureDevicesSchema() {
+  return ensureSchema('devices', `
+    alter table user_devices add column if not exists name text;
+    alter table user_devices add column if not exists revoked_at timestamptz;
+    create table if not exists refresh_tokens (
+      id bigserial primary key,
+      device_row_id bigint not null,
+      user_id bigint not null,
+      token_hash text not null unique,
+      created_at timestamptz not null default now(),
+      expires_at timestamptz not null,
+      used_at timestamptz,
+      revoked_at timestamptz
+    );
+    create index if not exists refresh_tokens_device_idx on refresh_tokens (device_row_id);`);
+}
+
+// Returns the user_devices row id the session is bound to
+async function upsertDeviceOnLogin({ user_id, device_id, device_type, ua, ip, name = null, replace = false }) {
+  await ensureDevicesSchema();
   // Is there already an ACTIVE device of this type for this user?
   const existing = await pool.query(
-    `select id, device_id
+    `select id, device_id, name, ua, last_seen_at
        from user_devices
       where user_id = $1
         and device_type = $2
@@ -167,12 +195,12 @@ async function upsertDeviceOnLogin({ user_id, device_id, device_type, ua, ip, re
   );
 
   if (existing.rows.length === 0) {
-    await pool.query(
-      `insert into user_devices(user_id, device_id, device_type, ua, ip)
-       values ($1,$2,$3,$4,$5)`,
-      [user_id, device_id, device_type, ua, ip]
+    const r = await pool.query(
+      `insert into user_devices(user_id, device_id, device_type, ua, ip, name)
+       values ($1,$2,$3,$4,$5,$6) returning id`,
+      [user_id, device_id, device_type, ua, ip, name]
     );
-    return;
+    return r.rows[0].id;
   }
 
   const current = existing.rows[0];
@@ -181,28 +209,65 @@ async function upsertDeviceOnLogin({ user_id, device_id, device_type, ua, ip, re
   if (current.device_id === device_id) {
     await pool.query(
       `update user_devices
-          set last_seen_at = now(), ua = $2, ip = $3
+          set last_seen_at = now(), ua = $2, ip = $3, name = coalesce($4, name)
         where id = $1`,
-      [current.id, ua, ip]
+      [current.id, ua, ip, name]
     );
-    return;
+    return current.id;
   }
 
   // Different device of the same TYPE (mobile/desktop)
   if (!replace) {
     const err = new Error('device_limit');
     err.status = 403;
-    err.details = { type: device_type }; // 'mobile' or 'desktop'
+    // 'mobile' or 'desktop', and the device holding the slot so the app can offer to replace it
+    err.details = {
+      type: device_type,
+      device: { id: current.id, name: current.name, ua: current.ua, last_seen_at: current.last_seen_at }
+    };
     throw err;
   }
 
   // Replace the old device
-  await pool.query(`update user_devices set status='revoked' where id=$1`, [current.id]);
-  await pool.query(
-    `insert into user_devices(user_id, device_id, device_type, ua, ip)
-     values ($1,$2,$3,$4,$5)`,
-    [user_id, device_id, device_type, ua, ip]
+  await pool.query(`update user_devices set status='revoked', revoked_at=now() where id=$1`, [current.id]);
+  const r = await pool.query(
+    `insert into user_devices(user_id, device_id, device_type, ua, ip, name)
+     values ($1,$2,$3,$4,$5,$6) returning id`,
+    [user_id, device_id, device_type, ua, ip, name]
+  );
+  return r.rows[0].id;
+}
+
+/**
+ * New refresh token for a user_devices row. Only its sha256 is stored; each one can be used
+ * once (POST /auth/refresh hands out the next). A login starts a fresh chain for the device.
+ */
+async function issueRefreshToken(db, { user_id, device_row_id, fresh = false }) {
+  await ensureDevicesSchema();
+  if (fresh) {
+    await db.query(
+      `update refresh_tokens set revoked_at = now() where device_row_id=$1 and revoked_at is null`,
+      [device_row_id]
+    );
+  }
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `insert into refresh_tokens (device_row_id, user_id, token_hash, expires_at)
+     values ($1, $2, $3, now() + $4 * interval '1 day')`,
+    [device_row_id, user_id, sha256Hex(token), REFRESH_TOKEN_DAYS]
   );
+  return token;
+}
+
+// The body /auth/verify and /auth/refresh return
+async function sessionTokens(user, device, { fresh = false } = {}) {
+  const refresh_token = await issueRefreshToken(pool, { user_id: user.id, device_row_id: device.id, fresh });
+  return {
+    token: sign(user, device.device_id),
+    token_expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token,
+    refresh_expires_in: REFRESH_TOKEN_DAYS * 86400
+  };
 }
 
 async function ensureTokenDeviceStillActive({ user_id, device_id }) {
@@ -237,31 +302,152 @@ async function requireAuth(req, res, next) {
     req.user = payload;
     next();
   } catch (e) {
+    // expired access token -> 401 token_expired: the app should call POST /auth/refresh
+    if (e instanceof jwt.TokenExpiredError) return res.status(401).json({ error: 'token_expired' });
+    if (e instanceof jwt.JsonWebTokenError) return res.status(401).json({ error: 'unauthorized' });
     const code = e && e.status ? e.status : 500;
 
     res.status(code).json({ error: e.message || 'unauthorized' });
   }
 }
 
-// Only allow admins (or fallback via X-Admin-Secret for emergencies)
-async function requireAdmin(req, res, next) {
-  // admin secret override (optional)
-  if ((req.header('x-admin-secret') || '') === (process.env.ADMIN_SECRET || '')) return next();
+// uid of a valid Bearer token, or null when none is sent (routes that also serve anonymous
+// callers). A token that is sent but no good throws 401 like requireAuth (token_expired,
+// unauthorized, device_revoked), so the app refreshes instead of silently getting the public view.
+async function optionalAuthUid(req) {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+  if (!token) return null;
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    const err = new Error(e instanceof jwt.TokenExpiredError ? 'token_expired' : 'unauthorized');
+    err.status = 401;
+    throw err;
+  }
+  await ensureTokenDeviceStillActive({ user_id: payload.uid, device_id: payload.device_id });
+  return payload.uid;
+}
+
+/* ============ ADMIN: ROLES & PERMISSIONS ============ */
+// Admin access comes from roles in admin_roles, checked per route by requirePermission().
+//   support    - look users up, create them, reset their devices
+//   billing    - review payments, extend plans, edit the plan catalog
+//   superadmin - everything, including granting roles and reading the audit log
+// X-Admin-Secret no longer opens admin routes. With BREAK_GLASS_ENABLED=1 a signed-in user who
+// knows it can open a break-glass session (POST /admin/break-glass { reason }): full access for
+// BREAK_GLASS_MINUTES, every request audited and superadmins emailed. Granting roles is the one
+// thing it can't do, or the session could be turned into permanent access.
+const ROLE_PERMISSIONS = {
+  support: ['users.view', 'users.create', 'devices.reset', 'teams.view', 'analytics.view'],
+  billing: ['users.view', 'payments.view', 'payments.review', 'subscriptions.extend', 'plans.view', 'plans.manage', 'teams.view'],
+  superadmin: ['*']
+};
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+const ADMIN_PERMISSIONS = [
+  'users.view', 'users.create', 'devices.reset', 'teams.view', 'analytics.view',
+  'payments.view', 'payments.review', 'subscriptions.extend', 'plans.view', 'plans.manage',
+  'roles.manage', 'audit.view'
+];
+const BREAK_GLASS_ENABLED = process.env.BREAK_GLASS_ENABLED === '1' && !!process.env.ADMIN_SECRET;
+const BREAK_GLASS_MINUTES = Number(process.env.BREAK_GLASS_MINUTES || 30);
+const BREAK_GLASS_DENIED = ['roles.manage'];
+
+function ensureAdminRolesSchema() {
+  // is_admin accounts from before roles become superadmins, once: only while no role has been
+  // granted yet (is_admin is kept as "has any role", so re-reading it later would promote
+  // every support / billing admin)
+  return ensureSchema('admin_roles', `
+    create table if not exists admin_roles (
+      user_id bigint not null,
+      role text not null,
+      granted_by bigint,
+      granted_at timestamptz not null default now(),
+      primary key (user_id, role)
+    );
+    insert into admin_roles (user_id, role)
+      select id, 'superadmin' from app_users
+       where is_admin and not exists (select 1 from admin_roles)
+      on conflict do nothing;
+    create table if not exists break_glass_sessions (
+      id bigserial primary key,
+      user_id bigint not null,
+      reason text not null,
+      ip text,
+      opened_at timestamptz not null default now(),
+      expires_at timestamptz not null,
+      closed_at timestamptz
+    );`);
+}
+
+async function adminRolesOf(db, uid) {
+  const { rows } = await db.query('select role from admin_roles where user_id=$1 order by role', [uid]);
+  return rows.map(r => r.role);
+}
+
+function rolesAllow(roles, permission) {
+  return roles.some(r => (ROLE_PERMISSIONS[r] || []).some(p => p === '*' || p === permission));
+}
+
+// Open break-glass session for uid, or null
+async function activeBreakGlass(uid) {
+  if (!BREAK_GLASS_ENABLED) return null;
+  const { rows } = await pool.query(
+    `select id, expires_at from break_glass_sessions
+      where user_id=$1 and closed_at is null and expires_at > now()
+      order by expires_at desc limit 1`,
+    [uid]
+  );
+  return rows[0] || null;
+}
 
-  if (!req.user?.uid) return res.status(401).json({ error: 'unauthorized' });
-  const r = await pool.query('select is_admin from app_users where id=$1', [req.user.uid]);
-  if (r.rows[0]?.is_admin) return next();
-  return res.status(403).json({ error: 'forbidden' });
+/**
+ * Route guard: requireAuth, requirePermission('payments.review'), handler.
+ * Sets req.adminVia ('role' | 'break_glass') for the audit log. 403 { error: 'forbidden', permission }.
+ */
+function requirePermission(permission) {
+  if (!ADMIN_PERMISSIONS.includes(permission)) throw new Error(`unknown permission ${permission}`);
+  return async (req, res, next) => {
+    if (!req.user?.uid) return res.status(401).json({ error: 'unauthorized' });
+    try {
+      await ensureAdminRolesSchema();
+      const roles = await adminRolesOf(pool, req.user.uid);
+      if (rolesAllow(roles, permission)) {
+        req.adminVia = 'role';
+        req.adminRoles = roles;
+        return next();
+      }
+      const session = BREAK_GLASS_DENIED.includes(permission) ? null : await activeBreakGlass(req.user.uid);
+      if (session) {
+        req.adminVia = 'break_glass';
+        await ensureAuditSchema();
+        await audit(pool, req, {
+          action: 'break_glass.request', targetType: 'route', targetId: `${req.method} ${req.path}`,
+          after: { session_id: session.id, permission }
+        });
+        return next();
+      }
+      res.status(403).json({ error: 'forbidden', permission });
+    } catch (e) {
+      console.error('requirePermission error', e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  };
 }
 
 // compute subscription (trial if no active sub)
+// A team plan (subscriptions.team_id) covers every member; whichever paid period runs longer wins.
 async function getSubscriptionStatus(userId) {
+  await ensureTeamsSchema();
   const { rows } = await pool.query(
-    `select *
-       from subscriptions
-      where user_id = $1
-        and now() between start_at and end_at
-      order by end_at desc
+    `select s.*, t.name as team_name
+       from subscriptions s
+  left join teams t on t.id = s.team_id
+      where ((s.user_id = $1 and s.team_id is null)
+             or s.team_id = (select team_id from team_members where user_id = $1))
+        and now() between s.start_at and s.end_at
+      order by s.end_at desc
       limit 1`,
     [userId]
   );
@@ -274,7 +460,9 @@ async function getSubscriptionStatus(userId) {
   if (rows.length) {
     const end = new Date(rows[0].end_at);
     const daysLeft = Math.ceil((end - new Date()) / (1000*60*60*24));
-    return { mode: 'paid', days_left: Math.max(daysLeft, 0), end_at: rows[0].end_at };
+    const sub = { mode: 'paid', days_left: Math.max(daysLeft, 0), end_at: rows[0].end_at };
+    if (rows[0].team_id) sub.team = { id: rows[0].team_id, name: rows[0].team_name, plan: rows[0].plan };
+    return sub;
   }
   // fallback trial: from user.created_at
   const u = await pool.query('select created_at from app_users where id=$1', [userId]);
@@ -284,6 +472,17 @@ async function getSubscriptionStatus(userId) {
   return { mode: 'trial', days_left: Math.max(daysLeft, 0), end_at: trialEnd.toISOString() };
 }
 
+// One-time DDL for tables/columns this API owns (same create-if-not-exists idea
+// as subscription_ledger), memoized per process so hot routes don't re-run it.
+const schemaReady = {};
+function ensureSchema(key, sql) {
+  schemaReady[key] = schemaReady[key] || pool.query(sql).catch((e) => {
+    delete schemaReady[key];
+    throw e;
+  });
+  return schemaReady[key];
+}
+
 function readOnlyMiddleware() {
   return async (req, res, next) => {
     const { uid } = req.user || {};
@@ -297,10 +496,208 @@ function readOnlyMiddleware() {
     next();
   };
 }
-// ---- OTP helper (one place) ----
+/* ============ AUTH: OTP ISSUE / CHECK ============ */
+// Codes come from the CSPRNG and only an HMAC of them is stored. Sends and failed checks are
+// counted per email and per IP in auth_throttle; over a limit the caller gets 429 with
+// retry_after (seconds, also in Retry-After). Locks back off: each failure past the limit
+// doubles the wait, up to OTP_LOCK_MAX_SECONDS.
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5);               // per code, then it is void
+const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS || 60);          // per email
+const OTP_SENDS_PER_HOUR = Number(process.env.OTP_SENDS_PER_HOUR || 5);           // per email
+const OTP_SENDS_PER_IP_HOUR = Number(process.env.OTP_SENDS_PER_IP_HOUR || 30);
+const OTP_EMAIL_MAX_FAILURES = Number(process.env.OTP_EMAIL_MAX_FAILURES || 10);  // per hour, then locked
+const OTP_IP_MAX_FAILURES = Number(process.env.OTP_IP_MAX_FAILURES || 50);        // per hour, then locked
+const LOGIN_EMAIL_MAX_FAILURES = Number(process.env.LOGIN_EMAIL_MAX_FAILURES || 10); // wrong passwords, same lock rules
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 50);
+const OTP_LOCK_BASE_SECONDS = Number(process.env.OTP_LOCK_BASE_SECONDS || 300);
+const OTP_LOCK_MAX_SECONDS = Number(process.env.OTP_LOCK_MAX_SECONDS || 24 * 3600);
+const OTP_SECRET = process.env.OTP_SECRET || JWT_SECRET;
+
+function ensureOtpSchema() {
+  // codes issued before hashing can't be checked any more; they would expire within 10 minutes anyway
+  return ensureSchema('otp_security', `
+    alter table otps add column if not exists code_hash text;
+    alter table otps add column if not exists attempts integer not null default 0;
+    alter table otps alter column code drop not null;
+    alter table otps add column if not exists password_hash text;
+    delete from otps where code_hash is null;
+    create table if not exists auth_throttle (
+      scope text not null,
+      key text not null,
+      count integer not null default 0,
+      window_start timestamptz not null default now(),
+      last_at timestamptz,
+      locked_until timestamptz,
+      primary key (scope, key)
+    );`);
+}
+
+// 6-digit string, e.g. "082913"
 function randomOtp() {
-  // 6-digit string, e.g. "482913"
-  return String(Math.floor(100000 + Math.random() * 900000));
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+function otpHash(email, code) {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${String(email).toLowerCase()}:${code}`).digest('hex');
+}
+
+function tooManyRequests(error, retryAfter, extra = {}) {
+  const err = new Error(error);
+  err.status = 429;
+  err.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  err.extra = extra;
+  return err;
+}
+
+// Status-coded errors from the helpers below -> JSON (429s carry retry_after)
+function sendAuthError(res, e, where) {
+  if (!e.status) {
+    console.error(`${where} error`, e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+  if (e.retryAfter) res.set('Retry-After', String(e.retryAfter));
+  res.status(e.status).json({ error: e.message, ...(e.retryAfter ? { retry_after: e.retryAfter } : {}), ...e.extra });
+}
+
+// Seconds left on a lock, 0 when free
+async function throttleLockedFor(scope, key) {
+  const { rows } = await pool.query(
+    `select extract(epoch from locked_until - now()) as s from auth_throttle
+      where scope=$1 and key=$2 and locked_until > now()`,
+    [scope, key]
+  );
+  return rows.length ? Number(rows[0].s) : 0;
+}
+
+// Counts one event in a rolling hour; returns { count, last_at, window_start } after counting
+async function throttleCount(scope, key) {
+  const { rows } = await pool.query(
+    `insert into auth_throttle (scope, key, count, window_start, last_at)
+     values ($1, $2, 1, now(), now())
+     on conflict (scope, key) do update set
+       count = case when auth_throttle.window_start < now() - interval '1 hour'
+                     and coalesce(auth_throttle.locked_until, '-infinity') < now()
+                    then 1 else auth_throttle.count + 1 end,
+       window_start = case when auth_throttle.window_start < now() - interval '1 hour'
+                            and coalesce(auth_throttle.locked_until, '-infinity') < now()
+                           then now() else auth_throttle.window_start end,
+       last_at = now()
+     returning count`,
+    [scope, key]
+  );
+  return rows[0].count;
+}
+
+// Counts one send in a rolling hour unless the last one was under minGapSeconds ago, in one
+// statement so parallel requests can't all pass the checks before any is counted.
+// Returns { count, window_left } after counting, or { wait } (seconds) when refused for the gap.
+async function throttleSend(scope, key, minGapSeconds = 0) {
+  const { rows } = await pool.query(
+    `insert into auth_throttle (scope, key, count, window_start, last_at)
+     values ($1, $2, 1, now(), now())
+     on conflict (scope, key) do update set
+       count = case when auth_throttle.window_start < now() - interval '1 hour' then 1 else auth_throttle.count + 1 end,
+       window_start = case when auth_throttle.window_start < now() - interval '1 hour' then now() else auth_throttle.window_start end,
+       last_at = now()
+     where $3 = 0 or coalesce(auth_throttle.last_at, '-infinity') <= now() - $3 * interval '1 second'
+     returning count, extract(epoch from window_start + interval '1 hour' - now()) as window_left`,
+    [scope, key, minGapSeconds]
+  );
+  if (rows.length) return { count: rows[0].count, window_left: Number(rows[0].window_left) };
+  const { rows: [last] } = await pool.query(
+    `select $3 - extract(epoch from now() - last_at) as wait from auth_throttle where scope=$1 and key=$2`,
+    [scope, key, minGapSeconds]
+  );
+  return { wait: Math.max(1, Number(last?.wait) || 1) };
+}
+
+// A failed check; past `limit` in the hour the key is locked, doubling per extra failure
+async function throttleFail(scope, key, limit) {
+  const count = await throttleCount(scope, key);
+  if (count < limit) return 0;
+  const seconds = Math.min(OTP_LOCK_MAX_SECONDS, OTP_LOCK_BASE_SECONDS * 2 ** Math.min(count - limit, 20));
+  await pool.query(
+    `update auth_throttle set locked_until = now() + $3 * interval '1 second' where scope=$1 and key=$2`,
+    [scope, key, seconds]
+  );
+  return seconds;
+}
+
+/**
+ * Issues a fresh code for `email` (replacing any earlier one) and emails it.
+ * passwordHash (register) rides on the code and is only set on the account by /auth/verify.
+ * Throws 429 otp_cooldown / too_many_otp_requests when sends come too fast.
+ * -> { code, emailed }   (code is only for the dev fallback when no email provider is set)
+ */
+async function issueOtp(req, email, { passwordHash = null } = {}) {
+  await ensureOtpSchema();
+  const who = String(email).toLowerCase();
+  // count first, then decide: a refused request past the hourly cap still counts
+  const sent = await throttleSend('otp_send', who, OTP_RESEND_SECONDS);
+  if (sent.wait) throw tooManyRequests('otp_cooldown', sent.wait);
+  if (sent.count > OTP_SENDS_PER_HOUR) throw tooManyRequests('too_many_otp_requests', sent.window_left);
+  const ipSent = await throttleSend('otp_send_ip', String(req.ip));
+  if (ipSent.count > OTP_SENDS_PER_IP_HOUR) throw tooManyRequests('too_many_otp_requests', ipSent.window_left);
+
+  const code = randomOtp();
+  await pool.query(
+    `insert into otps (email, code, code_hash, attempts, expires_at, password_hash)
+     values ($1, null, $2, 0, now() + $3 * interval '1 minute', $4)
+     on conflict (email) do update set code = null, code_hash = excluded.code_hash, attempts = 0,
+                                       expires_at = excluded.expires_at, password_hash = excluded.password_hash`,
+    [email, otpHash(email, code), OTP_TTL_MINUTES, passwordHash]
+  );
+  return { code, emailed: await sendOtpEmail(email, code) };
+}
+
+/**
+ * Checks `code` for `email` and returns its otps row; the caller deletes the row once the login
+ * has gone through (a device_limit refusal leaves the code usable for the X-Replace-Device retry).
+ * Throws 429 too_many_attempts while the email or IP is locked, 400 invalid_otp (with
+ * attempts_left), otp_expired, or otp_invalidated once a code has had OTP_MAX_ATTEMPTS misses.
+ */
+async function checkOtp(req, email, code) {
+  await ensureOtpSchema();
+  const who = String(email).toLowerCase();
+  const ip = String(req.ip);
+  const locked = Math.max(await throttleLockedFor('otp_verify', who), await throttleLockedFor('otp_verify_ip', ip));
+  if (locked) throw tooManyRequests('too_many_attempts', locked);
+
+  const invalid = (error, extra = {}) => {
+    const err = new Error(error);
+    err.status = 400;
+    err.extra = extra;
+    return err;
+  };
+  // Count the attempt before comparing, in one statement, so parallel guesses can't all
+  // pass the limit check before any of them is recorded.
+  const { rows: [row] } = await pool.query(
+    `update otps set attempts = attempts + 1
+      where email=$1 and attempts < $2 and expires_at > now()
+      returning *`,
+    [email, OTP_MAX_ATTEMPTS]
+  );
+  if (!row) {
+    const { rows: [stale] } = await pool.query('delete from otps where email=$1 returning expires_at', [email]);
+    if (!stale) throw invalid('invalid_otp');
+    throw invalid(new Date(stale.expires_at) <= new Date() ? 'otp_expired' : 'otp_invalidated');
+  }
+  const given = Buffer.from(otpHash(email, String(code)));
+  if (crypto.timingSafeEqual(given, Buffer.from(row.code_hash))) {
+    // a match doesn't use up an attempt (the device_limit retry reuses the code)
+    await pool.query('update otps set attempts = attempts - 1 where email=$1', [email]);
+    await pool.query(`delete from auth_throttle where scope='otp_verify' and key=$1`, [who]);
+    return row;
+  }
+
+  const { attempts } = row;
+  const lockEmail = await throttleFail('otp_verify', who, OTP_EMAIL_MAX_FAILURES);
+  const lockIp = await throttleFail('otp_verify_ip', ip, OTP_IP_MAX_FAILURES);
+  if (attempts >= OTP_MAX_ATTEMPTS) await pool.query('delete from otps where email=$1', [email]);
+  if (lockEmail || lockIp) throw tooManyRequests('too_many_attempts', Math.max(lockEmail, lockIp));
+  if (attempts >= OTP_MAX_ATTEMPTS) throw invalid('otp_invalidated');
+  throw invalid('invalid_otp', { attempts_left: OTP_MAX_ATTEMPTS - attempts });
 }
 
 /* ============ AUTH (prototype OTP) ============ */
@@ -314,46 +711,43 @@ app.post('/auth/signup', async (req, res) => {
   const { email } = req.body || {};
   if (!email) return res.status(400).json({ error: 'email_required' });
 
-  // upsert user
-  const u = await pool.query(
-    `insert into app_users (email) values ($1)
-     on conflict (email) do update set email=excluded.email
-     returning *`,
-    [email]
-  );
-
-  // issue OTP (6-digit, 10 min)
-const code = randomOtp();
-await pool.query(
-  `insert into otps (email, code, expires_at)
-   values ($1, $2, NOW() + INTERVAL '10 minutes')
-   on conflict (email) do update set code = EXCLUDED.code, expires_at = EXCLUDED.expires_at`,
-  [email, code]
-);
-
+  try {
+    // upsert user
+    await pool.query(
+      `insert into app_users (email) values ($1)
+       on conflict (email) do update set email=excluded.email
+       returning *`,
+      [email]
+    );
 
-  // try to email; if no RESEND key, fall back to dev behavior
-  const emailed = await sendOtpEmail(email, code);
-  if (!emailed) {
-    return res.json({ ok: true, otp_for_testing: code }); // DEV fallback
+    // issue OTP (6-digit, 10 min); try to email, if no RESEND key fall back to dev behavior
+    const { code, emailed } = await issueOtp(req, email);
+    if (!emailed) {
+      return res.json({ ok: true, otp_for_testing: code }); // DEV fallback
+    }
+    return res.json({ ok: true, message: 'OTP sent' });
+  } catch (e) {
+    sendAuthError(res, e, 'signup');
   }
-  return res.json({ ok: true, message: 'OTP sent' });
 });
 
 
 /**
  * POST /auth/verify { email, code }
- * Verifies OTP and returns JWT.
+ * Verifies OTP -> { token, token_expires_in, refresh_token, refresh_expires_in, device_id, device_type }.
+ * Headers: X-Device-Id, X-Device-Type (mobile|desktop), X-Device-Name, and X-Replace-Device: 1 to
+ * take the slot after a 403 device_limit (the code stays valid for that retry).
  */
 app.post('/auth/verify', async (req, res) => {
   const { email, code } = req.body || {};
   if (!email || !code) return res.status(400).json({ error: 'missing_fields' });
 
-  const { rows } = await pool.query('select * from otps where email=$1', [email]);
-  if (!rows.length) return res.status(400).json({ error: 'invalid_otp' });
-  const row = rows[0];
-  if (row.code !== code) return res.status(400).json({ error: 'invalid_otp' });
-  if (new Date(row.expires_at) < new Date()) return res.status(400).json({ error: 'otp_expired' });
+  let otp;
+  try {
+    otp = await checkOtp(req, email, code);
+  } catch (e) {
+    return sendAuthError(res, e, 'verify');
+  }
 
   // Get the user
   const u = await pool.query('select * from app_users where email=$1', [email]);
@@ -367,15 +761,17 @@ const ip          = req.ip;
 const rawType     = String(req.header('x-device-type') || '').toLowerCase();
 const device_type = (rawType === 'mobile' || rawType === 'desktop') ? rawType : guessDeviceType(ua);
 const replace     = String(req.header('x-replace-device') || '') === '1';
+const name        = String(req.header('x-device-name') || '').trim().slice(0, 60) || null;
 
-
+  let deviceRowId;
   try {
-    await upsertDeviceOnLogin({
+    deviceRowId = await upsertDeviceOnLogin({
       user_id: user.id,
       device_id,
       device_type,
       ua,
       ip,
+      name,
       replace
     });
   } catch (e) {
@@ -387,23 +783,116 @@ const replace     = String(req.header('x-replace-device') || '') === '1';
     }
     throw e;
   }
-  // Invalidate OTP after successful use
+  // Invalidate OTP after successful use; a password from /auth/register takes effect now
   await pool.query('delete from otps where email=$1', [email]);
+  if (otp.password_hash) {
+    await pool.query('update app_users set password_hash=$1 where id=$2', [otp.password_hash, user.id]);
+  }
 
-  // Issue token bound to this device
-  const token = sign(user, device_id);
-  res.json({ token, device_id, device_type });
+  // Issue tokens bound to this device
+  const tokens = await sessionTokens(user, { id: deviceRowId, device_id }, { fresh: true });
+  res.json({ ...tokens, device_id, device_type });
+});
+
+/**
+ * POST /auth/refresh { refresh_token }
+ * -> a new access token and the next refresh token; the one sent is spent.
+ * Sending a spent token again means it was copied: the device is signed out (401 refresh_reused).
+ */
+app.post('/auth/refresh', async (req, res) => {
+  const presented = String(req.body?.refresh_token || '');
+  if (!presented) return res.status(400).json({ error: 'refresh_token_required' });
+  try {
+    await ensureDevicesSchema();
+    const hash = sha256Hex(presented);
+    const { rows } = await pool.query(
+      `update refresh_tokens set used_at = now()
+        where token_hash=$1 and used_at is null and revoked_at is null and expires_at > now()
+        returning device_row_id, user_id`,
+      [hash]
+    );
+    if (!rows.length) {
+      const { rows: seen } = await pool.query(
+        `select device_row_id, used_at, revoked_at from refresh_tokens where token_hash=$1`,
+        [hash]
+      );
+      if (seen[0]?.used_at && !seen[0].revoked_at) {
+        // reuse of a rotated token: end the whole chain and the device with it
+        await pool.query(
+          `update refresh_tokens set revoked_at = now() where device_row_id=$1 and revoked_at is null`,
+          [seen[0].device_row_id]
+        );
+        await pool.query(
+          `update user_devices set status='revoked', revoked_at=now() where id=$1 and status='active'`,
+          [seen[0].device_row_id]
+        );
+        return res.status(401).json({ error: 'refresh_reused' });
+      }
+      return res.status(401).json({ error: 'invalid_refresh_token' });
+    }
+    const d = await pool.query(
+      `update user_devices set last_seen_at = now(), ip = $2
+        where id=$1 and status='active'
+        returning id, device_id`,
+      [rows[0].device_row_id, req.ip]
+    );
+    if (!d.rows.length) return res.status(401).json({ error: 'device_revoked' });
+    const u = await pool.query('select id, email from app_users where id=$1', [rows[0].user_id]);
+    res.json(await sessionTokens(u.rows[0], d.rows[0]));
+  } catch (e) {
+    console.error('POST /auth/refresh error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
 });
 
 /* ============ AUTH (password + OTP 2FA) ============ */
+// One policy for register, reset and change: PASSWORD_MIN_LENGTH (default 8), at most 72 bytes
+// (bcrypt ignores the rest), letters and digits unless PASSWORD_REQUIRE_MIXED=0, not the email.
+const BCRYPT_ROUNDS = 10;
+const PASSWORD_POLICY = {
+  min_length: Number(process.env.PASSWORD_MIN_LENGTH || 8),
+  max_bytes: 72,
+  require_letter_and_digit: process.env.PASSWORD_REQUIRE_MIXED !== '0'
+};
+
+// -> null when acceptable, else the reason it isn't
+function passwordProblem(password, email) {
+  const p = String(password);
+  if (p.length < PASSWORD_POLICY.min_length) return 'too_short';
+  if (Buffer.byteLength(p) > PASSWORD_POLICY.max_bytes) return 'too_long';
+  if (PASSWORD_POLICY.require_letter_and_digit && !(/\p{L}/u.test(p) && /\d/.test(p))) return 'needs_letter_and_digit';
+  if (email && p.toLowerCase() === String(email).toLowerCase()) return 'same_as_email';
+  return null;
+}
+
+// Validates { password, confirm } and hashes it; throws 400 missing_fields / password_mismatch / weak_password
+async function hashNewPassword(password, confirm, email) {
+  const fail = (error, extra = {}) => {
+    const err = new Error(error);
+    err.status = 400;
+    err.extra = extra;
+    return err;
+  };
+  if (!password || !confirm) throw fail('missing_fields');
+  if (typeof password !== 'string' || password !== confirm) throw fail('password_mismatch');
+  const reason = passwordProblem(password, email);
+  if (reason) throw fail('weak_password', { reason, policy: PASSWORD_POLICY });
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
 /**
- * POST /auth/register { email, password, confirm }
- * Creates/updates user with password, then sends OTP for second factor.
+ * POST /auth/register { email, name?, password, confirm }
+ * Creates the user and sends an OTP; the password is set once /auth/verify accepts the code,
+ * so nobody can put a password on an address they don't read. Accounts that already have a
+ * password get 409 already_registered (use /auth/login or /auth/forgot).
  */
 app.post('/auth/register', async (req, res) => {
   try {
-    const { email, name } = req.body || {};
+    const { email, name, password, confirm } = req.body || {};
     if (!email) return res.status(400).json({ error: 'email_required' });
+    const passwordHash = await hashNewPassword(password, confirm, email);
+    const existing = await pool.query('select password_hash from app_users where email=$1', [email]);
+    if (existing.rows[0]?.password_hash) return res.status(409).json({ error: 'already_registered' });
 
     // Upsert user (keep whatever columns you already have)
     const u = await pool.query(
@@ -414,19 +903,8 @@ app.post('/auth/register', async (req, res) => {
       [email, name || null]
     );
 
-    // --- issue OTP (6-digit, 10 minutes) ---
-    const code = String(Math.floor(100000 + Math.random() * 900000));
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
-
-    await pool.query(
-      `insert into otps (email, code, expires_at)
-       values ($1, $2, $3)
-       on conflict (email) do update set code = $2, expires_at = $3`,
-      [email, code, expiresAt.toISOString()]
-    );
-
-    // --- try to email the OTP (uses the helper we added earlier) ---
-    const emailed = await sendOtpEmail(email, code);
+    // --- issue OTP (6-digit, 10 minutes) carrying the new password, and try to email it ---
+    const { code, emailed } = await issueOtp(req, email, { passwordHash });
 
     if (!emailed) {
       // DEV fallback if RESEND_API_KEY not set: return OTP so you can still test
@@ -436,8 +914,7 @@ app.post('/auth/register', async (req, res) => {
     // Production behavior: do NOT reveal the OTP
     return res.json({ ok: true, next: 'otp', message: 'OTP sent' });
   } catch (err) {
-    console.error('register error', err);
-    return res.status(500).json({ error: 'server_error' });
+    return sendAuthError(res, err, 'register');
   }
 });
 
@@ -445,27 +922,37 @@ app.post('/auth/register', async (req, res) => {
 /**
  * POST /auth/login { email, password }
  * Verifies password, then sends OTP. Final login is /auth/verify (same as before).
+ * Wrong passwords are counted per email and per IP like OTP misses: past the limit -> 429 too_many_attempts.
  */
 app.post('/auth/login', async (req, res) => {
   const { email, password } = req.body || {};
   if (!email || !password) return res.status(400).json({ error: 'missing_fields' });
 
-  const { rows } = await pool.query('select id,email,password_hash from app_users where email=$1', [email]);
-  if (!rows.length || !rows[0].password_hash) return res.status(400).json({ error: 'no_such_user_or_no_password' });
-  const ok = await bcrypt.compare(password, rows[0].password_hash);
-  if (!ok) return res.status(400).json({ error: 'bad_credentials' });
-
-  const code = String(Math.floor(100000 + Math.random()*900000));
-  const expiresAt = new Date(Date.now() + 10*60*1000);
-  await pool.query(
-    `insert into otps (email, code, expires_at)
-     values ($1,$2,$3)
-     on conflict (email) do update set code=$2, expires_at=$3`,
-    [email, code, expiresAt.toISOString()]
-  );
+  // issue + try to email; if Resend isn’t set up, keep dev fallback
+  let code, emailed;
+  try {
+    await ensureOtpSchema();
+    const who = String(email).toLowerCase();
+    const ip = String(req.ip);
+    const locked = Math.max(await throttleLockedFor('login', who), await throttleLockedFor('login_ip', ip));
+    if (locked) throw tooManyRequests('too_many_attempts', locked);
+
+    const { rows } = await pool.query('select id,email,password_hash from app_users where email=$1', [email]);
+    if (!rows.length || !rows[0].password_hash) return res.status(400).json({ error: 'no_such_user_or_no_password' });
+    if (!(await bcrypt.compare(password, rows[0].password_hash))) {
+      const lock = Math.max(
+        await throttleFail('login', who, LOGIN_EMAIL_MAX_FAILURES),
+        await throttleFail('login_ip', ip, LOGIN_IP_MAX_FAILURES)
+      );
+      if (lock) throw tooManyRequests('too_many_attempts', lock);
+      return res.status(400).json({ error: 'bad_credentials' });
+    }
+    await pool.query(`delete from auth_throttle where scope='login' and key=$1`, [who]);
 
-  // try to email; if Resend isn’t set up, keep dev fallback
-  const emailed = await sendOtpEmail(email, code);
+    ({ code, emailed } = await issueOtp(req, email));
+  } catch (e) {
+    return sendAuthError(res, e, 'login');
+  }
   if (!emailed) return res.json({ ok: true, next: 'otp', otp_for_testing: code });
 
   return res.json({ ok: true, next: 'otp', message: 'OTP sent' });
@@ -510,33 +997,58 @@ app.post('/auth/forgot', async (req, res) => {
 
 /**
  * POST /auth/reset { token, password, confirm }
- * Consumes reset token and sets a new password.
+ * Consumes reset token and sets a new password. Every device is signed out and its refresh
+ * tokens revoked: whoever knew the old password must not stay logged in.
  */
 app.post('/auth/reset', async (req, res) => {
   const { token, password, confirm } = req.body || {};
-  if (!token || !password || !confirm) return res.status(400).json({ error: 'missing_fields' });
-  if (password !== confirm) return res.status(400).json({ error: 'password_mismatch' });
-  if (password.length < 6) return res.status(400).json({ error: 'weak_password' });
+  if (!token) return res.status(400).json({ error: 'missing_fields' });
 
-  const { rows } = await pool.query('select * from password_resets where token=$1', [token]);
+  const { rows } = await pool.query(
+    `select r.*, u.email from password_resets r join app_users u on u.id = r.user_id where r.token=$1`,
+    [token]
+  );
+  let hash;
+  try {
+    hash = await hashNewPassword(password, confirm, rows[0]?.email);
+  } catch (e) {
+    return sendAuthError(res, e, 'reset');
+  }
   if (!rows.length) return res.status(400).json({ error: 'invalid_token' });
 
   const r = rows[0];
   if (r.used) return res.status(400).json({ error: 'token_used' });
   if (new Date(r.expires_at) < new Date()) return res.status(400).json({ error: 'token_expired' });
 
-  const hash = await bcrypt.hash(password, 10);
-  await pool.query('update app_users set password_hash=$1 where id=$2', [hash, r.user_id]);
-  await pool.query('update password_resets set used=true where id=$1', [r.id]);
-
-  res.json({ ok: true });
+  try {
+    await ensureDevicesSchema();
+    const revoked = await withTransaction(async (client) => {
+      await client.query('update app_users set password_hash=$1 where id=$2', [hash, r.user_id]);
+      await client.query('update password_resets set used=true where id=$1', [r.id]);
+      const d = await client.query(
+        `update user_devices set status='revoked', revoked_at=now() where user_id=$1 and status='active'`,
+        [r.user_id]
+      );
+      await client.query(
+        `update refresh_tokens set revoked_at=now() where user_id=$1 and revoked_at is null`,
+        [r.user_id]
+      );
+      return d.rowCount;
+    });
+    res.json({ ok: true, revoked_devices: revoked });
+  } catch (e) {
+    sendAuthError(res, e, 'reset');
+  }
 });
 
 /* ============ ME / SUBSCRIPTION ============ */
 
 app.get('/me', requireAuth, async (req, res) => {
+  await ensureAdminRolesSchema();
   const { rows } = await pool.query(
-    'select id,email,name,created_at,status,is_admin from app_users where id=$1',
+    `select id,email,name,created_at,status,is_admin,
+            array(select role from admin_roles r where r.user_id = u.id order by role) as admin_roles
+       from app_users u where id=$1`,
     [req.user.uid]
   );
   const me = rows[0];
@@ -550,135 +1062,1094 @@ app.get('/subscription', requireAuth, async (req, res) => {
   const sub = await getSubscriptionStatus(req.user.uid);
   res.json(sub);
 });
-/* ============ PUBLIC SETTINGS (read-only) ============ */
-app.get('/public/settings', async (req, res) => {
+
+/**
+ * POST /me/password { current_password, password, confirm }
+ * Changes the password (current_password is required once one is set) and signs out every
+ * other device; the one making the call stays logged in. Wrong current_password guesses count
+ * as failed logins (429 too_many_attempts past the limit).
+ */
+app.post('/me/password', requireAuth, async (req, res) => {
+  const { current_password, password, confirm } = req.body || {};
   try {
-    const { rows } = await pool.query(`select key, value from settings`);
-    const out = {};
-    for (const r of rows) out[r.key] = r.value;
-    res.json(out); // e.g. { billing: { bank:{...}, wallets:{...}, whatsapp:"...", note:"..." } }
+    const { rows } = await pool.query('select email, password_hash from app_users where id=$1', [req.user.uid]);
+    const me = rows[0];
+    if (!me) return res.status(404).json({ error: 'not_found' });
+    if (me.password_hash) {
+      if (!current_password) return res.status(400).json({ error: 'current_password_required' });
+      await ensureOtpSchema();
+      const who = String(me.email).toLowerCase();
+      const ip = String(req.ip);
+      const locked = Math.max(await throttleLockedFor('login', who), await throttleLockedFor('login_ip', ip));
+      if (locked) throw tooManyRequests('too_many_attempts', locked);
+      if (!(await bcrypt.compare(String(current_password), me.password_hash))) {
+        const lock = Math.max(
+          await throttleFail('login', who, LOGIN_EMAIL_MAX_FAILURES),
+          await throttleFail('login_ip', ip, LOGIN_IP_MAX_FAILURES)
+        );
+        if (lock) throw tooManyRequests('too_many_attempts', lock);
+        return res.status(400).json({ error: 'bad_credentials' });
+      }
+      await pool.query(`delete from auth_throttle where scope='login' and key=$1`, [who]);
+    }
+    const hash = await hashNewPassword(password, confirm, me.email);
+    await ensureDevicesSchema();
+    const revoked = await withTransaction(async (client) => {
+      await client.query('update app_users set password_hash=$1 where id=$2', [hash, req.user.uid]);
+      const r = await client.query(
+        `update user_devices set status='revoked', revoked_at=now()
+          where user_id=$1 and status='active' and device_id is distinct from $2`,
+        [req.user.uid, req.user.device_id]
+      );
+      return r.rowCount;
+    });
+    res.json({ ok: true, revoked_devices: revoked });
   } catch (e) {
-    console.error('GET /public/settings failed:', e);
-    res.status(500).json({ error: 'server_error' });
+    sendAuthError(res, e, 'POST /me/password');
   }
 });
 
-/* ============ DICTIONARY (societies) ============ */
-// GET all default + user-specific societies
-app.get('/societies', requireAuth, async (req, res) => {
+/* ============ ME / DEVICES ============ */
+// Signed-in devices (one mobile + one desktop slot). Revoking one ends its access token on the
+// next request and its refresh token immediately.
+
+const DEVICE_COLUMNS = `id, name, device_type, ua, ip, created_at, last_seen_at`;
+
+async function loadOwnDevice(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    res.status(404).json({ error: 'not_found' });
+    return null;
+  }
   const { rows } = await pool.query(
-    `select id, name, city, aliases
-       from societies
-      where user_id is null or user_id = $1
-      order by name asc`,
-    [req.user.uid]
+    `select ${DEVICE_COLUMNS}, device_id from user_devices where id=$1 and user_id=$2 and status='active'`,
+    [id, req.user.uid]
   );
-  res.json(rows);
-});
+  if (!rows.length) res.status(404).json({ error: 'not_found' });
+  return rows[0] || null;
+}
 
-// Bulk upsert user-specific societies
-// body: { items: [{ name, city, aliases: string[] }, ...] }
-app.post('/societies', requireAuth, async (req, res) => {
-  const items = Array.isArray(req.body?.items) ? req.body.items : [];
-  for (const it of items) {
-    await pool.query(
-      `insert into societies (user_id, name, city, aliases)
-         values ($1,$2,$3,$4)
-       on conflict (user_id, name)
-         do update set city = excluded.city, aliases = excluded.aliases`,
-      [req.user.uid, it.name || '', it.city || null, it.aliases || []]
+// GET /me/devices -> [{ id, name, device_type, ua, ip, created_at, last_seen_at, current }]
+app.get('/me/devices', requireAuth, async (req, res) => {
+  try {
+    await ensureDevicesSchema();
+    const { rows } = await pool.query(
+      `select ${DEVICE_COLUMNS}, device_id = $2 as current
+         from user_devices
+        where user_id=$1 and status='active'
+        order by last_seen_at desc nulls last`,
+      [req.user.uid, req.user.device_id]
     );
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /me/devices error', e);
+    res.status(500).json({ error: 'server_error' });
   }
-  res.json({ ok: true, count: items.length });
 });
 
+// PATCH /me/devices/:id { name }
+app.patch('/me/devices/:id', requireAuth, async (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 60) return res.status(400).json({ error: 'bad_name' });
+  try {
+    await ensureDevicesSchema();
+    if (!(await loadOwnDevice(req, res))) return;
+    const { rows } = await pool.query(
+      `update user_devices set name=$2 where id=$1 returning ${DEVICE_COLUMNS}, device_id = $3 as current`,
+      [Number(req.params.id), name, req.user.device_id]
+    );
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('PATCH /me/devices/:id error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
 
-/* ============ LISTINGS ============ */
-/* Unified: if a valid JWT is present, return that user's filtered feed.
- * If not authenticated, fall back to a public recent feed.
- */
-app.get('/listings', async (req, res) => {
+// DELETE /me/devices/:id -> sign that device out (the current one too: that is a logout)
+app.delete('/me/devices/:id', requireAuth, async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit || '200', 10), 500);
+    await ensureDevicesSchema();
+    const device = await loadOwnDevice(req, res);
+    if (!device) return;
+    await withTransaction(async (client) => {
+      await client.query(`update user_devices set status='revoked', revoked_at=now() where id=$1`, [device.id]);
+      await client.query(
+        `update refresh_tokens set revoked_at=now() where device_row_id=$1 and revoked_at is null`,
+        [device.id]
+      );
+    });
+    res.json({ ok: true, id: device.id, current: device.device_id === req.user.device_id });
+  } catch (e) {
+    console.error('DELETE /me/devices/:id error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
 
-    // Try to authenticate (optional)
-    let uid = null;
-    const auth = req.headers.authorization || '';
-    const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
-    if (token) {
-      try {
-        const payload = jwt.verify(token, JWT_SECRET);
-        await ensureTokenDeviceStillActive({ user_id: payload.uid, device_id: payload.device_id });
-        uid = payload.uid;
-      } catch { /* ignore => fall back to public */ }
-    }
+/* ============ ME / SETTINGS ============ */
+// Per-user preferences, kept server-side so web + mobile behave the same.
+//   block_output_style: "title" ("Block F") | "letter" ("F block")
+//   aliases_json: ParseOptions.aliasesJSON ({ society: { phase: [patterns] } }); null = parser defaults
+//   freshness_days: a listing not confirmed for this long is marked stale
+//   archive_after_days: stale this long -> archived (0 = never)
+const USER_SETTINGS_DEFAULTS = { block_output_style: 'title', aliases_json: null, freshness_days: 30, archive_after_days: 30 };
+
+function ensureUserSettingsTable() {
+  return ensureSchema('user_settings', `
+    create table if not exists user_settings (
+      user_id    bigint primary key,
+      prefs      jsonb not null default '{}',
+      updated_at timestamptz not null default now()
+    )`);
+}
 
-    // Authenticated (per-user) feed
-    if (uid) {
-      const { soc, blk, unit, min, max, q, nature } = req.query;
-      const params = [uid];
-      let where = 'user_id=$1';
-      if (soc)   { params.push(soc);   where += ` and society_name=$${params.length}`; }
-      if (blk)   { params.push(blk);   where += ` and phase_block=$${params.length}`; }
-      if (unit)  { params.push(unit);  where += ` and plot_size_unit=$${params.length}`; }
-      if (nature){ params.push(nature);where += ` and coalesce(attributes->>'land_nature','')=$${params.length}`; }
-      if (min)   { params.push(Number(min)); where += ` and coalesce(demand_amount_pkr,0) >= $${params.length}`; }
-      if (max)   { params.push(Number(max)); where += ` and coalesce(demand_amount_pkr,0) <= $${params.length}`; }
-      if (q) {
-        const like = `%${String(q).toLowerCase()}%`;
-        params.push(like, like, like, like, like);
-        where += ` and (lower(coalesce(society_name,'')) like $${params.length-4}
-                      or lower(coalesce(phase_block,'')) like $${params.length-3}
-                      or lower(coalesce(plot_number,'')) like $${params.length-2}
-                      or lower(coalesce(notes,'')) like $${params.length-1}
-                      or lower(coalesce(demand_text,'')) like $${params.length})`;
-      }
-      const { rows } = await pool.query(
-        `select * from listings where ${where} order by created_at desc limit $${params.length+1}`,
-        [...params, limit]
-      );
-      return res.json(rows);
-    }
+async function getUserSettings(uid) {
+  await ensureUserSettingsTable();
+  const { rows } = await pool.query('select prefs from user_settings where user_id=$1', [uid]);
+  return { ...USER_SETTINGS_DEFAULTS, ...(rows[0]?.prefs || {}) };
+}
 
-    // Public (unauthenticated) feed
-    const { rows } = await pool.query(
-  `select id, society_name, phase_block, plot_size_value, plot_size_unit,
-          plot_number, demand_amount_pkr,
-          (attributes->>'phone') as phone,
-          (attributes->>'contact_name') as contact_name,
-          notes, attributes
-     from listings
-    order by created_at desc
-    limit $1`,
-  [limit]
-);
+// { society: { phase: string[] } }
+function isAliasesJSON(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return false;
+  return Object.values(v).every(phases => phases && typeof phases === 'object' && !Array.isArray(phases) &&
+    Object.values(phases).every(list => Array.isArray(list) && list.every(p => typeof p === 'string')));
+}
 
-    res.json(rows);
+app.get('/me/settings', requireAuth, async (req, res) => {
+  try {
+    res.json(await getUserSettings(req.user.uid));
   } catch (e) {
-    console.error('GET /listings failed:', e);
+    console.error('GET /me/settings error', e);
     res.status(500).json({ error: 'server_error' });
   }
 });
 
-
-// Create a listing (user-scoped)
-app.post('/listings', requireAuth, readOnlyMiddleware(), express.json(), async (req, res) => {
+// PUT /me/settings { block_output_style?, aliases_json?, freshness_days?, archive_after_days? } -> merged settings
+app.put('/me/settings', requireAuth, async (req, res) => {
   try {
-    const uid = req.user.uid; // set by requireAuth
-const {
-  society_name,
-  phase_block,
-  plot_size_value,
-  plot_size_unit,
-  plot_number,
-  demand_amount_pkr,
-  phone,        // client sends "phone"
-  contact_name,   // NEW
-  notes,
-  attributes
-} = req.body || {};
+    const body = req.body || {};
+    const prefs = {};
+    if (body.block_output_style !== undefined) {
+      if (!['title', 'letter'].includes(body.block_output_style)) return res.status(400).json({ error: 'bad_block_output_style' });
+      prefs.block_output_style = body.block_output_style;
+    }
+    if (body.aliases_json !== undefined) {
+      if (body.aliases_json !== null && !isAliasesJSON(body.aliases_json)) return res.status(400).json({ error: 'bad_aliases_json' });
+      prefs.aliases_json = body.aliases_json;
+    }
+    for (const [k, min] of [['freshness_days', 1], ['archive_after_days', 0]]) {
+      if (body[k] === undefined) continue;
+      const n = Number(body[k]);
+      if (!Number.isInteger(n) || n < min || n > 365) return res.status(400).json({ error: `bad_${k}`, min, max: 365 });
+      prefs[k] = n;
+    }
+    await ensureUserSettingsTable();
+    await pool.query(
+      `insert into user_settings (user_id, prefs) values ($1,$2)
+       on conflict (user_id) do update set prefs = user_settings.prefs || excluded.prefs, updated_at = now()`,
+      [req.user.uid, prefs]
+    );
+    res.json(await getUserSettings(req.user.uid));
+  } catch (e) {
+    console.error('PUT /me/settings error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
 
-// Merge phone into attributes JSONB (no dedicated phone column in this DB)
+/* ============ TEAMS ============ */
+// An agency: its members share a listing book (listings.team_id; GET /listings?book=team) and
+// can all be covered by one team plan (subscriptions.team_id, see getSubscriptionStatus).
+// A user is in at most one team. Listings put in the team book stay there when the agent leaves.
+//   owner   - everything: roles, renaming, deleting the team
+//   manager - invites and removes agents, edits/deletes any listing in the team book
+//   agent   - sees the team book, edits their own listings
+const TEAM_ROLES = ['owner', 'manager', 'agent'];
+const TEAM_INVITE_DAYS = 14;
+
+function ensureTeamsSchema() {
+  return ensureSchema('teams', `
+    create table if not exists teams (
+      id          bigserial primary key,
+      name        text not null,
+      created_by  bigint,
+      created_at  timestamptz not null default now()
+    );
+    create table if not exists team_members (
+      team_id     bigint not null references teams(id) on delete cascade,
+      user_id     bigint not null unique,
+      role        text not null,
+      joined_at   timestamptz not null default now(),
+      primary key (team_id, user_id)
+    );
+    create table if not exists team_invites (
+      id          bigserial primary key,
+      team_id     bigint not null references teams(id) on delete cascade,
+      email       text not null,
+      role        text not null,
+      invited_by  bigint,
+      created_at  timestamptz not null default now(),
+      expires_at  timestamptz not null,
+      unique (team_id, email)
+    );
+    alter table subscriptions add column if not exists team_id bigint;`);
+}
+
+// { team_id, role, name } for uid's team, or null
+async function userTeam(db, uid) {
+  await ensureTeamsSchema();
+  const { rows } = await db.query(
+    `select m.team_id, m.role, t.name
+       from team_members m join teams t on t.id = m.team_id
+      where m.user_id=$1`,
+    [uid]
+  );
+  return rows[0] || null;
+}
+
+// The caller's membership in team :id; 404 if they aren't in it, 403 if their role isn't in `roles`.
+function teamError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function loadTeamMembership(db, teamId, uid, roles = TEAM_ROLES) {
+  const team = await userTeam(db, uid);
+  if (!team || String(team.team_id) !== String(teamId)) throw teamError('not_found', 404);
+  if (!roles.includes(team.role)) throw teamError('forbidden', 403);
+  return team;
+}
+
+function sendTeamError(res, e, route) {
+  if ([400, 403, 404, 409, 410].includes(e.status)) return res.status(e.status).json({ error: e.message });
+  console.error(`${route} error`, e);
+  res.status(500).json({ error: 'server_error' });
+}
+
+// Managers may only hand out (and take away) the agent role
+function assertCanManageRole(actorRole, role) {
+  if (actorRole === 'owner') return;
+  if (actorRole === 'manager' && role === 'agent') return;
+  throw teamError('forbidden', 403);
+}
+
+async function teamSnapshot(db, team) {
+  await ensureListingsSchema();
+  const members = await db.query(
+    `select m.user_id, u.email, u.name, m.role, m.joined_at
+       from team_members m left join app_users u on u.id = m.user_id
+      where m.team_id=$1
+      order by array_position(array['owner','manager','agent'], m.role), m.joined_at`,
+    [team.team_id]
+  );
+  const out = {
+    team: { id: team.team_id, name: team.name },
+    role: team.role,
+    members: members.rows,
+    listing_count: (await db.query('select count(*)::int as n from listings where team_id=$1', [team.team_id])).rows[0].n
+  };
+  if (team.role !== 'agent') {
+    out.invites = (await db.query(
+      `select id, email, role, created_at, expires_at from team_invites
+        where team_id=$1 and expires_at > now() order by created_at desc`,
+      [team.team_id]
+    )).rows;
+  }
+  return out;
+}
+
+// POST /teams { name } -> the caller becomes its owner (409 already_in_team)
+app.post('/teams', requireAuth, async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'name_required' });
+    await ensureTeamsSchema();
+    const snapshot = await withTransaction(async (client) => {
+      if (await userTeam(client, req.user.uid)) throw teamError('already_in_team', 409);
+      const { rows } = await client.query(
+        'insert into teams (name, created_by) values ($1,$2) returning id, name',
+        [name, req.user.uid]
+      );
+      await client.query(`insert into team_members (team_id, user_id, role) values ($1,$2,'owner')`, [rows[0].id, req.user.uid]);
+      return teamSnapshot(client, { team_id: rows[0].id, name: rows[0].name, role: 'owner' });
+    });
+    res.status(201).json(snapshot);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'already_in_team' });
+    sendTeamError(res, e, 'POST /teams');
+  }
+});
+
+// GET /teams/me -> { team, role, members, listing_count, invites (owner/manager), subscription } | { team: null }
+app.get('/teams/me', requireAuth, async (req, res) => {
+  try {
+    const team = await userTeam(pool, req.user.uid);
+    if (!team) return res.json({ team: null });
+    res.json({ ...(await teamSnapshot(pool, team)), subscription: await getSubscriptionStatus(req.user.uid) });
+  } catch (e) {
+    sendTeamError(res, e, 'GET /teams/me');
+  }
+});
+
+// PATCH /teams/:id { name }  (owner/manager)
+app.patch('/teams/:id', requireAuth, async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'name_required' });
+    const team = await loadTeamMembership(pool, req.params.id, req.user.uid, ['owner', 'manager']);
+    await pool.query('update teams set name=$2 where id=$1', [team.team_id, name]);
+    res.json({ ok: true, ...(await teamSnapshot(pool, { ...team, name })) });
+  } catch (e) {
+    sendTeamError(res, e, 'PATCH /teams/:id');
+  }
+});
+
+// DELETE /teams/:id  (owner) -> its listings go back to the agents who added them
+app.delete('/teams/:id', requireAuth, async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    const released = await withTransaction(async (client) => {
+      const team = await loadTeamMembership(client, req.params.id, req.user.uid, ['owner']);
+      const r = await client.query('update listings set team_id=null, updated_at=now() where team_id=$1', [team.team_id]);
+      await client.query('delete from teams where id=$1', [team.team_id]);
+      return r.rowCount;
+    });
+    res.json({ ok: true, released_listings: released });
+  } catch (e) {
+    sendTeamError(res, e, 'DELETE /teams/:id');
+  }
+});
+
+/**
+ * POST /teams/:id/invites { email, role? = 'agent' }  (owner; managers may invite agents)
+ * Re-inviting the same email refreshes the invite. The invitee accepts after signing in
+ * with that email: GET /team-invites, POST /team-invites/:id/accept.
+ */
+app.post('/teams/:id/invites', requireAuth, async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const role = String(req.body?.role || 'agent');
+    if (!email || !email.includes('@')) return res.status(400).json({ error: 'email_required' });
+    if (!TEAM_ROLES.includes(role)) return res.status(400).json({ error: 'bad_role', allowed: TEAM_ROLES });
+    const team = await loadTeamMembership(pool, req.params.id, req.user.uid, ['owner', 'manager']);
+    assertCanManageRole(team.role, role);
+
+    const member = await pool.query(
+      `select 1 from team_members m join app_users u on u.id = m.user_id
+        where m.team_id=$1 and lower(u.email)=$2`,
+      [team.team_id, email]
+    );
+    if (member.rows.length) return res.status(409).json({ error: 'already_member' });
+
+    const { rows } = await pool.query(
+      `insert into team_invites (team_id, email, role, invited_by, expires_at)
+       values ($1,$2,$3,$4, now() + make_interval(days => ${TEAM_INVITE_DAYS}))
+       on conflict (team_id, email) do update
+         set role=excluded.role, invited_by=excluded.invited_by, created_at=now(), expires_at=excluded.expires_at
+       returning id, email, role, created_at, expires_at`,
+      [team.team_id, email, role, req.user.uid]
+    );
+    const emailed = await sendEmailPlain(email, `You're invited to ${team.name} on PlotNama`,
+      `You have been invited to join ${team.name} as ${role === 'agent' ? 'an agent' : `a ${role}`}.\n\n` +
+      `Sign in to PlotNama with this email address and accept the invitation. It expires in ${TEAM_INVITE_DAYS} days.`);
+    res.status(201).json({ ...rows[0], emailed });
+  } catch (e) {
+    sendTeamError(res, e, 'POST /teams/:id/invites');
+  }
+});
+
+app.delete('/teams/:id/invites/:inviteId', requireAuth, async (req, res) => {
+  try {
+    const team = await loadTeamMembership(pool, req.params.id, req.user.uid, ['owner', 'manager']);
+    const r = await pool.query(
+      'delete from team_invites where id::text=$1 and team_id=$2 returning role',
+      [String(req.params.inviteId), team.team_id]
+    );
+    if (!r.rows.length) return res.status(404).json({ error: 'not_found' });
+    res.json({ ok: true });
+  } catch (e) {
+    sendTeamError(res, e, 'DELETE /teams/:id/invites/:inviteId');
+  }
+});
+
+// GET /team-invites -> open invites addressed to the caller's email
+app.get('/team-invites', requireAuth, async (req, res) => {
+  try {
+    await ensureTeamsSchema();
+    const { rows } = await pool.query(
+      `select i.id, i.team_id, t.name as team_name, i.role, i.created_at, i.expires_at, u.email as invited_by
+         from team_invites i
+         join teams t on t.id = i.team_id
+    left join app_users u on u.id = i.invited_by
+        where i.email = (select lower(email) from app_users where id=$1) and i.expires_at > now()
+        order by i.created_at desc`,
+      [req.user.uid]
+    );
+    res.json(rows);
+  } catch (e) {
+    sendTeamError(res, e, 'GET /team-invites');
+  }
+});
+
+// The open invite :id if it's addressed to uid (404 otherwise, 410 once expired)
+async function loadOwnInvite(db, id, uid) {
+  const { rows } = await db.query(
+    `select i.*, t.name as team_name from team_invites i join teams t on t.id = i.team_id
+      where i.id::text=$1 and i.email = (select lower(email) from app_users where id=$2)
+      for update of i`,
+    [String(id), uid]
+  );
+  if (!rows.length) throw teamError('not_found', 404);
+  if (new Date(rows[0].expires_at) <= new Date()) throw teamError('invite_expired', 410);
+  return rows[0];
+}
+
+// POST /team-invites/:id/accept  (409 already_in_team: leave the current team first)
+app.post('/team-invites/:id/accept', requireAuth, async (req, res) => {
+  try {
+    await ensureTeamsSchema();
+    const snapshot = await withTransaction(async (client) => {
+      const invite = await loadOwnInvite(client, req.params.id, req.user.uid);
+      if (await userTeam(client, req.user.uid)) throw teamError('already_in_team', 409);
+      await client.query('insert into team_members (team_id, user_id, role) values ($1,$2,$3)', [invite.team_id, req.user.uid, invite.role]);
+      await client.query('delete from team_invites where id=$1', [invite.id]);
+      return teamSnapshot(client, { team_id: invite.team_id, name: invite.team_name, role: invite.role });
+    });
+    res.json({ ok: true, ...snapshot });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'already_in_team' });
+    sendTeamError(res, e, 'POST /team-invites/:id/accept');
+  }
+});
+
+app.post('/team-invites/:id/decline', requireAuth, async (req, res) => {
+  try {
+    await ensureTeamsSchema();
+    await withTransaction(async (client) => {
+      const invite = await loadOwnInvite(client, req.params.id, req.user.uid);
+      await client.query('delete from team_invites where id=$1', [invite.id]);
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    sendTeamError(res, e, 'POST /team-invites/:id/decline');
+  }
+});
+
+// A team can't be left without an owner while anyone else is in it
+async function assertOwnerRemains(db, teamId, userId) {
+  const { rows } = await db.query(
+    `select count(*) filter (where role='owner' and user_id<>$2)::int as owners,
+            count(*) filter (where user_id<>$2)::int as others
+       from team_members where team_id=$1`,
+    [teamId, userId]
+  );
+  if (rows[0].others > 0 && rows[0].owners === 0) throw teamError('last_owner', 409);
+}
+
+async function loadTeamMember(db, teamId, userId) {
+  const { rows } = await db.query('select * from team_members where team_id=$1 and user_id::text=$2 for update', [teamId, String(userId)]);
+  if (!rows.length) throw teamError('not_found', 404);
+  return rows[0];
+}
+
+// PATCH /teams/:id/members/:userId { role }  (owner; managers may not change roles)
+app.patch('/teams/:id/members/:userId', requireAuth, async (req, res) => {
+  try {
+    const role = String(req.body?.role || '');
+    if (!TEAM_ROLES.includes(role)) return res.status(400).json({ error: 'bad_role', allowed: TEAM_ROLES });
+    await withTransaction(async (client) => {
+      const team = await loadTeamMembership(client, req.params.id, req.user.uid, ['owner']);
+      const member = await loadTeamMember(client, team.team_id, req.params.userId);
+      if (role !== 'owner') await assertOwnerRemains(client, team.team_id, member.user_id);
+      await client.query('update team_members set role=$3 where team_id=$1 and user_id=$2', [team.team_id, member.user_id, role]);
+    });
+    res.json({ ok: true, user_id: req.params.userId, role });
+  } catch (e) {
+    sendTeamError(res, e, 'PATCH /teams/:id/members/:userId');
+  }
+});
+
+/**
+ * DELETE /teams/:id/members/:userId
+ * Anyone may leave (their own id); owners remove anyone, managers remove agents.
+ * Their listings in the team book stay with the team.
+ */
+app.delete('/teams/:id/members/:userId', requireAuth, async (req, res) => {
+  try {
+    await withTransaction(async (client) => {
+      const team = await loadTeamMembership(client, req.params.id, req.user.uid);
+      const member = await loadTeamMember(client, team.team_id, req.params.userId);
+      if (String(member.user_id) !== String(req.user.uid)) {
+        if (team.role === 'agent') throw teamError('forbidden', 403);
+        assertCanManageRole(team.role, member.role);
+      }
+      await assertOwnerRemains(client, team.team_id, member.user_id);
+      await client.query('delete from team_members where team_id=$1 and user_id=$2', [team.team_id, member.user_id]);
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    sendTeamError(res, e, 'DELETE /teams/:id/members/:userId');
+  }
+});
+
+/* ============ PUBLIC SETTINGS (read-only) ============ */
+app.get('/public/settings', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`select key, value from settings`);
+    const out = {};
+    for (const r of rows) out[r.key] = r.value;
+    res.json(out); // e.g. { billing: { bank:{...}, wallets:{...}, whatsapp:"...", note:"..." } }
+  } catch (e) {
+    console.error('GET /public/settings failed:', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// The plans catalog: what each plan costs, how long it runs, what it includes.
+// Payments name a plan and must match its price; approving one extends the subscription by
+// its period_days (ADMIN: USERS & PLANS). The old fixed periods are seeded inactive and
+// without a price; until an admin activates a plan (PUT /admin/plans/:code) payments are taken
+// unchecked, the way they were before the catalog.
+function ensurePlansSchema() {
+  return ensureSchema('plans', `
+    create table if not exists plans (
+      code         text primary key,
+      name         text not null,
+      price_pkr    numeric,
+      period_days  int not null check (period_days > 0),
+      features     jsonb not null default '[]',
+      is_team      boolean not null default false,
+      active       boolean not null default false,
+      sort_order   int not null default 0,
+      updated_at   timestamptz not null default now()
+    );
+    insert into plans (code, name, period_days, sort_order) values
+      ('monthly', 'Monthly', 31, 1), ('halfyear', 'Half-yearly', 180, 2), ('yearly', 'Yearly', 365, 3)
+    on conflict (code) do nothing;`);
+}
+
+const PLAN_COLUMNS = 'code, name, price_pkr, period_days, features, is_team, active, sort_order';
+
+// GET /public/plans -> active plans, for the pricing page and the payment form
+app.get('/public/plans', async (req, res) => {
+  try {
+    await ensurePlansSchema();
+    const { rows } = await pool.query(
+      `select code, name, price_pkr, period_days, features, is_team
+         from plans where active order by sort_order, price_pkr, code`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /public/plans failed:', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* ============ DICTIONARY (societies) ============ */
+// sqft_per_marla: the society's marla (225 / 250 / 272.25 …); null = DEFAULT_SQFT_PER_MARLA
+function ensureSocietiesSchema() {
+  return ensureSchema('societies', `
+    alter table societies add column if not exists sqft_per_marla numeric`);
+}
+
+// A user's own entry wins over the default one; matched on name or any alias.
+async function societySqFtPerMarla(db, uid, name) {
+  if (!name) return DEFAULT_SQFT_PER_MARLA;
+  await ensureSocietiesSchema();
+  const { rows } = await db.query(
+    `select sqft_per_marla from societies
+      where (user_id is null or user_id = $1) and sqft_per_marla > 0
+        and (lower(name) = lower($2) or lower($2) = any(select lower(a) from unnest(aliases) a))
+      order by user_id nulls last
+      limit 1`,
+    [uid, String(name)]
+  );
+  return rows.length ? Number(rows[0].sqft_per_marla) : DEFAULT_SQFT_PER_MARLA;
+}
+
+// GET all default + user-specific societies
+app.get('/societies', requireAuth, async (req, res) => {
+  await ensureSocietiesSchema();
+  const { rows } = await pool.query(
+    `select id, name, city, aliases, sqft_per_marla
+       from societies
+      where user_id is null or user_id = $1
+      order by name asc`,
+    [req.user.uid]
+  );
+  res.json(rows);
+});
+
+// Bulk upsert user-specific societies
+// body: { items: [{ name, city, aliases: string[], sqft_per_marla? }, ...] }
+// An item without the sqft_per_marla key keeps the society's current marla (older clients
+// don't send it); null clears it. Listings in societies whose marla was sent get their
+// area / price-per-marla recomputed.
+app.post('/societies', requireAuth, async (req, res) => {
+  const items = Array.isArray(req.body?.items) ? req.body.items : [];
+  await ensureSocietiesSchema();
+  for (const it of items) {
+    const spm = Number(it.sqft_per_marla);
+    await pool.query(
+      `insert into societies (user_id, name, city, aliases, sqft_per_marla)
+         values ($1,$2,$3,$4,$5)
+       on conflict (user_id, name)
+         do update set city = excluded.city, aliases = excluded.aliases,
+                       sqft_per_marla = case when $6 then excluded.sqft_per_marla else societies.sqft_per_marla end`,
+      [req.user.uid, it.name || '', it.city || null, it.aliases || [], spm > 0 ? spm : null, Object.hasOwn(it ?? {}, 'sqft_per_marla')]
+    );
+  }
+  const names = items.filter(it => Object.hasOwn(it ?? {}, 'sqft_per_marla')).map(it => it.name).filter(Boolean);
+  if (names.length) {
+    await ensureListingsSchema();
+    await pool.query(
+      `update listings set sqft_per_marla = null
+        where user_id = $1 and lower(society_name) = any($2)`,
+      [req.user.uid, names.map(n => String(n).toLowerCase())]
+    );
+    await backfillListingAreas(req.user.uid);
+  }
+  res.json({ ok: true, count: items.length });
+});
+
+
+/* ============ PARSE ============ */
+// ParseOptions for `uid`: personal societies first (first alias match wins), then the
+// shared rows of the societies table, then the parser's built-in dictionary.
+async function userParseOptions(uid) {
+  await ensureSocietiesSchema();
+  const [settings, { rows }] = await Promise.all([
+    getUserSettings(uid),
+    pool.query(
+      `select name, aliases, sqft_per_marla from societies
+        where user_id is null or user_id = $1
+        order by user_id nulls last, name asc`,
+      [uid]
+    )
+  ]);
+  const dict = new Map();
+  const marlaSqFt = {};
+  for (const r of rows) {
+    if (!r.name) continue;
+    if (!dict.has(r.name)) dict.set(r.name, new Set());
+    for (const a of r.aliases || []) if (a) dict.get(r.name).add(a);
+    if (Number(r.sqft_per_marla) > 0 && marlaSqFt[r.name] === undefined) marlaSqFt[r.name] = Number(r.sqft_per_marla);
+  }
+  for (const [name, aliases] of parseSocietyCSV(DEFAULT_SOC_DICT)) {
+    if (!dict.has(name)) dict.set(name, new Set());
+    for (const a of aliases) dict.get(name).add(a);
+  }
+  // ":" separates the name and "," the aliases, so neither may appear inside one
+  const clean = (v) => String(v).replace(/[:,\r\n]+/g, ' ').trim();
+  const societyDictCSV = [...dict].map(([name, aliases]) =>
+    `${clean(name)} : ${[...aliases].map(clean).filter(Boolean).join(', ')}`).join('\n');
+  return {
+    societyDictCSV,
+    aliasesJSON: settings.aliases_json || null,
+    blockOutputStyle: settings.block_output_style,
+    marlaSqFt
+  };
+}
+
+/**
+ * POST /parse { text, multi? } -> ParsedResult (or { items: ParsedItem[] } with multi)
+ * Same parser as the apps, with the caller's societies + settings, so every client
+ * gets the same answer for the same text.
+ */
+app.post('/parse', requireAuth, express.text({ limit: '1mb' }), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : String(req.body?.text || '');
+    if (!text.trim()) return res.status(400).json({ error: 'text_required' });
+    const opts = await userParseOptions(req.user.uid);
+    const multi = req.body?.multi === true || req.query.multi === '1';
+    if (multi) return res.json({ items: parseMessageMulti(text, opts) });
+    res.json(parseMessage(text, opts));
+  } catch (e) {
+    console.error('POST /parse error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* ============ LISTINGS ============ */
+// archived = expired by the freshness cron (or by hand); confirming brings it back
+const LISTING_STATUSES = ['available', 'on_hold', 'sold', 'withdrawn', 'archived'];
+// Statuses that are still on the market (public feed, freshness checks)
+const LISTING_LIVE_STATUSES = ['available', 'on_hold'];
+// Who sees a listing besides its owner (and its team, when it is in the team book):
+//   private - nobody;  team - teammates, read-only in GET /listings?book=team;
+//   public  - teammates + the unauthenticated feed, with contact details masked
+const LISTING_VISIBILITIES = ['private', 'team', 'public'];
+
+// status lifecycle + per-edit history (who changed what, when)
+function ensureListingsSchema() {
+  return ensureSchema('listings', `
+    alter table listings add column if not exists status text not null default 'available';
+    alter table listings add column if not exists updated_at timestamptz;
+    create table if not exists listing_history (
+      id          bigserial primary key,
+      listing_id  text not null,
+      user_id     bigint,
+      action      text not null,
+      changes     jsonb,
+      created_at  timestamptz not null default now()
+    );
+    create index if not exists listing_history_listing_idx on listing_history (listing_id, created_at desc);
+    alter table listings add column if not exists fingerprint text;
+    alter table listings add column if not exists fingerprint_version smallint;
+    create index if not exists listings_user_fingerprint_idx on listings (user_id, fingerprint);
+    alter table listings add column if not exists search_tsv tsvector generated always as (
+      setweight(to_tsvector('simple', coalesce(society_name,'') || ' ' || coalesce(phase_block,'') || ' ' || coalesce(plot_number,'')), 'A') ||
+      setweight(to_tsvector('simple', coalesce(demand_text,'') || ' ' || coalesce(notes,'')), 'B')
+    ) stored;
+    create index if not exists listings_search_tsv_idx on listings using gin (search_tsv);
+    alter table listings add column if not exists sqft_per_marla numeric;
+    alter table listings add column if not exists area_sqft numeric;
+    alter table listings add column if not exists price_per_marla numeric;
+    alter table listings add column if not exists price_per_sqft numeric;
+    create index if not exists listings_area_pending_idx on listings (user_id) where sqft_per_marla is null;
+    alter table listings add column if not exists confirmed_at timestamptz;
+    alter table listings add column if not exists stale_at timestamptz;
+    alter table listings add column if not exists team_id bigint;
+    create index if not exists listings_team_idx on listings (team_id);
+    alter table listings add column if not exists visibility text not null default 'private';
+    create index if not exists listings_public_idx on listings (created_at desc) where visibility = 'public';
+    alter table listings add column if not exists contact_id bigint;
+    create index if not exists listings_user_contact_idx on listings (user_id, contact_id);`);
+}
+
+// Derived area columns. price_per_marla is in the society's own marla, so across
+// societies compare price_per_sqft.
+function listingAreaFields(l, sqftPerMarla) {
+  const dims = (l.attributes && l.attributes.dimensions) || '';
+  const area = areaInSqFt(l.plot_size_value, l.plot_size_unit, sqftPerMarla, dims);
+  const price = Number(l.demand_amount_pkr);
+  const priced = area && l.demand_amount_pkr !== null && l.demand_amount_pkr !== undefined && l.demand_amount_pkr !== '' && price > 0;
+  return {
+    sqft_per_marla: sqftPerMarla,
+    area_sqft: area,
+    price_per_marla: priced ? Math.round(price / (area / sqftPerMarla)) : null,
+    price_per_sqft: priced ? Math.round((price / area) * 100) / 100 : null
+  };
+}
+
+async function computeListingAreas(db, uid, l) {
+  return listingAreaFields(l, await societySqFtPerMarla(db, uid, l.society_name));
+}
+
+// Rows from before the area columns (or whose society's marla just changed): `uid`'s, or every
+// owner's when uid is null. The marla comes from the same lookup as societySqFtPerMarla, in the
+// select; each batch is written back with one UPDATE. Runs from POST /societies and the
+// listings-expiry cron, never from a read route. Returns the number of rows filled in.
+const AREA_BACKFILL_BATCH = 2000;
+async function backfillListingAreas(uid = null, { maxBatches = Infinity } = {}) {
+  await ensureSocietiesSchema();
+  let total = 0;
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const { rows } = await pool.query(
+      `select l.id::text as id, l.plot_size_value, l.plot_size_unit, l.demand_amount_pkr, l.attributes,
+              (select s.sqft_per_marla from societies s
+                where (s.user_id is null or s.user_id = l.user_id) and s.sqft_per_marla > 0
+                  and (lower(s.name) = lower(l.society_name)
+                       or lower(l.society_name) = any(select lower(a) from unnest(s.aliases) a))
+                order by s.user_id nulls last
+                limit 1) as society_marla
+         from listings l
+        where l.sqft_per_marla is null and ($1::bigint is null or l.user_id = $1)
+        limit $2`,
+      [uid, AREA_BACKFILL_BATCH]
+    );
+    if (!rows.length) break;
+    const values = rows.map(r => ({
+      id: r.id,
+      ...listingAreaFields(r, r.society_marla ? Number(r.society_marla) : DEFAULT_SQFT_PER_MARLA)
+    }));
+    await pool.query(
+      `update listings l
+          set sqft_per_marla = v.sqft_per_marla, area_sqft = v.area_sqft,
+              price_per_marla = v.price_per_marla, price_per_sqft = v.price_per_sqft
+         from jsonb_to_recordset($1::jsonb)
+           as v(id text, sqft_per_marla numeric, area_sqft numeric, price_per_marla numeric, price_per_sqft numeric)
+        where l.id::text = v.id`,
+      [JSON.stringify(values)]
+    );
+    total += rows.length;
+    if (rows.length < AREA_BACKFILL_BATCH) break;
+  }
+  return total;
+}
+
+// Same plot forwarded by many dealers => same fingerprint.
+// Built from the fields parseMessage extracts: society | block | plot no | size (in marla when known).
+// Needs at least society + plot number, otherwise two different plots would collide.
+// Bump FINGERPRINT_VERSION when the recipe changes: backfillFingerprints redoes older rows.
+const FINGERPRINT_VERSION = 2;
+function listingFingerprint(l) {
+  const society = normKey(l.society_name);
+  const plot = normKey(l.plot_number);
+  if (!society || !plot) return null;
+  const block = normBlock(l.phase_block);
+  let size = '';
+  const val = Number(l.plot_size_value);
+  if (l.plot_size_value !== null && l.plot_size_value !== undefined && l.plot_size_value !== '' && Number.isFinite(val)) {
+    const marla = sizeInMarla(val, l.plot_size_unit || 'Marla');
+    size = marla !== null ? `${marla}m` : `${val}${normKey(l.plot_size_unit)}`;
+  }
+  return [society, block, plot, size].join('|');
+}
+
+// Comparison keys shared by duplicate detection and requirement matching.
+// Letters and digits of any script survive ("بحریہ ٹاؤن" must not come out empty).
+function normKey(v) {
+  return asciiDigits(String(v ?? '').toLowerCase()).replace(/[^\p{L}\p{N}]/gu, '');
+}
+// "Block F" / "F block" / "blk F" -> "f"
+function normBlock(v) {
+  return normKey(String(v || '').replace(/\b(?:block|blk)\b/gi, ''));
+}
+// Marla/Kanal sizes as marla; null for units we can't convert (SqFt, SqYd, dimensions)
+function sizeInMarla(value, unit) {
+  const val = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(val)) return null;
+  const u = normKey(unit || 'marla');
+  if (u === 'kanal') return val * 20;
+  if (u === 'marla') return val;
+  return null;
+}
+
+// Other rows in the same user's book with this fingerprint
+async function findDuplicateIds(db, uid, fingerprint, excludeId) {
+  if (!fingerprint) return [];
+  const { rows } = await db.query(
+    `select id from listings
+      where user_id=$1 and fingerprint=$2 and id::text <> $3
+      order by created_at asc`,
+    [uid, fingerprint, String(excludeId ?? '')]
+  );
+  return rows.map(r => r.id);
+}
+
+// ---- Feed sorting + keyset pagination ----
+// sort key -> SQL expression + the type its cursor value is cast back to.
+// size sorts by normalized area, so 1 kanal, 20 marla and 4500 sq ft line up.
+const LISTING_SORTS = {
+  date:      { expr: () => 'l.created_at', cast: 'timestamptz' },
+  price:     { expr: () => 'l.demand_amount_pkr', cast: 'numeric', nullable: true },
+  size:      { expr: () => 'l.area_sqft', cast: 'numeric', nullable: true },
+  ppm:       { expr: () => 'l.price_per_marla', cast: 'numeric', nullable: true },
+  ppsf:      { expr: () => 'l.price_per_sqft', cast: 'numeric', nullable: true },
+  relevance: { expr: (tsq) => `ts_rank(l.search_tsv, ${tsq})`, cast: 'real' }
+};
+
+function encodeCursor(c) {
+  return Buffer.from(JSON.stringify(c)).toString('base64url');
+}
+function decodeCursor(s) {
+  try { return JSON.parse(Buffer.from(String(s), 'base64url').toString('utf8')); } catch { return null; }
+}
+
+// "bahria ph 7" -> "bahria:* & ph:* & 7:*" (every word as a prefix; only letters/digits reach to_tsquery)
+function toPrefixTsQuery(q) {
+  const words = String(q || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(w => `${w}:*`).join(' & ');
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const LISTING_BOOKS = ['mine', 'team', 'all'];
+
+// Numeric range filters over the derived area columns: ?min_area=&max_area= (sq ft) etc.
+const LISTING_RANGE_FILTERS = {
+  area: 'area_sqft',
+  ppm: 'price_per_marla',
+  ppsf: 'price_per_sqft'
+};
+
+// The per-user feed filters (?book=&soc=&blk=&unit=&nature=&min=&max=&q=&status=&include_stale=
+// &min_area=&max_area=&min_ppm=&max_ppm=&min_ppsf=&max_ppsf=) as SQL.
+// Shared by GET /listings and saved-search digests so both see the same rows.
+// book: mine (default, what uid added) | team (teamId's book, plus teammates' team/public
+// listings) | all (both).
+// Without ?status, archived rows are left out, and stale ones too unless include_stale=1;
+// allStatuses keeps both (the export is a backup of the whole book).
+function listingFilters(uid, query, teamId = null, { allStatuses = false } = {}) {
+  const { book = 'mine', soc, blk, unit, min, max, q, nature, status, include_stale, visibility } = query || {};
+  if (!LISTING_BOOKS.includes(book)) throw badRequest('bad_book');
+  if (book !== 'mine' && !teamId) throw badRequest('no_team');
+  const params = book === 'mine' ? [uid] : book === 'team' ? [teamId] : [uid, teamId];
+  const t = `$${params.length}`;
+  const teamBook = `(l.team_id=${t} or (l.visibility <> 'private' and l.user_id in (select user_id from team_members where team_id=${t})))`;
+  let where = book === 'mine' ? 'l.user_id=$1' : book === 'team' ? teamBook : `(l.user_id=$1 or ${teamBook})`;
+  let tsq = null;
+  if (status){
+    // status=available or status=available,on_hold
+    const list = String(status).split(',').map(s => s.trim()).filter(Boolean);
+    params.push(list); where += ` and status = any($${params.length})`;
+  } else if (!allStatuses) {
+    where += ` and l.status <> 'archived'`;
+    if (!['1', 'true', 'yes'].includes(String(include_stale || '').toLowerCase())) where += ' and l.stale_at is null';
+  }
+  if (soc)   { params.push(soc);   where += ` and society_name=$${params.length}`; }
+  if (blk)   { params.push(blk);   where += ` and phase_block=$${params.length}`; }
+  if (unit)  { params.push(unit);  where += ` and plot_size_unit=$${params.length}`; }
+  if (nature){ params.push(nature);where += ` and coalesce(attributes->>'land_nature','')=$${params.length}`; }
+  if (visibility) {
+    const list = String(visibility).split(',').map(s => s.trim()).filter(Boolean);
+    if (list.some(v => !LISTING_VISIBILITIES.includes(v))) throw badRequest('bad_visibility');
+    params.push(list); where += ` and l.visibility = any($${params.length})`;
+  }
+  if (min)   { params.push(Number(min)); where += ` and coalesce(demand_amount_pkr,0) >= $${params.length}`; }
+  if (max)   { params.push(Number(max)); where += ` and coalesce(demand_amount_pkr,0) <= $${params.length}`; }
+  for (const [name, col] of Object.entries(LISTING_RANGE_FILTERS)) {
+    for (const [bound, op] of [['min', '>='], ['max', '<=']]) {
+      const v = query?.[`${bound}_${name}`];
+      if (v === undefined || v === '') continue;
+      if (!Number.isFinite(Number(v))) throw badRequest(`bad_${bound}_${name}`);
+      params.push(Number(v)); where += ` and ${col} ${op} $${params.length}`;
+    }
+  }
+  const tsQuery = toPrefixTsQuery(q);
+  if (tsQuery) {
+    params.push(tsQuery);
+    tsq = `to_tsquery('simple', $${params.length})`;
+    where += ` and l.search_tsv @@ ${tsq}`;
+  }
+  return { where, params, tsq };
+}
+
+/**
+ * One page of `select <select> from listings l where <where>` ordered by ?sort= / ?order=,
+ * resuming after ?cursor=. Rows are ordered by (sort key, id) so ties never repeat or skip.
+ * Returns { rows, next_cursor } (next_cursor null on the last page).
+ */
+async function pageListings(req, { select, where, params, tsq }) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '200', 10) || 200, 1), 500);
+  const sort = String(req.query.sort || (tsq ? 'relevance' : 'date'));
+  const spec = LISTING_SORTS[sort];
+  if (!spec || (sort === 'relevance' && !tsq)) throw badRequest('bad_sort');
+  const defaultOrder = (sort === 'date' || sort === 'relevance') ? 'desc' : 'asc';
+  const dir = String(req.query.order || defaultOrder).toLowerCase() === 'asc' ? 'asc' : 'desc';
+
+  // Missing prices/sizes go last in either direction
+  let key = spec.expr(tsq);
+  if (spec.nullable) key = `coalesce(${key}, ${dir === 'asc' ? '1e18' : '-1'})`;
+
+  if (req.query.cursor) {
+    const c = decodeCursor(req.query.cursor);
+    if (!c || c.s !== sort || c.o !== dir || c.id === undefined) throw badRequest('bad_cursor');
+    params.push(c.v, c.id);
+    where += ` and (${key}, l.id) ${dir === 'asc' ? '>' : '<'} ($${params.length - 1}::${spec.cast}, $${params.length})`;
+  }
+
+  params.push(limit + 1);
+  const { rows } = await pool.query(
+    `select ${select}, (${key})::text as _sort_key
+       from listings l
+      where ${where}
+      order by ${key} ${dir}, l.id ${dir}
+      limit $${params.length}`,
+    params
+  );
+
+  const more = rows.length > limit;
+  if (more) rows.pop();
+  const last = rows[rows.length - 1];
+  const next_cursor = more ? encodeCursor({ s: sort, o: dir, v: last._sort_key, id: last.id }) : null;
+  for (const r of rows) { delete r._sort_key; delete r.search_tsv; }
+  return { rows, next_cursor };
+}
+
+/* Unified: if a valid JWT is present, return that user's filtered feed.
+ * With no Authorization header, fall back to a public recent feed (visibility=public only, contact masked, no notes).
+ * An expired or invalid token is a 401 (token_expired / unauthorized), not the public feed.
+ *
+ * ?sort=date|price|size|ppm|ppsf|relevance &order=asc|desc &limit= &cursor=
+ * size/ppm/ppsf use the stored area_sqft / price_per_marla / price_per_sqft, which follow each
+ * society's marla (GET|POST /societies sqft_per_marla); ?min_area=&max_area= etc. filter on them.
+ * ?q= is a ranked full-text search (society, block, plot no, notes, demand text);
+ * with q the default sort is relevance.
+ * The body stays a plain array for old app builds; send ?cursor (empty for the first page)
+ * to get { items, next_cursor } instead. X-Next-Cursor is always set when there is more.
+ */
+app.get('/listings', async (req, res) => {
+  try {
+    // Try to authenticate (optional)
+    const uid = await optionalAuthUid(req);
+
+    await ensureListingsSchema();
+
+    let page;
+    // Authenticated (per-user) feed
+    if (uid) {
+      const team = await userTeam(pool, uid);
+      const { where, params, tsq } = listingFilters(uid, req.query, team?.team_id);
+      page = await pageListings(req, {
+        select: `l.*,
+                (select count(*)::int from listings d
+                  where d.user_id = l.user_id and d.fingerprint = l.fingerprint and d.id <> l.id) as duplicate_count`,
+        where, params, tsq
+      });
+    } else {
+      // Public (unauthenticated) feed: only listings marked public, and never the client's
+      // number or name. phone is masked; POST /listings/:id/contact-requests asks the dealer.
+      // Free-text notes stay private: there is no reliable way to find every number in them.
+      page = await pageListings(req, {
+        select: `id, society_name, phase_block, plot_size_value, plot_size_unit,
+          plot_number, demand_amount_pkr, demand_text, area_sqft, price_per_marla, price_per_sqft,
+          (attributes->>'phone') as phone,
+          ${PUBLIC_ATTRIBUTES_SQL} as attributes, status, created_at`,
+        where: `visibility = 'public' and status in ('available','on_hold') and stale_at is null`,
+        params: []
+      });
+      page.rows = page.rows.map(publicListing);
+    }
+
+    if (page.next_cursor) res.set('X-Next-Cursor', page.next_cursor);
+    if (req.query.cursor !== undefined) return res.json({ items: page.rows, next_cursor: page.next_cursor });
+    res.json(page.rows);
+  } catch (e) {
+    if (e.status === 400 || e.status === 401) return res.status(e.status).json({ error: e.message });
+    console.error('GET /listings failed:', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+
+// Insert one listing row for `uid`. `db` is the pool or a transaction client.
+// Body shape is the POST /listings body; phone + contact_name are merged into attributes.
+async function insertListing(db, uid, body) {
+  await ensureListingsSchema();
+const {
+  society_name,
+  phase_block,
+  plot_size_value,
+  plot_size_unit,
+  plot_number,
+  demand_amount_pkr,
+  demand_text,
+  phone,        // client sends "phone"
+  contact_name,   // NEW
+  notes,
+  status,
+  attributes,
+  team_id,      // put it straight into the caller's team book
+  visibility
+} = body || {};
+if (status && !LISTING_STATUSES.includes(status)) {
+  const err = new Error('bad_status');
+  err.status = 400;
+  throw err;
+}
+if (visibility && !LISTING_VISIBILITIES.includes(visibility)) throw badRequest('bad_visibility');
+if (team_id) {
+  const team = await userTeam(db, uid);
+  if (!team || String(team.team_id) !== String(team_id)) throw badRequest('bad_team');
+}
+
+// Merge phone into attributes JSONB (no dedicated phone column in this DB)
 // Merge phone + contact_name into attributes JSONB
 const mergedAttributes =
   attributes && typeof attributes === 'object'
@@ -687,117 +2158,3217 @@ const mergedAttributes =
         phone: (phone ?? attributes.phone ?? null),
         contact_name: (contact_name ?? attributes.contact_name ?? null)
       }
-    : (
-        (phone || contact_name)
-          ? { phone: phone || null, contact_name: contact_name || null }
-          : null
+    : (
+        (phone || contact_name)
+          ? { phone: phone || null, contact_name: contact_name || null }
+          : null
+      );
+
+
+const fingerprint = listingFingerprint({
+  society_name, phase_block, plot_size_value, plot_size_unit: plot_size_unit || 'Marla', plot_number
+});
+const area = await computeListingAreas(db, uid, {
+  society_name, plot_size_value, plot_size_unit: plot_size_unit || 'Marla', demand_amount_pkr, attributes: mergedAttributes
+});
+
+const { rows } = await db.query(
+  `insert into listings
+     (user_id, society_name, phase_block, plot_size_value, plot_size_unit,
+      plot_number, demand_amount_pkr, demand_text, notes, attributes, status, fingerprint, fingerprint_version,
+      sqft_per_marla, area_sqft, price_per_marla, price_per_sqft, team_id, visibility)
+   values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
+   returning *`,
+  [
+    uid,
+    society_name || null,
+    phase_block || null,
+    plot_size_value ?? null,
+    plot_size_unit || 'Marla',
+    plot_number || null,
+    demand_amount_pkr ?? null,
+    demand_text || null,
+    notes || null,
+    mergedAttributes,
+    status || 'available',
+    fingerprint,
+    FINGERPRINT_VERSION,
+    area.sqft_per_marla,
+    area.area_sqft,
+    area.price_per_marla,
+    area.price_per_sqft,
+    team_id || null,
+    visibility || 'private'
+  ]
+);
+  const duplicate_of = await findDuplicateIds(db, uid, fingerprint, rows[0].id);
+  const matched_requirements = await recordRequirementMatches(db, uid, rows[0]);
+  const contact_id = await linkListingContact(db, uid, rows[0]);
+  return { id: rows[0].id, duplicate_of, matched_requirements, contact_id };
+}
+
+// Run fn(client) inside BEGIN/COMMIT; rolls back and rethrows on error.
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    const out = await fn(client);
+    await client.query('commit');
+    return out;
+  } catch (e) {
+    await client.query('rollback').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Create a listing (user-scoped)
+app.post('/listings', requireAuth, readOnlyMiddleware(), express.json(), async (req, res) => {
+  try {
+    const uid = req.user.uid; // set by requireAuth
+    const row = await insertListing(pool, uid, req.body);
+    res.status(201).json(row);
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error('POST /listings error', e);
+    res.status(500).json({ error: e?.message || 'server_error', detail: e?.detail || e?.code || null });
+
+  }
+});
+
+// Columns PATCH /listings/:id may touch; phone + contact_name live in attributes
+const LISTING_EDITABLE = [
+  'society_name', 'phase_block', 'plot_size_value', 'plot_size_unit', 'plot_number',
+  'demand_amount_pkr', 'demand_text', 'notes', 'status', 'visibility'
+];
+
+// Load a listing for a mutating route; 404 if missing, 403 if someone else's.
+// Team owners and managers may change anything in their team's book.
+async function loadOwnListing(db, id, uid, { lock = false } = {}) {
+  let r;
+  try {
+    r = await db.query(`select * from listings where id=$1${lock ? ' for update' : ''}`, [id]);
+  } catch (e) {
+    if (e.code === '22P02') r = { rows: [] }; // malformed id
+    else throw e;
+  }
+  if (!r.rows.length) {
+    const err = new Error('not_found');
+    err.status = 404;
+    throw err;
+  }
+  // A listing in the team book belongs to the team: its author keeps access only while still
+  // a member, anyone else needs to be a team owner/manager.
+  const own = String(r.rows[0].user_id) === String(uid);
+  const team = r.rows[0].team_id ? await userTeam(db, uid) : null;
+  const member = team && String(team.team_id) === String(r.rows[0].team_id);
+  if (r.rows[0].team_id ? !member || (!own && team.role === 'agent') : !own) {
+    const err = new Error('forbidden');
+    err.status = 403;
+    throw err;
+  }
+  return r.rows[0];
+}
+
+async function recordListingHistory(db, listingId, uid, action, changes) {
+  await db.query(
+    `insert into listing_history (listing_id, user_id, action, changes)
+     values ($1,$2,$3,$4)`,
+    [String(listingId), uid, action, changes ? JSON.stringify(changes) : null]
+  );
+}
+
+/**
+ * PATCH /listings/:id { any of LISTING_EDITABLE, phone?, contact_name?, attributes?, team_id? }
+ * Owner-only (plus team owners/managers for the team book). Only changed fields are written;
+ * each edit is kept in listing_history as { field: { from, to } }.
+ * team_id: your team's id moves the listing into the team book, null takes it out again
+ * (team owners/managers only). Team-book listings are only editable by current members.
+ */
+app.patch('/listings/:id', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.status !== undefined && !LISTING_STATUSES.includes(body.status)) {
+      return res.status(400).json({ error: 'bad_status', allowed: LISTING_STATUSES });
+    }
+    if (body.visibility !== undefined && !LISTING_VISIBILITIES.includes(body.visibility)) {
+      return res.status(400).json({ error: 'bad_visibility', allowed: LISTING_VISIBILITIES });
+    }
+    for (const k of ['plot_size_value', 'demand_amount_pkr']) {
+      const v = body[k];
+      if (v === undefined || v === null || v === '') continue;
+      if (!['number', 'string'].includes(typeof v) || String(v).trim() === '' || !Number.isFinite(Number(v))) {
+        return res.status(400).json({ error: `bad_${k}` });
+      }
+    }
+    // DDL runs on its own connection: it has to be done before the transaction locks listings
+    await ensureListingsSchema();
+    await ensureContactsSchema();
+
+    const out = await withTransaction(async (client) => {
+      const cur = await loadOwnListing(client, req.params.id, req.user.uid, { lock: true });
+
+      const next = {};
+      for (const k of LISTING_EDITABLE) {
+        if (body[k] !== undefined) next[k] = body[k] === '' ? null : body[k];
+      }
+      if (body.team_id !== undefined) {
+        const team = await userTeam(client, req.user.uid);
+        const to = body.team_id || null;
+        if (to && (!team || String(team.team_id) !== String(to))) throw badRequest('bad_team');
+        if (!to && cur.team_id && team.role === 'agent') {
+          // only owners/managers take a listing out of the team book
+          const err = new Error('forbidden');
+          err.status = 403;
+          throw err;
+        }
+        next.team_id = to;
+      }
+      if (body.attributes !== undefined || body.phone !== undefined || body.contact_name !== undefined) {
+        const attrs = { ...(cur.attributes || {}), ...((body.attributes && typeof body.attributes === 'object') ? body.attributes : {}) };
+        if (body.phone !== undefined) attrs.phone = body.phone || null;
+        if (body.contact_name !== undefined) attrs.contact_name = body.contact_name || null;
+        next.attributes = attrs;
+      }
+
+      // pg hands numerics back as strings, so compare scalars as text
+      const same = (a, b) => (a && typeof a === 'object') || (b && typeof b === 'object')
+        ? JSON.stringify(a) === JSON.stringify(b)
+        : String(a ?? '') === String(b ?? '');
+      const changes = {};
+      for (const [k, v] of Object.entries(next)) {
+        const before = cur[k] ?? null;
+        if (!same(before, v)) changes[k] = { from: before, to: v ?? null };
+      }
+      if (!Object.keys(changes).length) return { changed: 0, listing: cur };
+
+      const cols = {};
+      for (const k of Object.keys(changes)) cols[k] = changes[k].to;
+      cols.fingerprint = listingFingerprint({ ...cur, ...cols });
+      cols.fingerprint_version = FINGERPRINT_VERSION;
+      Object.assign(cols, await computeListingAreas(client, cur.user_id, { ...cur, ...cols }));
+      // Editing a listing that is still for sale counts as confirming it
+      if (LISTING_LIVE_STATUSES.includes(cols.status ?? cur.status)) {
+        cols.confirmed_at = new Date();
+        cols.stale_at = null;
+      }
+      const keys = Object.keys(cols);
+      const sets = keys.map((k, i) => `${k}=$${i + 2}`).join(', ');
+      const { rows } = await client.query(
+        `update listings set ${sets}, updated_at=now() where id=$1 returning *`,
+        [cur.id, ...keys.map(k => cols[k])]
+      );
+      await recordListingHistory(client, cur.id, req.user.uid,
+        changes.status ? `status:${changes.status.to}` : 'update', changes);
+      if (changes.attributes) rows[0].contact_id = await linkListingContact(client, rows[0].user_id, rows[0]);
+      return { changed: Object.keys(changes).length, listing: rows[0] };
+    });
+
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    if ([400, 403, 404].includes(e.status)) return res.status(e.status).json({ error: e.message });
+    console.error('PATCH /listings/:id error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// DELETE /listings/:id  (owner-only; the last snapshot stays in listing_history)
+app.delete('/listings/:id', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    await withTransaction(async (client) => {
+      const cur = await loadOwnListing(client, req.params.id, req.user.uid, { lock: true });
+      await client.query('delete from listings where id=$1', [cur.id]);
+      await recordListingHistory(client, cur.id, req.user.uid, 'delete', { before: cur });
+    });
+    res.json({ ok: true, id: req.params.id });
+  } catch (e) {
+    if (e.status === 404 || e.status === 403) return res.status(e.status).json({ error: e.message });
+    console.error('DELETE /listings/:id error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// GET /listings/:id/history  -> newest first, with the editor's email
+app.get('/listings/:id/history', requireAuth, async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    await ensureTeamsSchema();
+    // Owner can read history even after the listing is deleted
+    const { rows } = await pool.query(
+      `select h.id, h.action, h.changes, h.created_at, h.user_id, u.email
+         from listing_history h
+    left join app_users u on u.id = h.user_id
+        where h.listing_id = $1
+          and exists (select 1 from listing_history o
+                       where o.listing_id = h.listing_id and o.user_id = $2
+                      union all
+                      select 1 from listings l
+                       where l.id::text = h.listing_id
+                         and (l.user_id = $2 or l.team_id = (select team_id from team_members where user_id = $2)))
+        order by h.created_at desc
+        limit 200`,
+      [String(req.params.id), req.user.uid]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /listings/:id/history error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* ============ LISTINGS: DUPLICATES ============ */
+
+// Rows created before fingerprints existed (or under an older recipe) get one the first time
+// duplicates are looked at. The version is stored even when no fingerprint can be built, so
+// those rows aren't scanned again on every call.
+async function backfillFingerprints(uid) {
+  const { rows } = await pool.query(
+    `select id, society_name, phase_block, plot_size_value, plot_size_unit, plot_number
+       from listings
+      where user_id=$1 and fingerprint_version is distinct from $2`,
+    [uid, FINGERPRINT_VERSION]
+  );
+  for (const r of rows) {
+    await pool.query('update listings set fingerprint=$2, fingerprint_version=$3 where id=$1',
+      [r.id, listingFingerprint(r), FINGERPRINT_VERSION]);
+  }
+}
+
+// GET /listings/duplicates -> [{ fingerprint, count, listings: [...] }], biggest clusters first
+app.get('/listings/duplicates', requireAuth, async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    await backfillFingerprints(req.user.uid);
+    const { rows } = await pool.query(
+      `select fingerprint, count(*)::int as count,
+              json_agg(json_build_object(
+                'id', id, 'society_name', society_name, 'phase_block', phase_block,
+                'plot_number', plot_number, 'plot_size_value', plot_size_value,
+                'plot_size_unit', plot_size_unit, 'demand_amount_pkr', demand_amount_pkr,
+                'phone', attributes->>'phone', 'contact_name', attributes->>'contact_name',
+                'status', status, 'created_at', created_at
+              ) order by created_at asc) as listings
+         from listings
+        where user_id=$1 and fingerprint is not null
+        group by fingerprint
+       having count(*) > 1
+        order by count(*) desc, max(created_at) desc
+        limit 200`,
+      [req.user.uid]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /listings/duplicates error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * POST /listings/merge { keep_id, merge_ids: [...] }
+ * Folds merge_ids into keep_id and deletes them. The kept row gains
+ * attributes.contacts (every phone/contact seen) and attributes.demand_history
+ * (every demand seen, with when), and fills any of its empty columns from the others.
+ */
+app.post('/listings/merge', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    const keepId = req.body?.keep_id;
+    const mergeIds = Array.isArray(req.body?.merge_ids)
+      ? req.body.merge_ids.filter(id => String(id) !== String(keepId))
+      : [];
+    if (!keepId || !mergeIds.length) return res.status(400).json({ error: 'bad_args' });
+    await ensureListingsSchema();
+
+    const merged = await withTransaction(async (client) => {
+      const keep = await loadOwnListing(client, keepId, req.user.uid, { lock: true });
+      const others = [];
+      for (const id of mergeIds) others.push(await loadOwnListing(client, id, req.user.uid, { lock: true }));
+      const all = [keep, ...others];
+
+      const contacts = [];
+      const demands = [];
+      const seenContact = new Set();
+      const seenDemand = new Set();
+      for (const l of all) {
+        const a = l.attributes || {};
+        for (const c of [...(a.contacts || []), { phone: a.phone, contact_name: a.contact_name, seen_at: l.created_at }]) {
+          if (!c || (!c.phone && !c.contact_name)) continue;
+          const key = `${c.phone || ''}|${(c.contact_name || '').toLowerCase()}`;
+          if (seenContact.has(key)) continue;
+          seenContact.add(key);
+          contacts.push({ phone: c.phone || null, contact_name: c.contact_name || null, seen_at: c.seen_at || null });
+        }
+        for (const d of [...(a.demand_history || []), { amount: l.demand_amount_pkr, text: l.demand_text, seen_at: l.created_at }]) {
+          if (!d || (d.amount == null && !d.text)) continue;
+          const key = `${d.amount ?? ''}|${d.text || ''}|${d.seen_at || ''}`;
+          if (seenDemand.has(key)) continue;
+          seenDemand.add(key);
+          demands.push({ amount: d.amount == null ? null : Number(d.amount), text: d.text || null, seen_at: d.seen_at || null });
+        }
+      }
+
+      // Columns that belong together (value + unit, amount + text) are taken from the same donor
+      const fill = {};
+      for (const group of [['phase_block'], ['plot_size_value', 'plot_size_unit'], ['demand_amount_pkr', 'demand_text'], ['notes']]) {
+        const [k] = group;
+        if (keep[k] !== null && keep[k] !== '') continue;
+        const donor = others.find(o => o[k] !== null && o[k] !== '');
+        if (donor) for (const g of group) fill[g] = donor[g];
+      }
+      const attributes = {
+        ...Object.assign({}, ...others.map(o => o.attributes || {}).reverse()),
+        ...(keep.attributes || {}),
+        contacts,
+        demand_history: demands,
+        merged_ids: [...((keep.attributes || {}).merged_ids || []), ...others.map(o => o.id)]
+      };
+      const cols = { ...fill, attributes };
+      // block/size may have just been filled in, which changes what the row is a duplicate of
+      cols.fingerprint = listingFingerprint({ ...keep, ...cols });
+      cols.fingerprint_version = FINGERPRINT_VERSION;
+      Object.assign(cols, await computeListingAreas(client, keep.user_id, { ...keep, ...cols }));
+      const keys = Object.keys(cols);
+      const { rows } = await client.query(
+        `update listings set ${keys.map((k, i) => `${k}=$${i + 2}`).join(', ')}, updated_at=now()
+          where id=$1 returning *`,
+        [keep.id, ...keys.map(k => cols[k])]
+      );
+
+      await client.query('delete from listings where id = any($1)', [others.map(o => o.id)]);
+      await recordListingHistory(client, keep.id, req.user.uid, 'merge',
+        { merged_ids: others.map(o => o.id), before: keep });
+      for (const o of others) {
+        await recordListingHistory(client, o.id, req.user.uid, 'merged_into', { into: keep.id, before: o });
+      }
+      return rows[0];
+    });
+
+    res.json({ ok: true, listing: merged, merged: mergeIds.length });
+  } catch (e) {
+    if (e.status === 404 || e.status === 403) return res.status(e.status).json({ error: e.message });
+    console.error('POST /listings/merge error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* ============ LISTINGS: WHATSAPP IMPORT ============ */
+// Two steps so a whole group export is one upload + one commit from the phone:
+//   1) POST /listings/import               -> split + parse, stage, return preview
+//   2) POST /listings/import/:id/commit    -> insert the selected rows in one transaction
+
+const IMPORT_MAX_MESSAGES = Number(process.env.IMPORT_MAX_MESSAGES || 2000);
+// Items whose weakest key field (society/plot/size/demand) scores below this are never
+// committed by default; the user has to pick them (indexes) or correct them (edits).
+const IMPORT_MIN_CONFIDENCE = Number(process.env.IMPORT_MIN_CONFIDENCE || 0.6);
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+function ensureListingImportsTable() {
+  return ensureSchema('listing_imports', `
+    create table if not exists listing_imports (
+      id           bigserial primary key,
+      user_id      bigint not null,
+      source       text,
+      items        jsonb not null,
+      created_at   timestamptz not null default now(),
+      committed_at timestamptz
+    )`);
+}
+
+// Map one parsed chat message to a POST /listings body.
+function listingFromParsed(parsed, msg) {
+  // Senders saved only as a number show up as "+92 300 1234567"
+  const senderIsPhone = /^\+?[\d\s-]{10,}$/.test(msg.sender || '');
+  return {
+    society_name: parsed.society || null,
+    phase_block: parsed.phase_block || null,
+    plot_size_value: parsed.size_val === '' ? null : parsed.size_val,
+    plot_size_unit: parsed.size_unit || null,
+    plot_number: parsed.plot_no || null,
+    demand_amount_pkr: parsed.demand_pkr === '' ? null : parsed.demand_pkr,
+    demand_text: parsed.demand_text || null,
+    phone: parsed.phone_e164 || (senderIsPhone ? toE164(msg.sender) : null),
+    contact_name: parsed.contact_name || (senderIsPhone ? null : (msg.sender || null)),
+    notes: parsed.notes || null,
+    attributes: {
+      flags: parsed.flags,
+      dimensions: parsed.dimensions || null,
+      source: 'whatsapp_import',
+      source_text: msg.text,
+      sent_at: msg.sent_at || null
+    }
+  };
+}
+
+/**
+ * POST /listings/import
+ *   multipart: file=<WhatsApp .txt export>
+ *   text/plain: raw export or paste
+ *   json: { text }
+ * Returns { import_id, count, min_confidence, items: [{ index, message_index, span, sender, sent_at, text, parsed, listing, looks_like_listing, needs_review }] }
+ * `span` is the item's offsets inside its message (several items per message for inventory lists).
+ * `parsed.fields` has per-field { confidence, span, reason }; `needs_review` marks listings below IMPORT_MIN_CONFIDENCE.
+ */
+app.post('/listings/import', requireAuth, readOnlyMiddleware(), importUpload.single('file'), express.text({ limit: '5mb' }), async (req, res) => {
+  try {
+    const text = req.file
+      ? req.file.buffer.toString('utf8')
+      : (typeof req.body === 'string' ? req.body : String(req.body?.text || ''));
+    if (!text.trim()) return res.status(400).json({ error: 'text_required' });
+
+    const messages = splitChatExport(text);
+    if (messages.length > IMPORT_MAX_MESSAGES) {
+      return res.status(413).json({ error: 'too_many_messages', max: IMPORT_MAX_MESSAGES, count: messages.length });
+    }
+
+    // One staged item per listing: inventory posts ("1) … 2) …") yield several per message
+    const opts = await userParseOptions(req.user.uid);
+    const items = [];
+    messages.forEach((msg, message_index) => {
+      for (const { span, text: itemText, ...parsed } of parseMessageMulti(msg.text, opts)) {
+        const listing = listingFromParsed(parsed, msg);
+        // Chit-chat ("ok", "call me") parses to nothing; don't preselect it
+        const looks_like_listing = Boolean(
+          (parsed.size_val !== '' || parsed.demand_pkr !== '') &&
+          (parsed.society || parsed.phase_block || parsed.plot_no)
+        );
+        const needs_review = looks_like_listing && parsed.confidence < IMPORT_MIN_CONFIDENCE;
+        items.push({
+          index: items.length, message_index, span,
+          sender: msg.sender, sent_at: msg.sent_at, text: itemText,
+          parsed, listing, looks_like_listing, needs_review
+        });
+      }
+    });
+
+    await ensureListingImportsTable();
+    const { rows } = await pool.query(
+      `insert into listing_imports (user_id, source, items)
+       values ($1,$2,$3)
+       returning id`,
+      [req.user.uid, req.file ? 'file' : 'paste', JSON.stringify(items)]
+    );
+
+    res.json({ import_id: rows[0].id, count: items.length, min_confidence: IMPORT_MIN_CONFIDENCE, items });
+  } catch (e) {
+    console.error('POST /listings/import error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * POST /listings/import/:id/commit { indexes?: number[], edits?: { [index]: Partial<listing> } }
+ * Inserts the selected staged rows in one transaction. Default selection: every row with
+ * looks_like_listing, except needs_review rows the user hasn't edited.
+ * `edits` lets the app send the user's corrections from the preview screen.
+ */
+app.post('/listings/import/:id/commit', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    await ensureListingImportsTable();
+    const { rows } = await pool.query(
+      'select * from listing_imports where id=$1 and user_id=$2',
+      [id, req.user.uid]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'not_found' });
+    if (rows[0].committed_at) return res.status(409).json({ error: 'already_committed' });
+
+    const items = rows[0].items || [];
+    const edits = (req.body?.edits && typeof req.body.edits === 'object') ? req.body.edits : {};
+    const wanted = Array.isArray(req.body?.indexes)
+      ? new Set(req.body.indexes.map(Number))
+      : null;
+    const selected = items.filter(it => wanted
+      ? wanted.has(it.index)
+      : it.looks_like_listing && (!it.needs_review || edits[it.index]));
+    const held = wanted ? [] : items.filter(it => it.needs_review && !edits[it.index]).map(it => it.index);
+    if (!selected.length) return res.status(400).json({ error: 'nothing_selected', needs_review: held });
+
+    // schema first: insertListing's DDL would wait on this transaction's own locks
+    await ensureListingsSchema();
+    await ensureContactsSchema();
+    const ids = await withTransaction(async (client) => {
+      // Lock the staging row so a double tap can't insert twice
+      const lock = await client.query(
+        'update listing_imports set committed_at=now() where id=$1 and committed_at is null',
+        [id]
+      );
+      if (lock.rowCount === 0) {
+        const err = new Error('already_committed');
+        err.status = 409;
+        throw err;
+      }
+      const out = [];
+      for (const it of selected) {
+        const edit = edits[it.index] || {};
+        const body = {
+          ...it.listing,
+          ...edit,
+          attributes: { ...(it.listing.attributes || {}), ...(edit.attributes || {}) }
+        };
+        const row = await insertListing(client, req.user.uid, body);
+        out.push({ index: it.index, ...row });
+      }
+      return out;
+    });
+
+    res.status(201).json({ ok: true, import_id: id, inserted: ids.length, ids, needs_review: held });
+  } catch (e) {
+    if (e.status === 409 || e.status === 400) return res.status(e.status).json({ error: e.message });
+    console.error('POST /listings/import/:id/commit error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+
+
+
+/* ============ LISTINGS: SPREADSHEET EXPORT / IMPORT ============ */
+// A dealer's book out to CSV/XLSX (same filters as GET /listings) and existing sheets back in.
+
+const SPREADSHEET_MAX_ROWS = Number(process.env.SPREADSHEET_MAX_ROWS || 5000);
+
+// Export columns, in sheet order. The headers are also recognised on import, so an
+// exported file can be edited and loaded back.
+const SHEET_COLUMNS = [
+  { key: 'id',                header: 'ID' },
+  { key: 'status',            header: 'Status' },
+  { key: 'society_name',      header: 'Society' },
+  { key: 'phase_block',       header: 'Block' },
+  { key: 'plot_number',       header: 'Plot No' },
+  { key: 'plot_size_value',   header: 'Size' },
+  { key: 'plot_size_unit',    header: 'Unit' },
+  { key: 'area_sqft',         header: 'Area (sq ft)' },
+  { key: 'demand_amount_pkr', header: 'Demand (PKR)' },
+  { key: 'demand_text',       header: 'Demand Text' },
+  { key: 'price_per_marla',   header: 'Price / Marla' },
+  { key: 'price_per_sqft',    header: 'Price / sq ft' },
+  { key: 'phone',             header: 'Phone',       attr: true },
+  { key: 'contact_name',      header: 'Contact',     attr: true },
+  { key: 'land_nature',       header: 'Land Nature', attr: true },
+  { key: 'notes',             header: 'Notes' },
+  { key: 'created_at',        header: 'Created' },
+  { key: 'confirmed_at',      header: 'Confirmed' },
+  { key: 'updated_at',        header: 'Updated' }
+];
+
+// Fields an imported row can set (attributes.* ones are folded in by insertListing)
+const SHEET_IMPORT_FIELDS = [
+  'society_name', 'phase_block', 'plot_number', 'plot_size_value', 'plot_size_unit',
+  'demand_amount_pkr', 'demand_text', 'phone', 'contact_name', 'land_nature', 'notes', 'status'
+];
+
+// Normalized header -> field, for sheets uploaded without a mapping
+const SHEET_HEADER_ALIASES = {
+  society: 'society_name', societyname: 'society_name', scheme: 'society_name', project: 'society_name',
+  block: 'phase_block', phase: 'phase_block', phaseblock: 'phase_block', sector: 'phase_block',
+  plot: 'plot_number', plotno: 'plot_number', plotnumber: 'plot_number', plotnum: 'plot_number',
+  size: 'plot_size_value', plotsize: 'plot_size_value', plotsizevalue: 'plot_size_value',
+  unit: 'plot_size_unit', sizeunit: 'plot_size_unit', plotsizeunit: 'plot_size_unit',
+  demand: 'demand_amount_pkr', demandpkr: 'demand_amount_pkr', price: 'demand_amount_pkr', demandamountpkr: 'demand_amount_pkr', askingprice: 'demand_amount_pkr',
+  demandtext: 'demand_text',
+  phone: 'phone', mobile: 'phone', cell: 'phone', contactno: 'phone', phoneno: 'phone', number: 'phone',
+  contact: 'contact_name', contactname: 'contact_name', name: 'contact_name', dealer: 'contact_name', owner: 'contact_name',
+  landnature: 'land_nature', nature: 'land_nature',
+  notes: 'notes', remarks: 'notes', details: 'notes', comments: 'notes',
+  status: 'status'
+};
+
+function sheetCellValue(l, col) {
+  const v = col.attr ? (l.attributes || {})[col.key] : l[col.key];
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return v.toISOString();
+  return v;
+}
+
+// Text starting with = @ tab/CR, or + - followed by anything but a plain number/phone
+// ("+923001234567", "-5"), would run as a formula when the file is opened in a spreadsheet,
+// so it gets a leading ' (sheetRowToListing drops it again on import)
+function csvCell(v) {
+  let s = v === null || v === undefined ? '' : String(v);
+  if (typeof v === 'string' && (/^[=@\t\r]/.test(s) || (/^[+-]/.test(s) && !/^[+-][\d\s-]+$/.test(s)))) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * GET /listings/export?format=csv|xlsx  (+ every GET /listings filter: soc, blk, unit, nature,
+ * min, max, q, status, min_area, …). Newest first, up to SPREADSHEET_MAX_ROWS rows.
+ * Unlike the feed, archived and stale listings are included unless ?status narrows it.
+ */
+app.get('/listings/export', requireAuth, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'bad_format', allowed: ['csv', 'xlsx'] });
+    await ensureListingsSchema();
+    const team = await userTeam(pool, req.user.uid);
+    const { where, params } = listingFilters(req.user.uid, req.query, team?.team_id, { allStatuses: true });
+    params.push(SPREADSHEET_MAX_ROWS);
+    const { rows } = await pool.query(
+      `select l.* from listings l where ${where} order by l.created_at desc, l.id desc limit $${params.length}`,
+      params
+    );
+
+    const filename = `listings-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      const lines = [SHEET_COLUMNS.map(c => csvCell(c.header)).join(',')];
+      for (const l of rows) lines.push(SHEET_COLUMNS.map(c => csvCell(sheetCellValue(l, c))).join(','));
+      // BOM so Excel opens Urdu text as UTF-8
+      return res.type('text/csv; charset=utf-8').send('\uFEFF' + lines.join('\r\n') + '\r\n');
+    }
+
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet('Listings');
+    ws.columns = SHEET_COLUMNS.map(c => ({ header: c.header, key: c.key, width: Math.max(10, c.header.length + 2) }));
+    ws.getRow(1).font = { bold: true };
+    ws.views = [{ state: 'frozen', ySplit: 1 }];
+    const numeric = new Set(['plot_size_value', 'area_sqft', 'demand_amount_pkr', 'price_per_marla', 'price_per_sqft']);
+    for (const l of rows) {
+      const row = {};
+      for (const c of SHEET_COLUMNS) {
+        const v = sheetCellValue(l, c);
+        row[c.key] = numeric.has(c.key) && v !== '' ? Number(v) : v;
+      }
+      ws.addRow(row);
+    }
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(Buffer.from(await wb.xlsx.writeBuffer()));
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error('GET /listings/export error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF/LF. Delimiter (, ; or tab) guessed from the header line.
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const delim = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') quoted = true;
+    else if (ch === delim) { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+// ExcelJS cell values can be rich text, formulas, hyperlinks or dates
+function xlsxCellText(v) {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === 'object') {
+    if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+    if (v.result !== undefined) return xlsxCellText(v.result);
+    if (v.text !== undefined) return xlsxCellText(v.text);
+    return '';
+  }
+  return String(v);
+}
+
+async function readSpreadsheet(buffer, sheetName) {
+  // .xlsx is a zip ("PK"); anything else is treated as CSV text
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(buffer);
+    const ws = sheetName ? wb.getWorksheet(String(sheetName)) : wb.worksheets[0];
+    if (!ws) throw badRequest('sheet_not_found');
+    const rows = [];
+    ws.eachRow({ includeEmpty: false }, (r) => {
+      const cells = [];
+      for (let i = 1; i <= r.cellCount; i++) cells.push(xlsxCellText(r.getCell(i).value));
+      rows.push(cells);
+    });
+    return rows.filter(r => r.some(c => String(c).trim() !== ''));
+  }
+  return parseCsv(buffer.toString('utf8'));
+}
+
+// "Demand (PKR)" -> "demandpkr"
+function normHeader(h) {
+  return String(h || '').toLowerCase().replace(/\(.*?\)/g, m => m.replace(/[()]/g, '')).replace(/[^a-z0-9]/g, '');
+}
+
+// column index -> field. `mapping` is { "<header in the sheet>": "<field>" }; unmapped
+// headers fall back to SHEET_HEADER_ALIASES; a field mapped to "" / null is ignored.
+function sheetColumnMap(headers, mapping) {
+  const byHeader = {};
+  for (const [h, f] of Object.entries(mapping || {})) byHeader[normHeader(h)] = f;
+  const exported = Object.fromEntries(SHEET_COLUMNS.map(c => [normHeader(c.header), c.key]));
+  return headers.map((h) => {
+    const n = normHeader(h);
+    const f = n in byHeader ? byHeader[n] : (SHEET_HEADER_ALIASES[n] || exported[n] || null);
+    return f && SHEET_IMPORT_FIELDS.includes(f) ? f : null;
+  });
+}
+
+// Amounts may be typed as "95 lac" / "1.9 cr"; sizes as "5 marla". The shared parser reads those.
+// A society cell that is exactly one of the user's aliases ("GI", "BTK") becomes the canonical name.
+function sheetRowToListing(cells, columns, parseOpts) {
+  const body = {};
+  const errors = [];
+  columns.forEach((f, i) => {
+    const v = String(cells[i] ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+    if (f && v !== '' && body[f] === undefined) body[f] = v;
+  });
+
+  if (body.society_name !== undefined) {
+    const p = parseMessage(body.society_name, parseOpts);
+    const span = p.fields.society && p.fields.society.span;
+    if (span && span.start === 0 && span.end === body.society_name.length) {
+      body.society_name = p.society;
+      if (!body.phase_block && p.phase_block) body.phase_block = p.phase_block; // "FH F"
+    }
+  }
+  if (body.demand_amount_pkr !== undefined) {
+    const raw = body.demand_amount_pkr;
+    const n = Number(raw.replace(/[,\s]/g, ''));
+    if (Number.isFinite(n) && n > 0) body.demand_amount_pkr = n;
+    else {
+      const p = parseMessage(/^\d/.test(raw) && !/demand|price/i.test(raw) ? `demand ${raw}` : raw);
+      if (p.demand_pkr !== '') { body.demand_amount_pkr = p.demand_pkr; body.demand_text = body.demand_text || raw; }
+      else { errors.push({ field: 'demand_amount_pkr', error: 'bad_amount', value: raw }); delete body.demand_amount_pkr; }
+    }
+  }
+  if (body.plot_size_value !== undefined) {
+    const raw = body.plot_size_value;
+    const n = Number(raw);
+    if (Number.isFinite(n) && n > 0) body.plot_size_value = n;
+    else {
+      const p = parseMessage(raw);
+      if (p.size_val !== '') { body.plot_size_value = p.size_val; body.plot_size_unit = body.plot_size_unit || p.size_unit; }
+      else { errors.push({ field: 'plot_size_value', error: 'bad_size', value: raw }); delete body.plot_size_value; }
+    }
+  }
+  if (body.plot_size_unit !== undefined) {
+    const u = normKey(body.plot_size_unit);
+    const units = { marla: 'Marla', marlas: 'Marla', m: 'Marla', kanal: 'Kanal', kanals: 'Kanal', k: 'Kanal', sqft: 'SqFt', sqyd: 'SqYd', sqyds: 'SqYd', gaz: 'SqYd', yards: 'SqYd' };
+    body.plot_size_unit = units[u] || body.plot_size_unit;
+  }
+  if (body.phone !== undefined) {
+    const phone = contactPhone(body.phone);
+    if (!phone) { errors.push({ field: 'phone', error: 'bad_phone', value: body.phone }); delete body.phone; }
+    else body.phone = phone;
+  }
+  if (body.status !== undefined) {
+    const s = body.status.toLowerCase().replace(/[\s-]+/g, '_');
+    if (LISTING_STATUSES.includes(s)) body.status = s;
+    else { errors.push({ field: 'status', error: 'bad_status', value: body.status }); delete body.status; }
+  }
+  if (body.land_nature !== undefined) {
+    body.attributes = { land_nature: body.land_nature };
+    delete body.land_nature;
+  }
+  if (!body.society_name && !body.plot_number && body.demand_amount_pkr === undefined) {
+    errors.push({ field: null, error: 'empty_row' });
+  }
+  return { body, errors };
+}
+
+/**
+ * POST /listings/import/spreadsheet
+ *   multipart: file=<.csv|.xlsx>, mapping=<JSON { "Sheet header": "field" }>, dry_run=1, sheet=<name>
+ *   (text/csv body works too, with ?mapping=&dry_run=)
+ * The first non-empty row is the header. Rows with any validation error are skipped and
+ * reported as { row, field, error, value } (row = 1-based line in the sheet). Valid rows are
+ * inserted in one transaction through insertListing, so phone/contact_name/attributes are merged
+ * exactly as POST /listings does. dry_run=1 validates and returns the listings without writing.
+ */
+app.post('/listings/import/spreadsheet', requireAuth, readOnlyMiddleware(), importUpload.single('file'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const opt = (k) => (req.body && typeof req.body === 'object' && req.body[k] !== undefined ? req.body[k] : req.query[k]);
+    const buffer = req.file ? req.file.buffer : (typeof req.body === 'string' ? Buffer.from(req.body, 'utf8') : null);
+    if (!buffer || !buffer.length) return res.status(400).json({ error: 'file_required' });
+    const dryRun = ['1', 'true', 'yes'].includes(String(opt('dry_run') || '').toLowerCase()) || opt('dry_run') === true;
+
+    let mapping = opt('mapping') || null;
+    if (typeof mapping === 'string') {
+      try { mapping = JSON.parse(mapping); } catch { return res.status(400).json({ error: 'bad_mapping' }); }
+    }
+    if (mapping && (typeof mapping !== 'object' || Array.isArray(mapping))) return res.status(400).json({ error: 'bad_mapping' });
+    const unknown = Object.values(mapping || {}).filter(f => f && !SHEET_IMPORT_FIELDS.includes(f));
+    if (unknown.length) return res.status(400).json({ error: 'bad_mapping', unknown_fields: unknown, allowed: SHEET_IMPORT_FIELDS });
+
+    const rows = await readSpreadsheet(buffer, opt('sheet'));
+    if (rows.length < 2) return res.status(400).json({ error: 'no_rows' });
+    if (rows.length - 1 > SPREADSHEET_MAX_ROWS) {
+      return res.status(413).json({ error: 'too_many_rows', max: SPREADSHEET_MAX_ROWS, count: rows.length - 1 });
+    }
+
+    const [headers, ...data] = rows;
+    const columns = sheetColumnMap(headers, mapping);
+    if (!columns.some(Boolean)) return res.status(400).json({ error: 'no_known_columns', headers, allowed: SHEET_IMPORT_FIELDS });
+
+    const parseOpts = await userParseOptions(req.user.uid);
+    const valid = [];
+    const errors = [];
+    data.forEach((cells, i) => {
+      const r = sheetRowToListing(cells, columns, parseOpts);
+      if (r.errors.length) for (const e of r.errors) errors.push({ row: i + 2, ...e });
+      else valid.push({ row: i + 2, listing: r.body });
+    });
+
+    const out = {
+      dry_run: dryRun,
+      columns: Object.fromEntries(headers.map((h, i) => [h, columns[i]])),
+      total: data.length,
+      valid: valid.length,
+      errors
+    };
+    if (dryRun) return res.json({ ...out, inserted: 0, rows: valid });
+
+    await ensureListingsSchema();
+    await ensureContactsSchema();
+    const ids = valid.length
+      ? await withTransaction(async (client) => {
+          const done = [];
+          for (const v of valid) done.push({ row: v.row, ...(await insertListing(client, req.user.uid, v.listing)) });
+          return done;
+        })
+      : [];
+    res.status(ids.length ? 201 : 200).json({ ...out, inserted: ids.length, ids });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error('POST /listings/import/spreadsheet error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* ============ LISTINGS: FRESHNESS + EXPIRY ============ */
+// A listing is fresh for the owner's freshness_days after it was created or last confirmed
+// ("still available?" -> yes). Then the daily cron sets stale_at (hidden from feeds), and
+// archive_after_days later moves it to status 'archived'. Confirming undoes both.
+
+// Per-owner windows from user_settings, for use inside a query over `listings l`
+const FRESHNESS_DAYS_SQL = `coalesce((select (s.prefs->>'freshness_days')::int from user_settings s where s.user_id = l.user_id), ${USER_SETTINGS_DEFAULTS.freshness_days})`;
+const ARCHIVE_AFTER_DAYS_SQL = `coalesce((select (s.prefs->>'archive_after_days')::int from user_settings s where s.user_id = l.user_id), ${USER_SETTINGS_DEFAULTS.archive_after_days})`;
+
+// GET /listings/stale -> the owner's stale listings (the "still available?" prompt), oldest first
+app.get('/listings/stale', requireAuth, async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    await ensureUserSettingsTable();
+    const { rows } = await pool.query(
+      `select l.*,
+              case when ${ARCHIVE_AFTER_DAYS_SQL} > 0
+                   then l.stale_at + make_interval(days => ${ARCHIVE_AFTER_DAYS_SQL}) end as archive_at
+         from listings l
+        where l.user_id = $1 and l.stale_at is not null and l.status = any($2)
+        order by l.stale_at asc, l.id asc
+        limit 500`,
+      [req.user.uid, LISTING_LIVE_STATUSES]
+    );
+    for (const r of rows) delete r.search_tsv;
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /listings/stale error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// "Still available": bump confirmed_at, clear stale_at, and bring archived rows back as available.
+async function confirmListings(uid, ids) {
+  return withTransaction(async (client) => {
+    const out = [];
+    for (const id of ids) {
+      const cur = await loadOwnListing(client, id, uid, { lock: true });
+      if (!LISTING_LIVE_STATUSES.includes(cur.status) && cur.status !== 'archived') {
+        const err = new Error('not_for_sale');
+        err.status = 409;
+        err.id = cur.id;
+        throw err;
+      }
+      const status = cur.status === 'archived' ? 'available' : cur.status;
+      const { rows } = await client.query(
+        `update listings set confirmed_at=now(), stale_at=null, status=$2, updated_at=now()
+          where id=$1 returning id, status, confirmed_at`,
+        [cur.id, status]
+      );
+      await recordListingHistory(client, cur.id, uid, 'confirm',
+        status !== cur.status ? { status: { from: cur.status, to: status } } : null);
+      out.push(rows[0]);
+    }
+    return out;
+  });
+}
+
+function sendConfirmError(res, e, route) {
+  if (e.status === 404 || e.status === 403) return res.status(e.status).json({ error: e.message });
+  if (e.status === 409) return res.status(409).json({ error: e.message, id: e.id });
+  console.error(`${route} error`, e);
+  res.status(500).json({ error: 'server_error' });
+}
+
+// POST /listings/confirm { ids: [...] }  (sold / withdrawn rows -> 409 not_for_sale)
+app.post('/listings/confirm', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? [...new Set(req.body.ids.map(String))] : [];
+    if (!ids.length) return res.status(400).json({ error: 'ids_required' });
+    await ensureListingsSchema();
+    const confirmed = await confirmListings(req.user.uid, ids);
+    res.json({ ok: true, confirmed });
+  } catch (e) {
+    sendConfirmError(res, e, 'POST /listings/confirm');
+  }
+});
+
+app.post('/listings/:id/confirm', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    const [listing] = await confirmListings(req.user.uid, [req.params.id]);
+    res.json({ ok: true, listing });
+  } catch (e) {
+    sendConfirmError(res, e, 'POST /listings/:id/confirm');
+  }
+});
+
+/**
+ * GET|POST /cron/listings-expiry (CRON_SECRET, like /cron/digests)
+ * Marks listings past their owner's freshness window stale, and archives the ones that
+ * have been stale for archive_after_days. Archiving is kept in listing_history (user_id null).
+ * Also fills in area_sqft etc. and links contacts for any owner's rows that still lack them
+ * (analytics, size sorts, the contacts book), up to 50k rows each per call: after deploying,
+ * call it until areas_filled and contacts_linked come back 0.
+ */
+async function runListingsExpiry(req, res) {
+  try {
+    await ensureListingsSchema();
+    await ensureUserSettingsTable();
+    const stale = await pool.query(
+      `update listings l set stale_at = now()
+        where l.stale_at is null and l.status = any($1)
+          and coalesce(l.confirmed_at, l.created_at) < now() - make_interval(days => ${FRESHNESS_DAYS_SQL})`,
+      [LISTING_LIVE_STATUSES]
+    );
+    const archived = await pool.query(
+      `with due as (
+         select l.id, l.status from listings l
+          where l.stale_at is not null and l.status = any($1)
+            and ${ARCHIVE_AFTER_DAYS_SQL} > 0
+            and l.stale_at < now() - make_interval(days => ${ARCHIVE_AFTER_DAYS_SQL})
+          for update
+       ), moved as (
+         update listings l set status = 'archived', updated_at = now()
+           from due where l.id = due.id
+         returning l.id, due.status as from_status
+       )
+       insert into listing_history (listing_id, user_id, action, changes)
+       select id::text, null, 'status:archived',
+              jsonb_build_object('status', jsonb_build_object('from', from_status, 'to', 'archived'), 'reason', 'expired')
+         from moved`,
+      [LISTING_LIVE_STATUSES]
+    );
+    const areas = await backfillListingAreas(null, { maxBatches: 25 });
+    const contacts = await backfillListingContacts(null, { maxBatches: 25 });
+    res.json({
+      ok: true, marked_stale: stale.rowCount, archived: archived.rowCount,
+      areas_filled: areas, contacts_linked: contacts
+    });
+  } catch (e) {
+    console.error('/cron/listings-expiry error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+}
+app.get('/cron/listings-expiry', requireCronSecret, runListingsExpiry);
+app.post('/cron/listings-expiry', requireCronSecret, runListingsExpiry);
+
+/* ============ LISTINGS: PUBLIC CONTACT REQUESTS ============ */
+// The public feed never carries the client's number or name: phone is masked, and anyone
+// who wants it asks the dealer (POST /listings/:id/contact-requests). The dealer approves
+// (sharing the listing's contact, or another number such as their own) or declines.
+
+// attributes the public feed may show; the rest (phone, contact_name, contacts, source_text, …) stay private
+const PUBLIC_ATTRIBUTES = ['land_nature', 'dimensions', 'flags'];
+const PUBLIC_ATTRIBUTES_SQL = `jsonb_strip_nulls(jsonb_build_object(${PUBLIC_ATTRIBUTES.map(k => `'${k}', attributes->'${k}'`).join(', ')}))`;
+const CONTACT_REQUESTS_PER_HOUR = Number(process.env.CONTACT_REQUESTS_PER_HOUR || 10); // per IP
+const CONTACT_REQUEST_STATUSES = ['pending', 'approved', 'declined'];
+
+// "+923001234567" -> "+92300*****67"
+function maskPhone(phone) {
+  if (!phone) return null;
+  const p = contactPhone(phone) || String(phone);
+  if (p.replace(/\D/g, '').length < 7) return '***';
+  return p.slice(0, 6) + '*'.repeat(Math.max(p.length - 8, 3)) + p.slice(-2);
+}
+
+// Urdu/Persian and Arabic-Indic digits -> ASCII, one char for one like shared/parser.ts does,
+// so offsets in the result still line up with the original text
+function asciiDigits(text) {
+  return String(text).replace(/[\u06F0-\u06F9\u0660-\u0669]/g,
+    ch => String(ch.charCodeAt(0) - (ch >= '\u06F0' ? 0x06F0 : 0x0660)));
+}
+
+// asciiDigits as SQL around `expr`. Plain replace() rather than translate(), which works on
+// bytes in a SQL_ASCII database.
+function sqlAsciiDigits(expr) {
+  const digits = [...'\u06F0\u06F1\u06F2\u06F3\u06F4\u06F5\u06F6\u06F7\u06F8\u06F9\u0660\u0661\u0662\u0663\u0664\u0665\u0666\u0667\u0668\u0669'];
+  return digits.reduce((e, ch, i) => `replace(${e}, '${ch}', '${i % 10}')`, expr);
+}
+
+// Numbers typed into demand text get the same treatment, in whichever digits they were typed
+// and however the groups are split ("0300-1234567", "(0300) 1234567", "0300.1234567", "0300/1234567")
+function maskPhonesInText(text) {
+  if (text === null || text === undefined) return text;
+  const src = String(text);
+  let out = '';
+  let last = 0;
+  for (const m of asciiDigits(src).matchAll(/\+?\(?\d[\d\s().\/-]{8,}\d/g)) {
+    if (!contactPhone(m[0])) continue;
+    out += src.slice(last, m.index) + maskPhone(m[0]);
+    last = m.index + m[0].length;
+  }
+  return out + src.slice(last);
+}
+
+function publicListing(l) {
+  return {
+    ...l,
+    phone: maskPhone(l.phone),
+    contact_name: null,
+    notes: null,
+    demand_text: maskPhonesInText(l.demand_text),
+    contact_masked: true
+  };
+}
+
+function ensureContactRequestsSchema() {
+  return ensureSchema('listing_contact_requests', `
+    create table if not exists listing_contact_requests (
+      id                 bigserial primary key,
+      listing_id         text not null,
+      owner_id           bigint not null,
+      requester_user_id  bigint,
+      name               text,
+      phone              text,
+      email              text,
+      message            text,
+      ip                 text,
+      status             text not null default 'pending',
+      shared_phone       text,
+      shared_name        text,
+      reply              text,
+      created_at         timestamptz not null default now(),
+      responded_at       timestamptz
+    );
+    create index if not exists listing_contact_requests_owner_idx on listing_contact_requests (owner_id, status, created_at desc);
+    create index if not exists listing_contact_requests_ip_idx on listing_contact_requests (ip, created_at);`);
+}
+
+function listingTitle(l) {
+  return [l.society_name, l.phase_block, l.plot_number && `plot ${l.plot_number}`,
+    l.plot_size_value && `${Number(l.plot_size_value)} ${l.plot_size_unit || 'Marla'}`].filter(Boolean).join(', ');
+}
+
+/**
+ * POST /listings/:id/contact-requests { name, phone?, email?, message? }  (no login needed)
+ * Only for public, live listings (404 otherwise). Needs a way to reach the requester back
+ * (phone or email). The same person asking again while pending gets the open request back.
+ */
+app.post('/listings/:id/contact-requests', async (req, res) => {
+  try {
+    const b = req.body || {};
+    const name = String(b.name || '').trim();
+    const email = String(b.email || '').trim().toLowerCase() || null;
+    const phone = b.phone ? contactPhone(b.phone) : null;
+    if (b.phone && !phone) return res.status(400).json({ error: 'bad_phone' });
+    if (email && !email.includes('@')) return res.status(400).json({ error: 'bad_email' });
+    if (!name) return res.status(400).json({ error: 'name_required' });
+    if (!phone && !email) return res.status(400).json({ error: 'contact_required' });
+
+    await ensureListingsSchema();
+    await ensureContactRequestsSchema();
+    const { rows: found } = await pool.query(
+      `select * from listings
+        where id::text=$1 and visibility='public' and status = any($2) and stale_at is null`,
+      [String(req.params.id), LISTING_LIVE_STATUSES]
+    );
+    const listing = found[0];
+    if (!listing) return res.status(404).json({ error: 'not_found' });
+
+    const open = await pool.query(
+      `select id, status, created_at from listing_contact_requests
+        where listing_id=$1 and status='pending'
+          and (($2::text is not null and phone=$2) or ($3::text is not null and email=$3))
+        limit 1`,
+      [String(listing.id), phone, email]
+    );
+    if (open.rows.length) return res.json(open.rows[0]);
+
+    const recent = await pool.query(
+      `select count(*)::int as n from listing_contact_requests where ip=$1 and created_at > now() - interval '1 hour'`,
+      [req.ip]
+    );
+    if (recent.rows[0].n >= CONTACT_REQUESTS_PER_HOUR) return res.status(429).json({ error: 'too_many_requests' });
+
+    const requester = await optionalAuthUid(req);
+    const { rows } = await pool.query(
+      `insert into listing_contact_requests (listing_id, owner_id, requester_user_id, name, phone, email, message, ip)
+       values ($1,$2,$3,$4,$5,$6,$7,$8)
+       returning id, status, created_at`,
+      [String(listing.id), listing.user_id, requester, name, phone, email, b.message ? String(b.message).slice(0, 1000) : null, req.ip]
+    );
+
+    const owner = await pool.query('select email from app_users where id=$1', [listing.user_id]);
+    if (owner.rows[0]?.email) {
+      await sendEmailPlain(owner.rows[0].email, `Contact request: ${listingTitle(listing)}`,
+        `${name} (${[phone, email].filter(Boolean).join(', ')}) asked for the contact on your listing ${listingTitle(listing)}.\n\n` +
+        (b.message ? `Message: ${String(b.message).slice(0, 1000)}\n\n` : '') +
+        'Approve or decline it in PlotNama. Nothing is shared until you approve.');
+    }
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    if (e.status === 401) return res.status(401).json({ error: e.message });
+    console.error('POST /listings/:id/contact-requests error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// GET /contact-requests?status=pending|approved|declined -> requests for the caller's listings
+app.get('/contact-requests', requireAuth, async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    if (!CONTACT_REQUEST_STATUSES.includes(status)) return res.status(400).json({ error: 'bad_status', allowed: CONTACT_REQUEST_STATUSES });
+    await ensureListingsSchema();
+    await ensureContactRequestsSchema();
+    const { rows } = await pool.query(
+      `select r.id, r.listing_id, r.name, r.phone, r.email, r.message, r.status, r.shared_phone,
+              r.shared_name, r.reply, r.created_at, r.responded_at, u.email as requester_account,
+              l.society_name, l.phase_block, l.plot_number, l.plot_size_value, l.plot_size_unit
+         from listing_contact_requests r
+    left join listings l on l.id::text = r.listing_id
+    left join app_users u on u.id = r.requester_user_id
+        where r.owner_id=$1 and r.status=$2
+        order by r.created_at desc
+        limit 200`,
+      [req.user.uid, status]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /contact-requests error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// GET /contact-requests/sent -> what the caller asked for while logged in (shared_* once approved)
+app.get('/contact-requests/sent', requireAuth, async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    await ensureContactRequestsSchema();
+    const { rows } = await pool.query(
+      `select r.id, r.listing_id, r.status, r.shared_phone, r.shared_name, r.reply, r.created_at, r.responded_at,
+              l.society_name, l.phase_block, l.plot_number, l.plot_size_value, l.plot_size_unit
+         from listing_contact_requests r
+    left join listings l on l.id::text = r.listing_id
+        where r.requester_user_id=$1
+        order by r.created_at desc
+        limit 200`,
+      [req.user.uid]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /contact-requests/sent error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// The caller's still-pending request :id, locked (404 if not theirs, 409 once answered)
+async function loadPendingContactRequest(db, id, uid) {
+  const { rows } = await db.query(
+    `select * from listing_contact_requests where id::text=$1 and owner_id=$2 for update`,
+    [String(id), uid]
+  );
+  if (!rows.length) {
+    const err = new Error('not_found');
+    err.status = 404;
+    throw err;
+  }
+  if (rows[0].status !== 'pending') {
+    const err = new Error('already_answered');
+    err.status = 409;
+    throw err;
+  }
+  return rows[0];
+}
+
+function sendContactRequestError(res, e, route) {
+  if ([400, 404, 409].includes(e.status)) return res.status(e.status).json({ error: e.message });
+  console.error(`${route} error`, e);
+  res.status(500).json({ error: 'server_error' });
+}
+
+/**
+ * POST /contact-requests/:id/approve { phone?, contact_name?, reply? }
+ * Shares the listing's phone + contact name, or the phone/name given here instead (your own
+ * number, say). An emailed requester gets it by email; a logged-in one in GET /contact-requests/sent.
+ */
+app.post('/contact-requests/:id/approve', requireAuth, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const override = b.phone ? contactPhone(b.phone) : null;
+    if (b.phone && !override) return res.status(400).json({ error: 'bad_phone' });
+    await ensureContactRequestsSchema();
+    const out = await withTransaction(async (client) => {
+      const r = await loadPendingContactRequest(client, req.params.id, req.user.uid);
+      const { rows: ls } = await client.query('select * from listings where id::text=$1', [r.listing_id]);
+      const listing = ls[0] || {};
+      const attrs = listing.attributes || {};
+      const sharedPhone = override || contactPhone(attrs.phone);
+      if (!sharedPhone) throw badRequest('phone_required');
+      const sharedName = b.contact_name !== undefined ? (b.contact_name || null) : (override ? null : attrs.contact_name || null);
+      const { rows } = await client.query(
+        `update listing_contact_requests
+            set status='approved', shared_phone=$2, shared_name=$3, reply=$4, responded_at=now()
+          where id=$1 returning *`,
+        [r.id, sharedPhone, sharedName, b.reply ? String(b.reply).slice(0, 1000) : null]
+      );
+      return { request: rows[0], listing };
+    });
+    const r = out.request;
+    let emailed = false;
+    if (r.email) {
+      emailed = await sendEmailPlain(r.email, `Contact for ${listingTitle(out.listing)}`,
+        `Hi ${r.name || ''},\n\nThe dealer shared the contact for ${listingTitle(out.listing)}:\n\n` +
+        `${r.shared_name ? `${r.shared_name}: ` : ''}${r.shared_phone}\n` +
+        (r.reply ? `\n${r.reply}\n` : ''));
+    }
+    delete r.ip;
+    res.json({ ok: true, request: r, emailed });
+  } catch (e) {
+    sendContactRequestError(res, e, 'POST /contact-requests/:id/approve');
+  }
+});
+
+// POST /contact-requests/:id/decline { reply? }  (nothing is shared)
+app.post('/contact-requests/:id/decline', requireAuth, async (req, res) => {
+  try {
+    await ensureContactRequestsSchema();
+    const request = await withTransaction(async (client) => {
+      const r = await loadPendingContactRequest(client, req.params.id, req.user.uid);
+      const { rows } = await client.query(
+        `update listing_contact_requests set status='declined', reply=$2, responded_at=now()
+          where id=$1 returning id, status, reply, responded_at`,
+        [r.id, req.body?.reply ? String(req.body.reply).slice(0, 1000) : null]
+      );
+      return rows[0];
+    });
+    res.json({ ok: true, request });
+  } catch (e) {
+    sendContactRequestError(res, e, 'POST /contact-requests/:id/decline');
+  }
+});
+
+/* ============ ANALYTICS (market prices) ============ */
+// Asking-price stats per society / block / size bucket, over every dealer's book
+// (scope=market, default) or just your own (scope=mine). Built on the derived area columns,
+// so a listing counts once its area and price_per_marla are known.
+//
+// What is left out:
+//  - the same plot at the same price posted by several dealers (counted once);
+//  - implausible values, which are almost always parse errors (a phone number read as the
+//    demand, "1.2" stored as PKR 1.2): outside ANALYTICS_PLAUSIBLE;
+//  - outliers: price_per_marla beyond 1.5 IQR of its group, once the group has enough rows.
+
+const ANALYTICS_PLAUSIBLE = {
+  demand: [100000, 50000000000],     // 1 lac .. 5,000 crore
+  ppm: [10000, 500000000]            // 10k .. 50 crore per marla
+};
+const ANALYTICS_FENCE_MIN_ROWS = 5;  // smaller groups are too thin to call anything an outlier
+const ANALYTICS_MIN_COUNT = 3;       // groups with fewer rows are not reported (override: ?min_count=)
+const ANALYTICS_MAX_DAYS = 3650;
+// normBlock() in SQL, over `listings l`
+const BLOCK_KEY_SQL = `lower(regexp_replace(coalesce(l.phase_block, ''), '\\m(block|blk)\\M|[^a-zA-Z0-9]', '', 'gi'))`;
+// ?group= keys -> grouping columns of the samples CTE. Society and block group on normalized
+// keys ("Block F" = "F block") and report the most common spelling.
+const ANALYTICS_GROUPS = {
+  society: { key: 'society_key', label: 'society_name' },
+  block: { key: 'block_key', label: 'phase_block' },
+  size: { key: 'size_marla' }
+};
+
+// 10 -> "10 Marla", 20 -> "1 Kanal", 30 -> "1.5 Kanal"
+function sizeBucketLabel(marla) {
+  const m = Number(marla);
+  return m >= 20 && m % 10 === 0 ? `${m / 20} Kanal` : `${m} Marla`;
+}
+
+// ?from=&to= (dates or timestamps; a bare "to" date includes that day) or ?days= (default per route)
+function analyticsWindow(query, defaultDays) {
+  const { from, to, days } = query || {};
+  const end = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(to)) ? Date.parse(to) + 86400000 : Date.parse(to)) : new Date();
+  if (Number.isNaN(end.getTime())) throw badRequest('bad_to');
+  let start;
+  if (from) {
+    start = new Date(Date.parse(from));
+    if (Number.isNaN(start.getTime())) throw badRequest('bad_from');
+  } else {
+    const n = days === undefined || days === '' ? defaultDays : Number(days);
+    if (!Number.isInteger(n) || n < 1 || n > ANALYTICS_MAX_DAYS) throw badRequest('bad_days');
+    start = new Date(end.getTime() - n * 86400000);
+  }
+  if (start >= end) throw badRequest('bad_window');
+  return { from: start, to: end };
+}
+
+/**
+ * Parses the shared analytics query (?scope=&group=&society=&block=&marla=&from=&to=&days=
+ * &min_count=) and returns the `with base, fences, flagged` CTE over it. flagged has one row
+ * per sample with exclude_reason null (counted), 'implausible' or 'outlier', plus the
+ * group's median price_per_marla.
+ */
+function analyticsSamples(req, { defaultDays, scope: forcedScope }) {
+  const q = req.query || {};
+  const scope = forcedScope || String(q.scope || 'market');
+  if (!['market', 'mine'].includes(scope)) throw badRequest('bad_scope');
+  const groups = q.group === undefined ? Object.keys(ANALYTICS_GROUPS)
+    : String(q.group).split(',').map(s => s.trim()).filter(Boolean);
+  if (groups.some(g => !ANALYTICS_GROUPS[g]) || new Set(groups).size !== groups.length) throw badRequest('bad_group');
+  const keys = groups.map(g => ANALYTICS_GROUPS[g].key);
+  const labels = groups.map(g => ANALYTICS_GROUPS[g].label).filter(Boolean);
+  const minCount = q.min_count === undefined || q.min_count === '' ? ANALYTICS_MIN_COUNT : Number(q.min_count);
+  if (!Number.isInteger(minCount) || minCount < 1) throw badRequest('bad_min_count');
+  const window = analyticsWindow(q, defaultDays);
+
+  const params = [window.from.toISOString(), window.to.toISOString()];
+  let where = `l.status <> 'withdrawn' and coalesce(l.confirmed_at, l.created_at) >= $1 and coalesce(l.confirmed_at, l.created_at) < $2`;
+  if (scope === 'mine') { params.push(req.user.uid); where += ` and l.user_id=$${params.length}`; }
+  if (q.society) { params.push(String(q.society).trim().toLowerCase()); where += ` and lower(l.society_name)=$${params.length}`; }
+  if (q.block) { params.push(normBlock(q.block)); where += ` and ${BLOCK_KEY_SQL}=$${params.length}`; }
+  if (q.marla !== undefined && q.marla !== '') {
+    if (!Number.isFinite(Number(q.marla)) || Number(q.marla) <= 0) throw badRequest('bad_marla');
+    params.push(Math.round(Number(q.marla))); where += ` and round(l.area_sqft / l.sqft_per_marla)=$${params.length}`;
+  }
+
+  const [dMin, dMax] = ANALYTICS_PLAUSIBLE.demand;
+  const [pMin, pMax] = ANALYTICS_PLAUSIBLE.ppm;
+  const cte = `
+    with base as (
+      select distinct on (coalesce(l.fingerprint, l.id::text), l.demand_amount_pkr)
+             l.id, l.user_id,
+             coalesce(l.society_name, '') as society_name,
+             coalesce(l.phase_block, '') as phase_block,
+             lower(trim(coalesce(l.society_name, ''))) as society_key,
+             ${BLOCK_KEY_SQL} as block_key,
+             round(l.area_sqft / l.sqft_per_marla)::int as size_marla,
+             l.demand_amount_pkr::float8 as demand,
+             l.price_per_marla::float8 as ppm,
+             coalesce(l.confirmed_at, l.created_at) as seen_at,
+             case when l.demand_amount_pkr not between ${dMin} and ${dMax}
+                    or l.price_per_marla not between ${pMin} and ${pMax}
+                  then 'implausible' end as reason
+        from listings l
+       where ${where}
+         and l.demand_amount_pkr > 0 and l.area_sqft > 0 and l.sqft_per_marla > 0
+         and l.price_per_marla is not null
+       order by coalesce(l.fingerprint, l.id::text), l.demand_amount_pkr, coalesce(l.confirmed_at, l.created_at) desc
+    ), fences as (
+      select ${keys.map(k => `${k}, `).join('')}count(*) as n,
+             percentile_cont(array[0.25, 0.5, 0.75]) within group (order by ppm) as q
+        from base
+       where reason is null
+       ${keys.length ? `group by ${keys.join(', ')}` : ''}
+    ), flagged as (
+      select b.*, f.q[2] as group_ppm_median,
+             coalesce(b.reason,
+               case when f.n >= ${ANALYTICS_FENCE_MIN_ROWS}
+                     and b.ppm not between f.q[1] - 1.5 * (f.q[3] - f.q[1]) and f.q[3] + 1.5 * (f.q[3] - f.q[1])
+                    then 'outlier' end) as exclude_reason
+        from base b
+        left join fences f on ${keys.map(k => `f.${k} = b.${k}`).join(' and ') || 'true'}
+    )`;
+  const labelSelect = labels.map(c => `mode() within group (order by ${c}) as ${c}, `).join('');
+  return { cte, params, keys, labels, labelSelect, groups, scope, window, minCount };
+}
+
+function analyticsGroupKey(row, labels, keys) {
+  const out = {};
+  for (const c of labels) out[c] = row[c];
+  if (keys.includes('size_marla')) Object.assign(out, { size_marla: row.size_marla, size_label: sizeBucketLabel(row.size_marla) });
+  return out;
+}
+
+const roundOrNull = (v) => (v === null || v === undefined ? null : Math.round(Number(v)));
+
+// min / p10 / p25 / median / p75 / p90 / max, in whole rupees
+function analyticsSpread(min, pct, max) {
+  const [p10, p25, median, p75, p90] = (pct || []).map(roundOrNull);
+  return { min: roundOrNull(min), p10, p25, median, p75, p90, max: roundOrNull(max) };
+}
+
+async function sendAnalytics(req, res, route, fn) {
+  try {
+    await ensureListingsSchema();
+    res.json(await fn());
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error(`${route} error`, e);
+    res.status(500).json({ error: 'server_error' });
+  }
+}
+
+/**
+ * GET /analytics/prices?society=&block=&marla=&group=society,block,size&days=90|from=&to=
+ *                      &scope=market|mine&min_count=3
+ * -> { groups: [{ society_name, phase_block, size_marla, size_label, count,
+ *                 excluded: { implausible, outliers }, demand: {min,p10,p25,median,p75,p90,max},
+ *                 price_per_marla: {...}, first_seen, last_seen }] }
+ */
+app.get('/analytics/prices', requireAuth, (req, res) => sendAnalytics(req, res, 'GET /analytics/prices', async () => {
+  const s = analyticsSamples(req, { defaultDays: 90 });
+  const counted = `filter (where exclude_reason is null)`;
+  const params = [...s.params, s.minCount];
+  const { rows } = await pool.query(
+    `${s.cte}
+     select ${s.keys.map(k => `${k}, `).join('')}${s.labelSelect}
+            count(*) ${counted}::int as count,
+            count(*) filter (where exclude_reason = 'implausible')::int as implausible,
+            count(*) filter (where exclude_reason = 'outlier')::int as outliers,
+            min(demand) ${counted} as demand_min, max(demand) ${counted} as demand_max,
+            percentile_cont(array[0.1, 0.25, 0.5, 0.75, 0.9]) within group (order by demand) ${counted} as demand_pct,
+            min(ppm) ${counted} as ppm_min, max(ppm) ${counted} as ppm_max,
+            percentile_cont(array[0.1, 0.25, 0.5, 0.75, 0.9]) within group (order by ppm) ${counted} as ppm_pct,
+            min(seen_at) ${counted} as first_seen, max(seen_at) ${counted} as last_seen
+       from flagged
+      ${s.keys.length ? `group by ${s.keys.join(', ')}` : ''}
+     having count(*) ${counted} >= $${params.length}
+      ${s.keys.length ? `order by ${s.keys.join(', ')}` : ''}`,
+    params
+  );
+  return {
+    scope: s.scope, from: s.window.from, to: s.window.to, group: s.groups, min_count: s.minCount,
+    groups: rows.map(r => ({
+      ...analyticsGroupKey(r, s.labels, s.keys),
+      count: r.count,
+      excluded: { implausible: r.implausible, outliers: r.outliers },
+      demand: analyticsSpread(r.demand_min, r.demand_pct, r.demand_max),
+      price_per_marla: analyticsSpread(r.ppm_min, r.ppm_pct, r.ppm_max),
+      first_seen: r.first_seen,
+      last_seen: r.last_seen
+    }))
+  };
+}));
+
+/**
+ * GET /analytics/prices/trend?interval=week|month (+ /analytics/prices params; days default 365)
+ * -> { groups: [{ society_name, ..., count, series: [{ period, count, demand: {p25,median,p75},
+ *                 price_per_marla: {p25,median,p75} }] }] }
+ * Outliers are fenced over the whole window, so one odd week doesn't move its own fence.
+ */
+app.get('/analytics/prices/trend', requireAuth, (req, res) => sendAnalytics(req, res, 'GET /analytics/prices/trend', async () => {
+  const interval = String(req.query.interval || 'month');
+  if (!['week', 'month'].includes(interval)) throw badRequest('bad_interval');
+  const s = analyticsSamples(req, { defaultDays: 365 });
+  const { rows } = await pool.query(
+    `${s.cte}
+     select ${s.keys.map(k => `${k}, `).join('')}${s.labelSelect}
+            date_trunc('${interval}', seen_at) as period,
+            count(*)::int as count,
+            percentile_cont(array[0.25, 0.5, 0.75]) within group (order by demand) as demand_q,
+            percentile_cont(array[0.25, 0.5, 0.75]) within group (order by ppm) as ppm_q
+       from flagged
+      where exclude_reason is null
+      group by ${[...s.keys, 'period'].join(', ')}
+      order by ${[...s.keys, 'period'].join(', ')}`,
+    s.params
+  );
+  const quartiles = (q) => {
+    const [p25, median, p75] = (q || []).map(roundOrNull);
+    return { p25, median, p75 };
+  };
+  const groups = new Map();
+  for (const r of rows) {
+    const id = JSON.stringify(s.keys.map(k => r[k]));
+    if (!groups.has(id)) groups.set(id, { ...analyticsGroupKey(r, s.labels, s.keys), count: 0, series: [] });
+    const g = groups.get(id);
+    g.count += r.count;
+    g.series.push({ period: r.period, count: r.count, demand: quartiles(r.demand_q), price_per_marla: quartiles(r.ppm_q) });
+  }
+  return {
+    scope: s.scope, from: s.window.from, to: s.window.to, group: s.groups, interval, min_count: s.minCount,
+    groups: [...groups.values()].filter(g => g.count >= s.minCount)
+  };
+}));
+
+/**
+ * GET /admin/analytics/outliers?reason=implausible|outlier (+ /analytics/prices filters; days default 90)
+ * The market-wide samples the stats leave out, with the owner and the raw demand text,
+ * so mis-parsed prices can be found and fixed. Worst ratio to the group median first.
+ */
+app.get('/admin/analytics/outliers', requireAuth, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    const reason = req.query.reason ? String(req.query.reason) : null;
+    if (reason && !['implausible', 'outlier'].includes(reason)) throw badRequest('bad_reason');
+    const s = analyticsSamples(req, { defaultDays: 90, scope: 'market' });
+    const params = [...s.params, reason];
+    const { rows } = await pool.query(
+      `${s.cte}
+       select f.exclude_reason as reason, f.size_marla, f.seen_at,
+              round(f.group_ppm_median) as group_ppm_median,
+              round((f.ppm / nullif(f.group_ppm_median, 0))::numeric, 2) as ratio_to_median,
+              l.id, l.user_id, u.email, l.society_name, l.phase_block, l.plot_number,
+              l.plot_size_value, l.plot_size_unit, l.demand_amount_pkr, l.demand_text,
+              l.price_per_marla, l.status
+         from flagged f
+         join listings l on l.id = f.id
+    left join app_users u on u.id = l.user_id
+        where f.exclude_reason is not null
+          and ($${params.length}::text is null or f.exclude_reason = $${params.length})
+        order by abs(ln(greatest(f.ppm, 1) / greatest(coalesce(f.group_ppm_median, f.ppm), 1))) desc, f.id
+        limit 500`,
+      params
+    );
+    res.json({ from: s.window.from, to: s.window.to, group: s.groups, items: rows });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error('GET /admin/analytics/outliers error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* ============ CONTACTS ============ */
+// A dealer's address book, built from the phone numbers on their listings. Numbers are
+// stored as E.164 (toE164 from shared/parser.ts, like every other phone in the API); one
+// contact can own several numbers (after a merge), and listings.contact_id points at it.
+
+const CONTACT_MAX_TAGS = 20;
+
+// listings.contact_id comes with ensureListingsSchema; contacts need it, so that runs first
+async function ensureContactsSchema() {
+  await ensureListingsSchema();
+  return ensureSchema('contacts', `
+    create table if not exists contacts (
+      id          bigserial primary key,
+      user_id     bigint not null,
+      name        text,
+      notes       text,
+      tags        text[] not null default '{}',
+      rating      smallint check (rating between 1 and 5),
+      created_at  timestamptz not null default now(),
+      updated_at  timestamptz
+    );
+    create index if not exists contacts_user_idx on contacts (user_id);
+    create table if not exists contact_phones (
+      user_id     bigint not null,
+      phone_e164  text not null,
+      contact_id  bigint not null references contacts(id) on delete cascade,
+      primary key (user_id, phone_e164)
+    );
+    create index if not exists contact_phones_contact_idx on contact_phones (contact_id);`);
+}
+
+// "0300-1234567" / "923001234567" -> "+923001234567"; null when it can't be a phone number
+function contactPhone(raw) {
+  const digits = String(raw ?? '').replace(/\D/g, '');
+  if (digits.length < 10 || digits.length > 13) return null;
+  return toE164(String(raw));
+}
+
+// The contact owning this number in uid's book, created (named `name`) if there is none.
+// An unnamed contact takes the first name a listing gives it.
+async function contactForPhone(db, uid, phone, name) {
+  const found = await db.query('select contact_id from contact_phones where user_id=$1 and phone_e164=$2', [uid, phone]);
+  if (found.rows.length) {
+    const id = found.rows[0].contact_id;
+    if (name) await db.query(`update contacts set name=$2, updated_at=now() where id=$1 and coalesce(name,'')=''`, [id, name]);
+    return id;
+  }
+  const { rows } = await db.query('insert into contacts (user_id, name) values ($1,$2) returning id', [uid, name || null]);
+  const claimed = await db.query(
+    `insert into contact_phones (user_id, phone_e164, contact_id) values ($1,$2,$3) on conflict do nothing`,
+    [uid, phone, rows[0].id]
+  );
+  if (claimed.rowCount) return rows[0].id;
+  // another request added the number first
+  await db.query('delete from contacts where id=$1', [rows[0].id]);
+  return contactForPhone(db, uid, phone, name);
+}
+
+// Point listing `l` at the contact for its attributes.phone (or at nothing). Returns contact_id.
+async function linkListingContact(db, uid, l) {
+  await ensureContactsSchema();
+  const a = l.attributes || {};
+  const phone = contactPhone(a.phone);
+  const contactId = phone ? await contactForPhone(db, uid, phone, a.contact_name ? String(a.contact_name).trim() : null) : null;
+  if (String(contactId ?? '') !== String(l.contact_id ?? '')) {
+    await db.query('update listings set contact_id=$2 where id=$1', [l.id, contactId]);
+  }
+  return contactId;
+}
+
+// Listings from before contacts existed, whose contact was removed, or that point at a contact
+// in someone else's book (team edits used to link to the editor's). `uid`'s, or every owner's
+// when uid is null; runs from the listings-expiry cron, never from a read route. Per batch:
+// one select, one insert for each number nobody has a contact for yet, then one UPDATE.
+const CONTACT_BACKFILL_BATCH = 2000;
+async function backfillListingContacts(uid = null, { maxBatches = Infinity } = {}) {
+  await ensureContactsSchema();
+  let after = '';
+  let total = 0;
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const { rows } = await pool.query(
+      `select l.id::text as id, l.user_id, l.attributes from listings l
+        where coalesce(l.attributes->>'phone','') <> '' and l.user_id is not null
+          and (l.contact_id is null
+               or not exists (select 1 from contacts c where c.id = l.contact_id and c.user_id = l.user_id))
+          and ($1::bigint is null or l.user_id = $1) and l.id::text > $2
+        order by l.id::text
+        limit $3`,
+      [uid, after, CONTACT_BACKFILL_BATCH]
+    );
+    if (!rows.length) break;
+    after = rows[rows.length - 1].id;
+    // numbers that can't be a phone stay unlinked (and are looked at again next run)
+    const links = rows
+      .map(r => ({ id: r.id, user_id: r.user_id, phone: contactPhone(r.attributes.phone),
+                   name: r.attributes.contact_name ? String(r.attributes.contact_name).trim() : null }))
+      .filter(l => l.phone);
+    const firstByPhone = new Map();
+    for (const l of links) {
+      const key = `${l.user_id}|${l.phone}`;
+      if (!firstByPhone.has(key) || (!firstByPhone.get(key).name && l.name)) firstByPhone.set(key, l);
+    }
+    const { rows: known } = await pool.query(
+      `select p.user_id, p.phone_e164 from contact_phones p
+         join jsonb_to_recordset($1::jsonb) as v(user_id bigint, phone text)
+           on p.user_id = v.user_id and p.phone_e164 = v.phone`,
+      [JSON.stringify([...firstByPhone.values()].map(l => ({ user_id: l.user_id, phone: l.phone })))]
+    );
+    const have = new Set(known.map(k => `${k.user_id}|${k.phone_e164}`));
+    for (const [key, l] of firstByPhone) {
+      if (!have.has(key)) await contactForPhone(pool, l.user_id, l.phone, l.name);
+    }
+    const { rowCount } = await pool.query(
+      `update listings l set contact_id = p.contact_id
+         from jsonb_to_recordset($1::jsonb) as v(id text, user_id bigint, phone text)
+         join contact_phones p on p.user_id = v.user_id and p.phone_e164 = v.phone
+        where l.id::text = v.id`,
+      [JSON.stringify(links.map(l => ({ id: l.id, user_id: l.user_id, phone: l.phone })))]
+    );
+    total += rowCount;
+    if (rows.length < CONTACT_BACKFILL_BATCH) break;
+  }
+  return total;
+}
+
+// Validates the editable contact fields of a POST/PATCH body into column values
+function contactFields(body) {
+  const cols = {};
+  if (body.name !== undefined) cols.name = body.name ? String(body.name).trim() : null;
+  if (body.notes !== undefined) cols.notes = body.notes ? String(body.notes) : null;
+  if (body.rating !== undefined) {
+    const r = body.rating === null || body.rating === '' ? null : Number(body.rating);
+    if (r !== null && (!Number.isInteger(r) || r < 1 || r > 5)) throw badRequest('bad_rating');
+    cols.rating = r;
+  }
+  if (body.tags !== undefined) {
+    const list = Array.isArray(body.tags) ? body.tags : String(body.tags || '').split(',');
+    const tags = [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+    if (tags.length > CONTACT_MAX_TAGS || tags.some(t => t.length > 40)) throw badRequest('bad_tags');
+    cols.tags = tags;
+  }
+  return cols;
+}
+
+const CONTACT_SELECT = `
+  c.id, c.name, c.notes, c.tags, c.rating, c.created_at, c.updated_at,
+  coalesce((select array_agg(p.phone_e164 order by p.phone_e164) from contact_phones p where p.contact_id = c.id), '{}') as phones,
+  (select count(*)::int from listings l where l.user_id = c.user_id and l.contact_id = c.id) as listing_count,
+  (select max(l.created_at) from listings l where l.user_id = c.user_id and l.contact_id = c.id) as last_listing_at`;
+
+// 404 if missing, 403 if someone else's (like loadOwnListing)
+async function loadOwnContact(db, id, uid, { lock = false } = {}) {
+  const { rows } = /^\d+$/.test(String(id))
+    ? await db.query(`select * from contacts where id=$1${lock ? ' for update' : ''}`, [id])
+    : { rows: [] };
+  if (!rows.length) {
+    const err = new Error('not_found');
+    err.status = 404;
+    throw err;
+  }
+  if (String(rows[0].user_id) !== String(uid)) {
+    const err = new Error('forbidden');
+    err.status = 403;
+    throw err;
+  }
+  return rows[0];
+}
+
+async function getContact(db, id) {
+  const { rows } = await db.query(`select ${CONTACT_SELECT} from contacts c where c.id=$1`, [id]);
+  return rows[0];
+}
+
+function sendContactError(res, e, route) {
+  if ([400, 403, 404].includes(e.status)) return res.status(e.status).json({ error: e.message });
+  if (e.status === 409) return res.status(409).json({ error: e.message, phone: e.phone, contact_id: e.contact_id });
+  console.error(`${route} error`, e);
+  res.status(500).json({ error: 'server_error' });
+}
+
+// GET /contacts?q=&tag=&min_rating=&sort=recent|name|listings
+app.get('/contacts', requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    await ensureContactsSchema();
+    const params = [uid];
+    let where = 'c.user_id=$1';
+    const { q, tag, min_rating } = req.query;
+    if (q) {
+      const digits = String(q).replace(/\D/g, '');
+      params.push(`%${String(q).trim()}%`);
+      where += ` and (c.name ilike $${params.length} or c.notes ilike $${params.length}`;
+      if (digits.length >= 3) {
+        params.push(`%${digits.replace(/^0/, '')}%`);
+        where += ` or exists (select 1 from contact_phones p where p.contact_id = c.id and p.phone_e164 like $${params.length})`;
+      }
+      where += ')';
+    }
+    if (tag) { params.push(String(tag).trim().toLowerCase()); where += ` and $${params.length} = any(c.tags)`; }
+    if (min_rating) {
+      if (!Number.isFinite(Number(min_rating))) throw badRequest('bad_min_rating');
+      params.push(Number(min_rating)); where += ` and c.rating >= $${params.length}`;
+    }
+    const sorts = {
+      recent: 'last_listing_at desc nulls last, id desc',
+      name: 'lower(coalesce(name, \'\')) asc, id asc',
+      listings: 'listing_count desc, id desc'
+    };
+    const order = sorts[String(req.query.sort || 'recent')];
+    if (!order) throw badRequest('bad_sort');
+    const { rows } = await pool.query(
+      `select * from (select ${CONTACT_SELECT} from contacts c where ${where}) x order by ${order} limit 500`,
+      params
+    );
+    res.json(rows);
+  } catch (e) {
+    sendContactError(res, e, 'GET /contacts');
+  }
+});
+
+/**
+ * POST /contacts { name?, phones: [...], notes?, tags?, rating? }
+ * A number already in the book -> 409 phone_taken (with its contact_id; merge instead).
+ * Existing listings with these numbers and no contact are linked to the new one.
+ */
+app.post('/contacts', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const body = req.body || {};
+    const raw = Array.isArray(body.phones) ? body.phones : (body.phone ? [body.phone] : []);
+    const phones = [...new Set(raw.map(p => {
+      const e164 = contactPhone(p);
+      if (!e164) throw badRequest('bad_phone');
+      return e164;
+    }))];
+    if (!phones.length) return res.status(400).json({ error: 'phone_required' });
+    const cols = contactFields(body);
+    await ensureListingsSchema();
+    await ensureContactsSchema();
+
+    const contact = await withTransaction(async (client) => {
+      const keys = Object.keys(cols);
+      const { rows } = await client.query(
+        `insert into contacts (user_id${keys.map(k => `, ${k}`).join('')})
+         values ($1${keys.map((k, i) => `, $${i + 2}`).join('')}) returning id`,
+        [uid, ...keys.map(k => cols[k])]
+      );
+      const id = rows[0].id;
+      for (const phone of phones) {
+        const claimed = await client.query(
+          `insert into contact_phones (user_id, phone_e164, contact_id) values ($1,$2,$3)
+           on conflict do nothing`,
+          [uid, phone, id]
+        );
+        if (!claimed.rowCount) {
+          const owner = await client.query('select contact_id from contact_phones where user_id=$1 and phone_e164=$2', [uid, phone]);
+          const err = new Error('phone_taken');
+          err.status = 409;
+          err.phone = phone;
+          err.contact_id = owner.rows[0]?.contact_id;
+          throw err;
+        }
+      }
+      const { rows: unlinked } = await client.query(
+        `select id, attributes, contact_id from listings
+          where user_id=$1 and contact_id is null and coalesce(attributes->>'phone','') <> ''`,
+        [uid]
+      );
+      for (const l of unlinked) {
+        if (phones.includes(contactPhone(l.attributes.phone))) await linkListingContact(client, uid, l);
+      }
+      return getContact(client, id);
+    });
+    res.status(201).json(contact);
+  } catch (e) {
+    sendContactError(res, e, 'POST /contacts');
+  }
+});
+
+app.get('/contacts/:id', requireAuth, async (req, res) => {
+  try {
+    await ensureContactsSchema();
+    const c = await loadOwnContact(pool, req.params.id, req.user.uid);
+    res.json(await getContact(pool, c.id));
+  } catch (e) {
+    sendContactError(res, e, 'GET /contacts/:id');
+  }
+});
+
+// PATCH /contacts/:id { name?, notes?, tags?, rating? }  (rating 1-5, or null to clear)
+app.patch('/contacts/:id', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    const cols = contactFields(req.body || {});
+    await ensureContactsSchema();
+    const c = await loadOwnContact(pool, req.params.id, req.user.uid);
+    const keys = Object.keys(cols);
+    if (keys.length) {
+      await pool.query(
+        `update contacts set ${keys.map((k, i) => `${k}=$${i + 2}`).join(', ')}, updated_at=now() where id=$1`,
+        [c.id, ...keys.map(k => cols[k])]
+      );
+    }
+    res.json({ ok: true, contact: await getContact(pool, c.id) });
+  } catch (e) {
+    sendContactError(res, e, 'PATCH /contacts/:id');
+  }
+});
+
+// GET /contacts/:id/listings -> everything this contact has sent (GET /listings sort/cursor params)
+app.get('/contacts/:id/listings', requireAuth, async (req, res) => {
+  try {
+    await ensureListingsSchema();
+    await ensureContactsSchema();
+    const c = await loadOwnContact(pool, req.params.id, req.user.uid);
+    const page = await pageListings(req, {
+      select: 'l.*',
+      where: 'l.user_id=$1 and l.contact_id=$2',
+      params: [req.user.uid, c.id]
+    });
+    if (page.next_cursor) res.set('X-Next-Cursor', page.next_cursor);
+    if (req.query.cursor !== undefined) return res.json({ items: page.rows, next_cursor: page.next_cursor });
+    res.json(page.rows);
+  } catch (e) {
+    sendContactError(res, e, 'GET /contacts/:id/listings');
+  }
+});
+
+/**
+ * POST /contacts/merge { keep_id, merge_ids: [...] }
+ * Same person, several numbers: the numbers and listings of merge_ids move to keep_id and
+ * the others are deleted. Tags are unioned, notes appended, and keep's name / rating win
+ * (the others fill them in when keep has none).
+ */
+app.post('/contacts/merge', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    const keepId = req.body?.keep_id;
+    const mergeIds = Array.isArray(req.body?.merge_ids)
+      ? [...new Set(req.body.merge_ids.map(String))].filter(id => id !== String(keepId))
+      : [];
+    if (!keepId || !mergeIds.length) return res.status(400).json({ error: 'bad_args' });
+    await ensureListingsSchema();
+    await ensureContactsSchema();
+
+    const contact = await withTransaction(async (client) => {
+      const keep = await loadOwnContact(client, keepId, req.user.uid, { lock: true });
+      const others = [];
+      for (const id of mergeIds) others.push(await loadOwnContact(client, id, req.user.uid, { lock: true }));
+      const all = [keep, ...others];
+      const ids = others.map(o => o.id);
+
+      await client.query('update contact_phones set contact_id=$1 where contact_id = any($2)', [keep.id, ids]);
+      await client.query('update listings set contact_id=$1 where user_id=$2 and contact_id = any($3)', [keep.id, req.user.uid, ids]);
+      const cols = {
+        name: all.map(c => c.name).find(Boolean) || null,
+        rating: keep.rating ?? others.map(c => c.rating).find(r => r !== null) ?? null,
+        tags: [...new Set(all.flatMap(c => c.tags || []))],
+        notes: all.map(c => c.notes).filter(Boolean).join('\n\n') || null
+      };
+      const keys = Object.keys(cols);
+      await client.query(
+        `update contacts set ${keys.map((k, i) => `${k}=$${i + 2}`).join(', ')}, updated_at=now() where id=$1`,
+        [keep.id, ...keys.map(k => cols[k])]
       );
+      await client.query('delete from contacts where id = any($1)', [ids]);
+      return getContact(client, keep.id);
+    });
+    res.json({ ok: true, contact, merged: mergeIds.length });
+  } catch (e) {
+    sendContactError(res, e, 'POST /contacts/merge');
+  }
+});
+
+/* ============ REQUIREMENTS (buyer side) + MATCHING ============ */
+// "need 10 marla in Bahria Phase 7 under 2 crore" -> one requirements row.
+// Matching compares the same normalized fields listings store (society, block,
+// size in marla, demand) and is re-run live; new listings that match an open
+// requirement are also recorded in requirement_matches when they are inserted.
+
+const REQUIREMENT_FLAGS = ['corner', 'park', 'possession'];
+const MATCH_MIN_SCORE = 50;
+
+function ensureRequirementsSchema() {
+  return ensureSchema('requirements', `
+    create table if not exists requirements (
+      id           bigserial primary key,
+      user_id      bigint not null,
+      client_name  text,
+      client_phone text,
+      society_name text,
+      blocks       text[] not null default '{}',
+      size_min     numeric,
+      size_max     numeric,
+      size_unit    text not null default 'Marla',
+      budget_min   numeric,
+      budget_max   numeric,
+      land_nature  text,
+      flags        jsonb not null default '{}',
+      notes        text,
+      status       text not null default 'open',
+      created_at   timestamptz not null default now(),
+      updated_at   timestamptz
+    );
+    create index if not exists requirements_user_idx on requirements (user_id, status);
+    create table if not exists requirement_matches (
+      requirement_id bigint not null,
+      listing_id     text not null,
+      score          int not null,
+      created_at     timestamptz not null default now(),
+      primary key (requirement_id, listing_id)
+    );`);
+}
+
+// Score a listing row against a requirement row: { score 0-100, reasons[] } or null if it
+// fails a hard constraint (other society/block, size or budget out of range, other land nature).
+function scoreListing(reqRow, l) {
+  let got = 0, max = 0;
+  const reasons = [];
+
+  if (reqRow.society_name) {
+    if (normKey(reqRow.society_name) !== normKey(l.society_name)) return null;
+    got += 15; max += 15; reasons.push('society');
+  }
+
+  const blocks = (reqRow.blocks || []).map(normBlock).filter(Boolean);
+  if (blocks.length) {
+    max += 20;
+    const b = normBlock(l.phase_block);
+    if (b && !blocks.includes(b)) return null;
+    if (b) { got += 20; reasons.push('block'); } else { got += 5; reasons.push('block_unknown'); }
+  }
+
+  const lo = sizeInMarla(reqRow.size_min, reqRow.size_unit);
+  const hi = sizeInMarla(reqRow.size_max, reqRow.size_unit);
+  if (lo !== null || hi !== null) {
+    max += 25;
+    const size = sizeInMarla(l.plot_size_value, l.plot_size_unit);
+    if (size === null) { got += 5; reasons.push('size_unknown'); }
+    else if ((lo === null || size >= lo) && (hi === null || size <= hi)) { got += 25; reasons.push('size'); }
+    else if ((lo === null || size >= lo * 0.9) && (hi === null || size <= hi * 1.1)) { got += 10; reasons.push('size_near'); }
+    else return null;
+  }
+
+  const bmin = reqRow.budget_min == null ? null : Number(reqRow.budget_min);
+  const bmax = reqRow.budget_max == null ? null : Number(reqRow.budget_max);
+  if (bmin !== null || bmax !== null) {
+    max += 25;
+    const price = l.demand_amount_pkr == null ? null : Number(l.demand_amount_pkr);
+    if (price === null) { got += 5; reasons.push('price_unknown'); }
+    else if ((bmin === null || price >= bmin) && (bmax === null || price <= bmax)) { got += 25; reasons.push('budget'); }
+    // within 10% either side: worth a call
+    else if (bmax !== null && price > bmax && price <= bmax * 1.1) { got += 10; reasons.push('budget_stretch'); }
+    else if (bmin !== null && price < bmin && price >= bmin * 0.9) { got += 10; reasons.push('budget_near'); }
+    else return null;
+  }
+
+  const attrs = l.attributes || {};
+  if (reqRow.land_nature) {
+    max += 10;
+    const nature = attrs.land_nature;
+    if (nature && normKey(nature) !== normKey(reqRow.land_nature)) return null;
+    if (nature) { got += 10; reasons.push('land_nature'); }
+  }
+
+  const notes = String(l.notes || '').toLowerCase();
+  const has = {
+    corner: attrs.flags?.corner || /corner/.test(notes),
+    park: attrs.flags?.park || /park facing/.test(notes),
+    possession: attrs.flags?.possession || /possession/.test(notes)
+  };
+  for (const f of REQUIREMENT_FLAGS) {
+    if (!reqRow.flags?.[f]) continue;
+    max += 5;
+    if (has[f]) { got += 5; reasons.push(f); }
+  }
+
+  return { score: max ? Math.round((got / max) * 100) : 0, reasons };
+}
+
+// Called for every inserted listing; returns ids of open requirements it matched
+async function recordRequirementMatches(db, uid, listing) {
+  await ensureRequirementsSchema();
+  const { rows } = await db.query(
+    `select * from requirements where user_id=$1 and status='open'`,
+    [uid]
+  );
+  const matched = [];
+  for (const r of rows) {
+    const m = scoreListing(r, listing);
+    if (!m || m.score < MATCH_MIN_SCORE) continue;
+    await db.query(
+      `insert into requirement_matches (requirement_id, listing_id, score)
+       values ($1,$2,$3)
+       on conflict (requirement_id, listing_id) do update set score = excluded.score`,
+      [r.id, String(listing.id), m.score]
+    );
+    matched.push(r.id);
+  }
+  return matched;
+}
+
+// Body -> requirements columns. `text` (a client's message) is run through the shared
+// parser (with the user's ParseOptions) and fills whatever the explicit fields leave empty.
+function requirementFromBody(body, parseOpts) {
+  const b = body || {};
+  const parsed = b.text ? parseMessage(String(b.text), parseOpts) : null;
+  const num = (v) => (v === '' || v === null || v === undefined || !Number.isFinite(Number(v))) ? null : Number(v);
+  const flags = {};
+  for (const f of REQUIREMENT_FLAGS) {
+    if (b.flags?.[f] || parsed?.flags?.[f]) flags[f] = true;
+  }
+  const blocks = Array.isArray(b.blocks) ? b.blocks : (b.blocks ? [b.blocks] : (parsed?.phase_block ? [parsed.phase_block] : []));
+  const parsedSize = parsed && parsed.size_val !== '' ? parsed.size_val : null;
+  return {
+    client_name: b.client_name || null,
+    client_phone: b.client_phone ? toE164(b.client_phone) : (parsed?.phone_e164 || null),
+    society_name: b.society_name || parsed?.society || null,
+    blocks: blocks.map(String).filter(Boolean),
+    size_min: num(b.size_min) ?? parsedSize,
+    size_max: num(b.size_max) ?? parsedSize,
+    size_unit: b.size_unit || (parsedSize !== null ? parsed.size_unit : null) || 'Marla',
+    budget_min: num(b.budget_min),
+    budget_max: num(b.budget_max) ?? (parsed && parsed.demand_pkr !== '' ? parsed.demand_pkr : null),
+    land_nature: b.land_nature || null,
+    flags,
+    notes: b.notes || (b.text ? String(b.text) : null),
+    status: b.status || 'open'
+  };
+}
+
+const REQUIREMENT_STATUSES = ['open', 'closed'];
+
+app.get('/requirements', requireAuth, async (req, res) => {
+  try {
+    await ensureRequirementsSchema();
+    const status = String(req.query.status || 'open');
+    const { rows } = await pool.query(
+      `select r.*,
+              (select count(*)::int from requirement_matches m where m.requirement_id = r.id) as match_count
+         from requirements r
+        where r.user_id=$1 and ($2 = 'all' or r.status = $2)
+        order by r.created_at desc
+        limit 500`,
+      [req.user.uid, status]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /requirements error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// POST /requirements { society_name, blocks[], size_min, size_max, size_unit, budget_min, budget_max,
+//                      land_nature, flags{corner,park,possession}, client_name, client_phone, notes, text? }
+app.post('/requirements', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    const r = requirementFromBody(req.body, req.body?.text ? await userParseOptions(req.user.uid) : undefined);
+    if (!REQUIREMENT_STATUSES.includes(r.status)) return res.status(400).json({ error: 'bad_status' });
+    if (!r.society_name && r.size_min === null && r.size_max === null && r.budget_min === null && r.budget_max === null) {
+      return res.status(400).json({ error: 'empty_requirement' });
+    }
+    await ensureRequirementsSchema();
+    const { rows } = await pool.query(
+      `insert into requirements
+         (user_id, client_name, client_phone, society_name, blocks, size_min, size_max, size_unit,
+          budget_min, budget_max, land_nature, flags, notes, status)
+       values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+       returning *`,
+      [req.user.uid, r.client_name, r.client_phone, r.society_name, r.blocks, r.size_min, r.size_max, r.size_unit,
+       r.budget_min, r.budget_max, r.land_nature, r.flags, r.notes, r.status]
+    );
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    console.error('POST /requirements error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// PATCH /requirements/:id  (same fields as POST; status=closed once the client has bought)
+app.patch('/requirements/:id', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    await ensureRequirementsSchema();
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(404).json({ error: 'not_found' });
+    const body = req.body || {};
+    const cols = requirementFromBody(body, body.text ? await userParseOptions(req.user.uid) : undefined);
+    const keys = Object.keys(cols).filter(k => k === 'flags' ? body.flags !== undefined : body[k] !== undefined);
+    if (cols.status && !REQUIREMENT_STATUSES.includes(cols.status)) return res.status(400).json({ error: 'bad_status' });
+    if (!keys.length) return res.status(400).json({ error: 'nothing_to_update' });
+    const { rows } = await pool.query(
+      `update requirements set ${keys.map((k, i) => `${k}=$${i + 3}`).join(', ')}, updated_at=now()
+        where id=$1 and user_id=$2
+        returning *`,
+      [id, req.user.uid, ...keys.map(k => cols[k])]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'not_found' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('PATCH /requirements/:id error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+app.delete('/requirements/:id', requireAuth, readOnlyMiddleware(), async (req, res) => {
+  try {
+    await ensureRequirementsSchema();
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(404).json({ error: 'not_found' });
+    const { rowCount } = await pool.query('delete from requirements where id=$1 and user_id=$2', [id, req.user.uid]);
+    if (!rowCount) return res.status(404).json({ error: 'not_found' });
+    await pool.query('delete from requirement_matches where requirement_id=$1', [id]);
+    res.json({ ok: true, id });
+  } catch (e) {
+    console.error('DELETE /requirements/:id error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * GET /requirements/:id/matches?min_score=50&limit=100
+ * Scores the user's available/on-hold listings against the requirement, best first.
+ * `first_matched_at` is set for listings that matched when they were inserted.
+ */
+app.get('/requirements/:id/matches', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(404).json({ error: 'not_found' });
+    await ensureRequirementsSchema();
+    await ensureListingsSchema();
+    const { rows: reqs } = await pool.query(
+      'select * from requirements where id=$1 and user_id=$2',
+      [id, req.user.uid]
+    );
+    if (!reqs.length) return res.status(404).json({ error: 'not_found' });
+    const reqRow = reqs[0];
+    const minScore = Number(req.query.min_score ?? MATCH_MIN_SCORE);
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+
+    // Society is a hard constraint, so let SQL narrow the candidates first
+    const params = [req.user.uid];
+    let where = `l.user_id=$1 and l.status in ('available','on_hold')`;
+    if (reqRow.society_name) {
+      // SQL only compares the ASCII letters/digits (a superset of the exact normKey match,
+      // which scoreListing still checks), so it doesn't depend on the database's locale.
+      // Urdu/Arabic digits become ASCII first on both sides, as in normKey ("DHA ۲" = "DHA 2").
+      params.push(normKey(reqRow.society_name).replace(/[^a-z0-9]/g, ''));
+      where += ` and regexp_replace(lower(${sqlAsciiDigits(`coalesce(l.society_name,'')`)}), '[^a-z0-9]', '', 'g') = $${params.length}`;
+    }
+    params.push(reqRow.id);
+    const { rows } = await pool.query(
+      `select l.*, m.created_at as first_matched_at
+         from listings l
+    left join requirement_matches m on m.listing_id = l.id::text and m.requirement_id = $${params.length}
+        where ${where}
+        order by l.created_at desc
+        limit 5000`,
+      params
+    );
+
+    const out = [];
+    for (const l of rows) {
+      const m = scoreListing(reqRow, l);
+      if (!m || m.score < minScore) continue;
+      delete l.search_tsv;
+      out.push({ score: m.score, reasons: m.reasons, listing: l });
+    }
+    out.sort((a, b) => b.score - a.score || new Date(b.listing.created_at) - new Date(a.listing.created_at));
+    res.json({ requirement: reqRow, matches: out.slice(0, limit) });
+  } catch (e) {
+    console.error('GET /requirements/:id/matches error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+
+/* ============ SAVED SEARCHES + EMAIL DIGESTS ============ */
+// A saved search is a named GET /listings filter set. Digests are sent by
+// GET|POST /cron/digests, called by Vercel Cron (see api/vercel.json) or any
+// external scheduler, so it works without a long-running process:
+//   - 'instant' searches are sent on every cron run that finds new listings
+//   - 'daily' searches at most once per ~day
+// Each search keeps a watermark (last_checked_at) so a listing is mailed once. created_at is
+// the inserting transaction's start, so a listing from a long import can commit after a run
+// has moved the watermark past it: every run re-scans DIGEST_OVERLAP before the watermark and
+// skips the ids already covered there (recent_listing_ids).
+
+const SAVED_SEARCH_FILTERS = [
+  'book', 'soc', 'blk', 'unit', 'min', 'max', 'nature', 'q', 'status', 'include_stale', 'visibility',
+  ...Object.keys(LISTING_RANGE_FILTERS).flatMap(k => [`min_${k}`, `max_${k}`])
+];
+const DIGEST_FREQUENCIES = ['daily', 'instant', 'off'];
+const DIGEST_MAX_LISTINGS = 50;
+const DIGEST_OVERLAP = '1 hour';
+
+function ensureSavedSearchesSchema() {
+  return ensureSchema('saved_searches', `
+    create table if not exists saved_searches (
+      id                bigserial primary key,
+      user_id           bigint not null,
+      name              text not null,
+      filters           jsonb not null default '{}',
+      frequency         text not null default 'daily',
+      unsubscribe_token text not null unique,
+      last_checked_at   timestamptz not null default now(),
+      last_sent_at      timestamptz,
+      created_at        timestamptz not null default now()
+    );
+    alter table saved_searches add column if not exists recent_listing_ids text[] not null default '{}';
+    create index if not exists saved_searches_user_idx on saved_searches (user_id);`);
+}
+
+// Keep only known filter keys, as strings (same shape as req.query)
+function pickSearchFilters(input) {
+  const out = {};
+  for (const k of SAVED_SEARCH_FILTERS) {
+    const v = input?.[k];
+    if (v === undefined || v === null || String(v).trim() === '') continue;
+    // listingFilters rejects non-numeric ranges; drop them here so digests never fail on them
+    if (/^(min|max)_/.test(k) && !Number.isFinite(Number(v))) continue;
+    if (k === 'book' && !LISTING_BOOKS.includes(String(v).trim())) continue;
+    out[k] = String(v).trim();
+  }
+  return out;
+}
+
+// 19000000 -> "1.9 crore", 9500000 -> "95 lac"
+function formatPkr(n) {
+  const v = Number(n);
+  if (n === null || n === undefined || !Number.isFinite(v) || v <= 0) return '';
+  if (v >= 10_000_000) return `${+(v / 10_000_000).toFixed(2)} crore`;
+  if (v >= 100_000) return `${+(v / 100_000).toFixed(2)} lac`;
+  return `PKR ${v.toLocaleString('en-US')}`;
+}
+
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+app.get('/saved-searches', requireAuth, async (req, res) => {
+  try {
+    await ensureSavedSearchesSchema();
+    const { rows } = await pool.query(
+      `select id, name, filters, frequency, last_sent_at, created_at
+         from saved_searches where user_id=$1 order by created_at desc`,
+      [req.user.uid]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('GET /saved-searches error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// POST /saved-searches { name, filters: { soc, blk, unit, min, max, nature, q, status, min_area, … }, frequency }
+app.post('/saved-searches', requireAuth, async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    const frequency = String(req.body?.frequency || 'daily');
+    if (!name) return res.status(400).json({ error: 'name_required' });
+    if (!DIGEST_FREQUENCIES.includes(frequency)) return res.status(400).json({ error: 'bad_frequency', allowed: DIGEST_FREQUENCIES });
+    await ensureSavedSearchesSchema();
+    const { rows } = await pool.query(
+      `insert into saved_searches (user_id, name, filters, frequency, unsubscribe_token)
+       values ($1,$2,$3,$4,$5)
+       returning id, name, filters, frequency, last_sent_at, created_at`,
+      [req.user.uid, name, pickSearchFilters(req.body?.filters), frequency, crypto.randomBytes(24).toString('hex')]
+    );
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    console.error('POST /saved-searches error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// PATCH /saved-searches/:id { name?, filters?, frequency? }
+app.patch('/saved-searches/:id', requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.frequency !== undefined && !DIGEST_FREQUENCIES.includes(body.frequency)) {
+      return res.status(400).json({ error: 'bad_frequency', allowed: DIGEST_FREQUENCIES });
+    }
+    await ensureSavedSearchesSchema();
+    const { rows } = await pool.query(
+      `update saved_searches
+          set name      = coalesce($3, name),
+              filters   = coalesce($4, filters),
+              frequency = coalesce($5, frequency)
+        where id=$1 and user_id=$2
+        returning id, name, filters, frequency, last_sent_at, created_at`,
+      [
+        Number(req.params.id), req.user.uid,
+        body.name ? String(body.name).trim() : null,
+        body.filters !== undefined ? pickSearchFilters(body.filters) : null,
+        body.frequency || null
+      ]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'not_found' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('PATCH /saved-searches/:id error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+app.delete('/saved-searches/:id', requireAuth, async (req, res) => {
+  try {
+    await ensureSavedSearchesSchema();
+    const { rowCount } = await pool.query(
+      'delete from saved_searches where id=$1 and user_id=$2',
+      [Number(req.params.id), req.user.uid]
+    );
+    if (!rowCount) return res.status(404).json({ error: 'not_found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('DELETE /saved-searches/:id error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// GET /saved-searches/unsubscribe?token=...  (link in every digest; no login needed)
+app.get('/saved-searches/unsubscribe', async (req, res) => {
+  try {
+    const token = String(req.query.token || '');
+    if (!token) return res.status(400).type('text').send('Missing token.');
+    await ensureSavedSearchesSchema();
+    const { rows } = await pool.query(
+      `update saved_searches set frequency='off' where unsubscribe_token=$1 returning name`,
+      [token]
+    );
+    if (!rows.length) return res.status(404).type('text').send('This unsubscribe link is not valid.');
+    res.type('text').send(`You will no longer receive emails for "${rows[0].name}".`);
+  } catch (e) {
+    console.error('GET /saved-searches/unsubscribe error', e);
+    res.status(500).type('text').send('Something went wrong.');
+  }
+});
+
+// Send one digest if the search has new listings since its watermark.
+// Returns 'sent' | 'empty' | 'failed'.
+async function sendSavedSearchDigest(search, baseUrl) {
+  const until = new Date();
+  // someone who left their team gets their own book instead of the team's
+  const team = await userTeam(pool, search.user_id);
+  const filters = { ...(search.filters || {}) };
+  if (!team) delete filters.book;
+  const { where, params } = listingFilters(search.user_id, filters, team?.team_id);
+  params.push(search.last_checked_at, until, search.recent_listing_ids || []);
+  const n = params.length;
+  // one statement, so the ids marked covered are exactly the ones this run could see
+  const { rows: [scan] } = await pool.query(
+    `with hits as (
+       select l.* from listings l
+        where ${where}
+          and l.created_at > $${n - 2}::timestamptz - interval '${DIGEST_OVERLAP}'
+          and l.created_at <= $${n - 1}
+     ),
+     fresh as (
+       select * from hits where not (id::text = any($${n}::text[]))
+        order by created_at desc
+        limit ${DIGEST_MAX_LISTINGS + 1}
+     )
+     select (select coalesce(json_agg(f order by f.created_at desc), '[]') from fresh f) as rows,
+            (select coalesce(array_agg(h.id::text), '{}') from hits h
+              where h.created_at > $${n - 1}::timestamptz - interval '${DIGEST_OVERLAP}') as covered`,
+    params
+  );
+  const { rows, covered } = scan;
+
+  if (!rows.length) {
+    await pool.query('update saved_searches set last_checked_at=$2, recent_listing_ids=$3 where id=$1', [search.id, until, covered]);
+    return 'empty';
+  }
+
+  const lines = rows.slice(0, DIGEST_MAX_LISTINGS).map((l) => {
+    const size = l.plot_size_value != null ? `${Number(l.plot_size_value)} ${l.plot_size_unit || ''}`.trim() : '';
+    const parts = [
+      l.society_name, l.phase_block, l.plot_number ? `#${l.plot_number}` : '', size,
+      formatPkr(l.demand_amount_pkr) || l.demand_text, l.attributes?.phone, l.attributes?.contact_name
+    ].filter(Boolean);
+    return `- ${parts.join(' · ')}`;
+  });
+  const more = rows.length > DIGEST_MAX_LISTINGS ? `\n…and more. Open PlotNama to see all.\n` : '';
+  const text =
+    `New listings for your saved search "${search.name}":\n\n` +
+    `${lines.join('\n')}\n${more}\n` +
+    `Stop these emails: ${baseUrl}/saved-searches/unsubscribe?token=${search.unsubscribe_token}\n`;
+
+  const ok = await sendEmailPlain(search.email, `PlotNama: ${rows.length > DIGEST_MAX_LISTINGS ? `${DIGEST_MAX_LISTINGS}+` : rows.length} new for "${search.name}"`, text);
+  // On failure keep the watermark so the next run retries the same listings
+  if (!ok) return 'failed';
+  await pool.query(
+    'update saved_searches set last_checked_at=$2, recent_listing_ids=$3, last_sent_at=now() where id=$1',
+    [search.id, until, covered]
+  );
+  return 'sent';
+}
+
+// Cron auth: Vercel Cron sends "Authorization: Bearer $CRON_SECRET"; other schedulers may use X-Cron-Secret
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET || '';
+  const auth = req.headers.authorization || '';
+  const given = auth.startsWith('Bearer ') ? auth.slice(7) : (req.header('x-cron-secret') || '');
+  if (!secret || given !== secret) return res.status(401).json({ error: 'unauthorized' });
+  next();
+}
+
+/**
+ * GET|POST /cron/digests?frequency=daily|instant
+ * Without ?frequency every due search is processed. Batches of 200, stalest first,
+ * so a short serverless timeout still makes progress on every call.
+ * api/vercel.json calls frequency=instant every 10 minutes. Vercel only runs crons more
+ * often than daily on paid plans; README.md (Deployment notes) has the Hobby-plan setup.
+ */
+async function runDigests(req, res) {
+  try {
+    await ensureSavedSearchesSchema();
+    const only = req.query.frequency ? String(req.query.frequency) : null;
+    if (only && !['daily', 'instant'].includes(only)) return res.status(400).json({ error: 'bad_frequency' });
+    const { rows } = await pool.query(
+      `select s.*, u.email
+         from saved_searches s
+         join app_users u on u.id = s.user_id
+        where s.frequency <> 'off'
+          and ($1::text is null or s.frequency = $1)
+          and (s.frequency = 'instant' or s.last_checked_at <= now() - interval '23 hours')
+        order by s.last_checked_at asc
+        limit 200`,
+      [only]
+    );
+    const baseUrl = publicBaseUrl(req);
+    const out = { ok: true, checked: rows.length, sent: 0, empty: 0, failed: 0 };
+    for (const search of rows) {
+      try {
+        out[await sendSavedSearchDigest(search, baseUrl)] += 1;
+      } catch (e) {
+        console.error('digest failed for saved search', search.id, e);
+        out.failed += 1;
+      }
+    }
+    res.json(out);
+  } catch (e) {
+    console.error('/cron/digests error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+}
+app.get('/cron/digests', requireCronSecret, runDigests);
+app.post('/cron/digests', requireCronSecret, runDigests);
+
+
+/* ============ STORAGE (payment screenshots) ============ */
+// Private files behind one interface, picked by STORAGE_DRIVER:
+//   local (default) - files under UPLOAD_DIR, served only through signed /files/... URLs
+//   s3              - any S3-compatible bucket (AWS, R2, MinIO): S3_ENDPOINT, S3_REGION,
+//                     S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (path-style unless
+//                     S3_FORCE_PATH_STYLE=0); reads are presigned GET URLs
+// Every driver has put(key, body, contentType) and signedUrl(key, ttlSeconds, baseUrl).
+
+const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS || 300);
+// Its own key when set; otherwise one derived from JWT_SECRET (HKDF), so a file URL signature
+// is never a MAC under the token key itself
+const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET ||
+  Buffer.from(crypto.hkdfSync('sha256', JWT_SECRET, '', 'plotnama/storage-url/v1', 32));
+
+// Keys are ours (payments/<uuid>.jpg) or legacy upload names; nothing that can leave the root
+function isStorageKey(key) {
+  return /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/.test(key) && !key.includes('..');
+}
 
+function fileSignature(key, expires) {
+  return crypto.createHmac('sha256', STORAGE_SIGNING_SECRET).update(`${key}:${expires}`).digest('base64url');
+}
 
-const { rows } = await pool.query(
-  `insert into listings
-     (user_id, society_name, phase_block, plot_size_value, plot_size_unit,
-      plot_number, demand_amount_pkr, notes, attributes)
-   values ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-   returning id`,
-  [
-    uid,
-    society_name || null,
-    phase_block || null,
-    plot_size_value ?? null,
-    plot_size_unit || 'Marla',
-    plot_number || null,
-    demand_amount_pkr ?? null,
-    notes || null,
-    mergedAttributes
-  ]
-);
+function localStorageDriver(root) {
+  return {
+    name: 'local',
+    async put(key, body) {
+      const file = path.join(root, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+    async signedUrl(key, ttl, baseUrl) {
+      const expires = Math.floor(Date.now() / 1000) + ttl;
+      return `${baseUrl}/files/${key}?expires=${expires}&sig=${fileSignature(key, expires)}`;
+    },
+    file(key) {
+      return path.join(root, key);
+    }
+  };
+}
 
+/* ---- S3 (Signature Version 4, no SDK) ---- */
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+// RFC 3986, as S3 wants it (encodeURIComponent leaves !'()* alone)
+const s3Encode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
 
+function s3StorageDriver({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+  const base = new URL(endpoint);
 
+  function target(key) {
+    const keyPath = key.split('/').map(s3Encode).join('/');
+    return forcePathStyle
+      ? { host: base.host, pathname: `${base.pathname.replace(/\/+$/, '')}/${s3Encode(bucket)}/${keyPath}` }
+      : { host: `${bucket}.${base.host}`, pathname: `/${keyPath}` };
+  }
 
-    res.status(201).json({ id: rows[0].id });
-  } catch (e) {
-    console.error('POST /listings error', e);
-    res.status(500).json({ error: e?.message || 'server_error', detail: e?.detail || e?.code || null });
+  // Returns the hex signature for one canonical request
+  function sign({ method, pathname, query, headers, payloadHash, amzDate }) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const names = Object.keys(headers).map(h => h.toLowerCase()).sort();
+    const canonical = [
+      method,
+      pathname,
+      query,
+      names.map(h => `${h}:${String(headers[Object.keys(headers).find(k => k.toLowerCase() === h)]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+    const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonical)].join('\n');
+    const kSigning = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    return { signature: crypto.createHmac('sha256', kSigning).update(toSign).digest('hex'), scope, signedHeaders: names.join(';') };
+  }
+
+  const amzDateOf = (d) => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  return {
+    name: 's3',
+    async put(key, body, contentType) {
+      const { host, pathname } = target(key);
+      const amzDate = amzDateOf(new Date());
+      const payloadHash = sha256Hex(body);
+      const headers = { host, 'content-type': contentType, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+      const { signature, scope, signedHeaders } = sign({ method: 'PUT', pathname, query: '', headers, payloadHash, amzDate });
+      const r = await fetch(`${base.protocol}//${host}${pathname}`, {
+        method: 'PUT',
+        headers: {
+          ...headers,
+          authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        body
+      });
+      if (!r.ok) throw new Error(`s3 put ${r.status}: ${(await r.text()).slice(0, 200)}`);
+    },
+    // presigned GET; `now` is only there so the signature can be checked against a fixed date
+    async signedUrl(key, ttl, _baseUrl, now = new Date()) {
+      const { host, pathname } = target(key);
+      const amzDate = amzDateOf(now);
+      const params = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(ttl),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const query = Object.keys(params).sort().map(k => `${s3Encode(k)}=${s3Encode(params[k])}`).join('&');
+      const { signature } = sign({ method: 'GET', pathname, query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate });
+      return `${base.protocol}//${host}${pathname}?${query}&X-Amz-Signature=${signature}`;
+    }
+  };
+}
 
+function createStorage() {
+  const driver = String(process.env.STORAGE_DRIVER || 'local').toLowerCase();
+  if (driver === 's3') {
+    for (const k of ['S3_ENDPOINT', 'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']) {
+      if (!process.env[k]) throw new Error(`STORAGE_DRIVER=s3 needs ${k}`);
+    }
+    return s3StorageDriver({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== '0'
+    });
+  }
+  if (driver !== 'local') throw new Error(`unknown STORAGE_DRIVER ${driver}`);
+  const local = localStorageDriver(UPLOAD_DIR);
+  if (process.env.VERCEL !== '1') return local;
+  // On Vercel the local root is per-instance /tmp: a file written there is gone (or on another
+  // instance) by the time the signed URL is opened. Reads of old files still work; new uploads
+  // are refused (503) until STORAGE_DRIVER=s3 is set.
+  console.error('STORAGE_DRIVER=local on Vercel: uploads are refused; set STORAGE_DRIVER=s3');
+  return {
+    ...local,
+    async put() {
+      const err = new Error('storage_not_configured'); err.status = 503; throw err;
+    }
+  };
+}
+const storage = createStorage();
+
+// GET /files/<key>?expires=&sig=  (local driver only; the URLs come from storage.signedUrl)
+app.get('/files/*key', async (req, res) => {
+  const key = [].concat(req.params.key).join('/');
+  const expires = Number(req.query.expires);
+  const sig = String(req.query.sig || '');
+  const want = isStorageKey(key) && Number.isFinite(expires) ? fileSignature(key, expires) : '';
+  if (storage.name !== 'local' || !want || sig.length !== want.length ||
+      !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(want))) {
+    return res.status(403).json({ error: 'bad_signature' });
   }
+  if (expires < Date.now() / 1000) return res.status(410).json({ error: 'expired' });
+  res.set('Cache-Control', 'private, no-store');
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.sendFile(storage.file(key), (err) => {
+    if (err && !res.headersSent) res.status(err.statusCode === 404 || err.code === 'ENOENT' ? 404 : 500).json({ error: 'not_found' });
+  });
 });
 
+/* ---- Images: sniff the real type, drop metadata (EXIF GPS, camera, comments) ---- */
+const IMAGE_TYPES = {
+  jpeg: { mime: 'image/jpeg', ext: 'jpg' },
+  png:  { mime: 'image/png',  ext: 'png' },
+  webp: { mime: 'image/webp', ext: 'webp' }
+};
+
+// By magic bytes; the client's Content-Type is not trusted
+function sniffImageType(buf) {
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpeg';
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+function badImage() {
+  const err = new Error('bad_image');
+  err.status = 400;
+  return err;
+}
+
+// JPEG: drop APP1 (EXIF/XMP), APP13 (IPTC) and comments; keep APP2 (ICC colour) and image data
+function stripJpeg(buf) {
+  const out = [buf.subarray(0, 2)];
+  let i = 2;
+  while (i < buf.length) {
+    if (buf[i] !== 0xff) throw badImage();
+    const marker = buf[i + 1];
+    if (marker === 0xff) { i++; continue; }                       // fill byte
+    if (marker === 0xd9 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { out.push(buf.subarray(i, i + 2)); i += 2; continue; }
+    if (i + 4 > buf.length) throw badImage();
+    const len = buf.readUInt16BE(i + 2);
+    if (len < 2 || i + 2 + len > buf.length) throw badImage();
+    if (marker === 0xda) { out.push(buf.subarray(i)); break; }     // start of scan: the rest is image data
+    if (marker !== 0xe1 && marker !== 0xed && marker !== 0xfe) out.push(buf.subarray(i, i + 2 + len));
+    i += 2 + len;
+  }
+  return Buffer.concat(out);
+}
+
+// PNG: drop text, EXIF and timestamp chunks
+const PNG_DROP_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME']);
+function stripPng(buf) {
+  const out = [buf.subarray(0, 8)];
+  let i = 8;
+  while (i < buf.length) {
+    if (i + 12 > buf.length) throw badImage();
+    const len = buf.readUInt32BE(i);
+    const type = buf.toString('latin1', i + 4, i + 8);
+    const end = i + 12 + len;
+    if (end > buf.length) throw badImage();
+    if (!PNG_DROP_CHUNKS.has(type)) out.push(buf.subarray(i, end));
+    i = end;
+    if (type === 'IEND') break;
+  }
+  return Buffer.concat(out);
+}
+
+// WebP: drop EXIF / XMP chunks and clear their VP8X flags
+function stripWebp(buf) {
+  const chunks = [];
+  let i = 12;
+  while (i + 8 <= buf.length) {
+    const type = buf.toString('latin1', i, i + 4);
+    const len = buf.readUInt32LE(i + 4);
+    const end = i + 8 + len + (len % 2);
+    if (i + 8 + len > buf.length) throw badImage();
+    if (type !== 'EXIF' && type !== 'XMP ') {
+      const chunk = Buffer.from(buf.subarray(i, Math.min(end, buf.length)));
+      if (type === 'VP8X') chunk[8] &= ~(0x08 | 0x04);
+      chunks.push(chunk);
+    }
+    i = end;
+  }
+  const body = Buffer.concat(chunks);
+  const header = Buffer.from('RIFF0000WEBP', 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+// -> { type, mime, ext, body } with metadata removed; 415 for anything that isn't JPEG/PNG/WebP
+function cleanImage(buf) {
+  const type = sniffImageType(buf);
+  if (!type) {
+    const err = new Error('unsupported_file_type');
+    err.status = 415;
+    throw err;
+  }
+  const body = type === 'jpeg' ? stripJpeg(buf) : type === 'png' ? stripPng(buf) : stripWebp(buf);
+  return { type, ...IMAGE_TYPES[type], body };
+}
+
+/* ============ AUDIT LOG ============ */
+// Append-only record of admin and billing actions: who (the signed-in account, and whether it got
+// in through an admin role or a break-glass session), what, on which target, the state before
+// and after, IP and the admin's reason (body.reason or X-Audit-Reason). A trigger refuses
+// UPDATE / DELETE / TRUNCATE on the table, so rows can only be added.
+// actor_via: role | break_glass | user (entries from before roles say admin | secret).
+
+const AUDIT_BILLING_ACTIONS = [
+  'payment.submit', 'payment.approve', 'payment.reject', 'subscription.extend', 'team.subscription.extend'
+];
+
+function ensureAuditSchema() {
+  return ensureSchema('audit_log', `
+    create table if not exists audit_log (
+      id bigserial primary key,
+      at timestamptz not null default now(),
+      actor_user_id bigint,
+      actor_email text,
+      actor_via text not null,
+      action text not null,
+      target_type text,
+      target_id text,
+      subject_user_id bigint,
+      before jsonb,
+      after jsonb,
+      reason text,
+      ip text,
+      user_agent text
+    );
+    create index if not exists audit_log_at_idx on audit_log (at desc);
+    create index if not exists audit_log_actor_idx on audit_log (actor_user_id, at desc);
+    create index if not exists audit_log_subject_idx on audit_log (subject_user_id, at desc);
+    create index if not exists audit_log_action_idx on audit_log (action, at desc);
+    create or replace function audit_log_append_only() returns trigger language plpgsql as $$
+    begin
+      raise exception 'audit_log is append-only';
+    end $$;
+    drop trigger if exists audit_log_no_update on audit_log;
+    create trigger audit_log_no_update before update or delete on audit_log
+      for each row execute function audit_log_append_only();
+    drop trigger if exists audit_log_no_truncate on audit_log;
+    create trigger audit_log_no_truncate before truncate on audit_log
+      for each statement execute function audit_log_append_only();`);
+}
+
+/**
+ * Adds one entry. `db` is the pool or the transaction client of the change being recorded, so
+ * the entry commits (or rolls back) with it. Admin routes pass through requirePermission, which
+ * sets req.adminVia; anything else is the user acting on their own account.
+ */
+async function audit(db, req, { action, targetType = null, targetId = null, subjectUserId = null, before = null, after = null }) {
+  const reason = req.adminVia
+    ? String(req.body?.reason || req.header('x-audit-reason') || '').trim().slice(0, 500) || null
+    : null;
+  await db.query(
+    `insert into audit_log (actor_user_id, actor_email, actor_via, action, target_type, target_id,
+                            subject_user_id, before, after, reason, ip, user_agent)
+     values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
+    [
+      req.user?.uid || null, req.user?.email || null, req.adminVia || 'user', action,
+      targetType, targetId === null ? null : String(targetId), subjectUserId,
+      before === null ? null : JSON.stringify(before), after === null ? null : JSON.stringify(after),
+      reason, req.ip || null, String(req.header('user-agent') || '').slice(0, 300) || null
+    ]
+  );
+}
+
+// Paid periods of a user (personal) or a team, for before/after snapshots
+async function subscriptionSnapshot(db, { userId, teamId = null }) {
+  await ensureTeamsSchema();
+  const { rows } = await db.query(
+    `select id, plan, mode, start_at, end_at, team_id from subscriptions
+      where ${teamId ? 'team_id = $1' : 'user_id = $1 and team_id is null'}
+      order by end_at desc`,
+    [teamId || userId]
+  );
+  return rows;
+}
+
+// ?cursor= (an entry id) -> { items, next_cursor }, newest first; X-Next-Cursor when there is more
+async function pageAudit(req, res, { where, params, select }) {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+  if (cursor !== null && !Number.isInteger(cursor)) return res.status(400).json({ error: 'bad_cursor' });
+  if (cursor) {
+    params.push(cursor);
+    where.push(`id < $${params.length}`);
+  }
+  params.push(limit + 1);
+  const { rows } = await pool.query(
+    `select ${select} from audit_log
+      ${where.length ? `where ${where.join(' and ')}` : ''}
+      order by id desc
+      limit $${params.length}`,
+    params
+  );
+  const next_cursor = rows.length > limit ? String(rows[limit - 1].id) : null;
+  if (next_cursor) res.set('X-Next-Cursor', next_cursor);
+  res.json({ items: rows.slice(0, limit), next_cursor });
+}
 
+/**
+ * GET /admin/audit ?user=<id|email> &action=payment.approve|payment.* &from= &to= &limit= &cursor=
+ * user matches the actor or the account acted on; from/to are dates or timestamps (to inclusive
+ * for a bare date).
+ */
+app.get('/admin/audit', requireAuth, requirePermission('audit.view'), async (req, res) => {
+  try {
+    await ensureAuditSchema();
+    const where = [];
+    const params = [];
+    const user = String(req.query.user || '').trim();
+    if (user) {
+      params.push(user);
+      const n = params.length;
+      where.push(/^\d+$/.test(user)
+        ? `(actor_user_id = $${n}::bigint or subject_user_id = $${n}::bigint)`
+        : `(lower(actor_email) = lower($${n})
+            or actor_user_id in (select id from app_users where lower(email) = lower($${n}))
+            or subject_user_id in (select id from app_users where lower(email) = lower($${n})))`);
+    }
+    const action = String(req.query.action || '').trim();
+    if (action) {
+      if (!/^[a-z_.]+\*?$/.test(action)) return res.status(400).json({ error: 'bad_action' });
+      if (action.endsWith('*')) {
+        params.push(`${action.slice(0, -1)}%`);
+        where.push(`action like $${params.length}`);
+      } else {
+        params.push(action);
+        where.push(`action = $${params.length}`);
+      }
+    }
+    for (const [name, op] of [['from', '>='], ['to', '<']]) {
+      const raw = String(req.query[name] || '').trim();
+      if (!raw) continue;
+      const d = new Date(raw);
+      if (Number.isNaN(d.getTime())) return res.status(400).json({ error: `bad_${name}` });
+      if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(raw)) d.setUTCDate(d.getUTCDate() + 1);
+      params.push(d.toISOString());
+      where.push(`at ${op} $${params.length}`);
+    }
+    await pageAudit(req, res, { where, params, select: '*' });
+  } catch (e) {
+    console.error('GET /admin/audit error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
 
+// GET /me/audit ?limit= &cursor= -> billing entries for your account (who on the admin side,
+// their IP and notes stay internal)
+app.get('/me/audit', requireAuth, async (req, res) => {
+  try {
+    await ensureAuditSchema();
+    await pageAudit(req, res, {
+      where: ['subject_user_id = $1', 'action = any($2)'],
+      params: [req.user.uid, AUDIT_BILLING_ACTIONS],
+      select: `id, at, action, target_type, target_id, before, after,
+               case when actor_user_id = subject_user_id and actor_via = 'user' then 'you' else 'admin' end as by`
+    });
+  } catch (e) {
+    console.error('GET /me/audit error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
 
 /* ============ PAYMENTS (screenshot upload) ============ */
 
-const storage = multer.diskStorage({
-  destination: (_req, _file, cb) => cb(null, UPLOAD_DIR),
-  filename: (_req, file, cb) => {
-    const ext = path.extname(file?.originalname || '');
-    cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`);
-  },
+const SCREENSHOT_MAX_BYTES = Number(process.env.SCREENSHOT_MAX_BYTES || 5 * 1024 * 1024);
+const screenshotUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: SCREENSHOT_MAX_BYTES, files: 1 }
 });
-const upload = multer({ storage });
 
-app.post('/payments', requireAuth, upload.single('screenshot'), async (req, res) => {
+// upload.single('screenshot') with multer's errors as JSON (413 when the file is too big)
+function screenshotField(req, res, next) {
+  screenshotUpload.single('screenshot')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'file_too_large', max_bytes: SCREENSHOT_MAX_BYTES });
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: 'bad_upload', code: err.code });
+    next(err);
+  });
+}
+
+function ensurePaymentsSchema() {
+  return ensureSchema('payments', `
+    alter table payments add column if not exists plan_code text;
+    alter table payments add column if not exists team_id bigint;
+    alter table payments add column if not exists reviewed_at timestamptz;
+    alter table payments add column if not exists reviewed_by bigint;
+    alter table payments add column if not exists receipt_sent_at timestamptz;
+    alter table payments add column if not exists screenshot_key text;
+    alter table payments add column if not exists screenshot_type text;
+    alter table payments add column if not exists screenshot_bytes integer;`);
+}
+
+/**
+ * POST /payments (multipart: screenshot, plan, amount, method)
+ * plan is a code from GET /public/plans; amount must be its price. Old clients that only
+ * send period_days get the active plan with that period. Team plans are paid by a team owner
+ * and cover the whole team. While no plan is active yet, { period_days, amount } is stored as
+ * sent and checked by the admin on review.
+ * screenshot: JPEG, PNG or WebP up to SCREENSHOT_MAX_BYTES (415 / 413 otherwise). Metadata
+ * is stripped before it is stored; admins see it through a short-lived signed URL.
+ */
+app.post('/payments', requireAuth, screenshotField, async (req, res) => {
   const { method, amount, period_days } = req.body || {};
-  const fileUrl = req.file
-  ? (process.env.VERCEL === '1'
-      ? null                                 // stored in /tmp, not publicly served
-      : `/uploads/${req.file.filename}`)     // local/dev: served statically
-  : null;
+  try {
+    await ensurePlansSchema();
+    await ensurePaymentsSchema();
+    const catalog = await pool.query('select 1 from plans where active limit 1');
+    let plan;
+    if (!catalog.rows.length) {
+      const named = req.body?.plan
+        ? (await pool.query('select code, period_days from plans where code=$1 and not is_team', [String(req.body.plan)])).rows[0]
+        : null;
+      const period = named ? named.period_days : Number(period_days) > 0 ? Number(period_days) : null;
+      plan = { code: named ? named.code : period ? await planCodeForPeriod(pool, period) : null, period_days: period, is_team: false };
+    } else {
+      const { rows: plans } = req.body?.plan
+        ? await pool.query(`select * from plans where code=$1 and active`, [String(req.body.plan)])
+        : await pool.query(
+            `select * from plans where active and not is_team and period_days=$1 order by sort_order limit 1`,
+            [Number(period_days) || 0]
+          );
+      plan = plans[0];
+      if (!plan) return res.status(400).json({ error: req.body?.plan ? 'bad_plan' : 'plan_required' });
+      if (plan.price_pkr === null || Number(amount) !== Number(plan.price_pkr)) {
+        return res.status(400).json({ error: 'amount_mismatch', expected: plan.price_pkr === null ? null : Number(plan.price_pkr) });
+      }
+    }
+    let teamId = null;
+    if (plan.is_team) {
+      const team = await userTeam(pool, req.user.uid);
+      if (!team || team.role !== 'owner') return res.status(403).json({ error: 'team_owner_required' });
+      teamId = team.team_id;
+    }
 
+    let shot = null;
+    if (req.file) {
+      const image = cleanImage(req.file.buffer);
+      shot = { key: `payments/${crypto.randomUUID()}.${image.ext}`, type: image.mime, bytes: image.body.length };
+      await storage.put(shot.key, image.body, image.mime);
+    }
+
+    await ensureAuditSchema();
+    const payment = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `insert into payments (user_id, method, amount, period_days, verification_status, plan_code, team_id,
+                               screenshot_key, screenshot_type, screenshot_bytes)
+         values ($1,$2,$3,$4,'pending',$5,$6,$7,$8,$9) returning *`,
+        [ req.user.uid, method || null, amount ? Number(amount) : null, plan.period_days, plan.code, teamId,
+          shot?.key || null, shot?.type || null, shot?.bytes || null ]
+      );
+      await audit(client, req, {
+        action: 'payment.submit', targetType: 'payment', targetId: rows[0].id, subjectUserId: req.user.uid,
+        after: { amount: amount ? Number(amount) : null, method: rows[0].method, plan_code: plan.code, period_days: plan.period_days, team_id: teamId }
+      });
+      return rows[0];
+    });
+    res.json(payment);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('POST /payments error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Older deployments granted time from a trigger on payments (approval used to be a bare status
+// update that "fired the DB trigger"). Approval now extends the subscription itself, so that
+// trigger would grant every period twice. This migration disables it, once per process: any
+// enabled user trigger on payments whose function touches subscriptions. Disabled rather than
+// dropped so the function stays around for inspection. Without ownership of payments the ALTER
+// fails; that is logged and the guard below keeps refusing approvals until it is handled by hand.
+function ensurePaymentTriggerMigration() {
+  return ensureSchema('payments_legacy_trigger', `
+    do $$
+    declare t record;
+    begin
+      for t in
+        select tg.tgname
+          from pg_trigger tg
+          join pg_proc f on f.oid = tg.tgfoid
+         where tg.tgrelid = 'payments'::regclass
+           and not tg.tgisinternal
+           and tg.tgenabled <> 'D'
+           and f.prosrc ilike '%subscriptions%'
+      loop
+        begin
+          execute format('alter table payments disable trigger %I', t.tgname);
+          raise warning 'disabled legacy payments trigger %', t.tgname;
+        exception when insufficient_privilege then
+          raise warning 'cannot disable legacy payments trigger % (not owner)', t.tgname;
+        end;
+      end loop;
+    end $$;`);
+}
 
+// Safety net after the migration: the legacy triggers still enabled (same match as above).
+// Approval is refused (409) while any remain.
+async function paymentTimeTriggers() {
+  await ensurePaymentTriggerMigration();
   const { rows } = await pool.query(
-    `insert into payments (user_id, method, amount, period_days, screenshot_url, verification_status)
-     values ($1,$2,$3,$4,$5,'pending') returning *`,
-    [ req.user.uid, method || null, amount ? Number(amount) : null, period_days ? Number(period_days) : null, fileUrl ]
+    `select t.tgname
+       from pg_trigger t
+       join pg_proc f on f.oid = t.tgfoid
+      where t.tgrelid = 'payments'::regclass
+        and not t.tgisinternal
+        and t.tgenabled <> 'D'
+        and f.prosrc ilike '%subscriptions%'`
   );
-  res.json(rows[0]);
-});
-// Admin: approve a payment by ID (fires the DB trigger)
-// Admin: approve (idempotent)
-app.post('/admin/payments/:id/approve', requireAuth, requireAdmin, async (req, res) => {
+  return rows.map(r => r.tgname);
+}
 
-  if ((req.header('x-admin-secret') || '') !== (process.env.ADMIN_SECRET || '')) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
+async function sendPaymentReceipt(payment, plan, sub) {
+  const u = await pool.query('select email, name from app_users where id=$1', [payment.user_id]);
+  if (!u.rows[0]?.email) return false;
+  const lines = [
+    `Hi ${u.rows[0].name || ''},`.trim(),
+    '',
+    'Thank you, your payment has been approved.',
+    '',
+    `Receipt no.:  ${payment.id}`,
+    `Date:         ${new Date(payment.reviewed_at || Date.now()).toISOString().slice(0, 10)}`,
+    `Plan:         ${plan?.name || payment.plan_code || 'Subscription'}${payment.team_id ? ' (team)' : ''}`,
+    `Amount:       PKR ${Number(payment.amount).toLocaleString('en-PK')}`,
+    `Method:       ${payment.method || '-'}`,
+    `Period:       ${payment.period_days} days`,
+    `Valid until:  ${new Date(sub.end_at).toISOString().slice(0, 10)}`
+  ];
+  const sent = await sendEmailPlain(u.rows[0].email, `PlotNama receipt #${payment.id}`, lines.join('\n'));
+  if (sent) await pool.query('update payments set receipt_sent_at=now() where id=$1', [payment.id]);
+  return sent;
+}
+
+// Admin: approve (idempotent). Extends the payer's (or their team's) subscription by the
+// plan's period through subscription_ledger (idem key payment:<id>), then emails a receipt.
+app.post('/admin/payments/:id/approve', requireAuth, requirePermission('payments.review'), async (req, res) => {
   const id = Number(req.params.id);
-  const { rowCount } = await pool.query(
-    `update payments
-        set verification_status='approved'
-      where id=$1 and verification_status='pending'`,
-    [id]
-  );
-  res.json({ ok: true, id, changed: rowCount });
+  try {
+    await ensurePlansSchema();
+    await ensurePaymentsSchema();
+    const triggers = await paymentTimeTriggers();
+    if (triggers.length) {
+      console.error(`payments triggers ${triggers.join(', ')} grant subscription time and could not be disabled; disable them before approving`);
+      return res.status(409).json({ error: 'payment_trigger_conflict', triggers });
+    }
+    await ensureAuditSchema();
+    const approved = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `update payments
+            set verification_status='approved', reviewed_at=now(), reviewed_by=$2
+          where id=$1 and verification_status='pending'
+        returning *`,
+        [id, req.user?.uid || null]
+      );
+      if (!rows.length) return null;
+      const p = rows[0];
+      if (!(p.period_days > 0)) throw badRequest('no_period');
+      const scope = { userId: p.user_id, teamId: p.team_id };
+      const before = await subscriptionSnapshot(client, scope);
+      const extended = await extendSubscription(client, {
+        userId: p.user_id,
+        teamId: p.team_id,
+        period: p.period_days,
+        plan: p.plan_code || await planCodeForPeriod(client, p.period_days, { team: !!p.team_id }),
+        idem: `payment:${p.id}`
+      });
+      await audit(client, req, {
+        action: 'payment.approve', targetType: 'payment', targetId: p.id, subjectUserId: p.user_id,
+        before: { verification_status: 'pending', subscriptions: before },
+        after: { verification_status: 'approved', subscriptions: await subscriptionSnapshot(client, scope) }
+      });
+      return { payment: p, extended };
+    });
+    if (!approved) return res.json({ ok: true, id, changed: 0 });
+
+    const { payment, extended } = approved;
+    const sub = await getSubscriptionStatus(payment.user_id);
+    const plan = (await pool.query('select * from plans where code=$1', [payment.plan_code])).rows[0];
+    // the receipt dates the subscription this payment paid for (the team's for a team plan)
+    const receipt_sent = await sendPaymentReceipt(payment, plan, extended || sub);
+    res.json({ ok: true, id, changed: 1, subscription: sub, receipt_sent });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error('POST /admin/payments/:id/approve error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
 });
 
 // Admin: reject (optional)
-app.post('/admin/payments/:id/reject', requireAuth, requireAdmin, async (req, res) => {
-
-  if ((req.header('x-admin-secret') || '') !== (process.env.ADMIN_SECRET || '')) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
+app.post('/admin/payments/:id/reject', requireAuth, requirePermission('payments.review'), async (req, res) => {
   const id = Number(req.params.id);
-  const { rowCount } = await pool.query(
-    `update payments
-        set verification_status='rejected'
-      where id=$1 and verification_status='pending'`,
-    [id]
-  );
+  await ensurePaymentsSchema();
+  await ensureAuditSchema();
+  const rowCount = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `update payments
+          set verification_status='rejected', reviewed_at=now(), reviewed_by=$2
+        where id=$1 and verification_status='pending'
+      returning user_id`,
+      [id, req.user?.uid || null]
+    );
+    if (rows.length) {
+      await audit(client, req, {
+        action: 'payment.reject', targetType: 'payment', targetId: id, subjectUserId: rows[0].user_id,
+        before: { verification_status: 'pending' }, after: { verification_status: 'rejected' }
+      });
+    }
+    return rows.length;
+  });
   res.json({ ok: true, id, changed: rowCount });
 });
 
-// Admin: list (default pending)
-app.get('/admin/payments', requireAuth, requireAdmin, async (req, res) => {
+// Screenshot key for a payment row; rows from before STORAGE carry '/uploads/<file>' instead
+function paymentScreenshotKey(p) {
+  if (p.screenshot_key) return p.screenshot_key;
+  const legacy = /^\/uploads\/([^/]+)$/.exec(p.screenshot_url || '');
+  return legacy && storage.name === 'local' && isStorageKey(legacy[1]) ? legacy[1] : null;
+}
 
-  if ((req.header('x-admin-secret') || '') !== (process.env.ADMIN_SECRET || '')) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
+// Admin: list (default pending). screenshot_url is a signed link valid for SIGNED_URL_TTL_SECONDS.
+app.get('/admin/payments', requireAuth, requirePermission('payments.view'), async (req, res) => {
   const status = String(req.query.status || 'pending');
+  await ensurePaymentsSchema();
   const { rows } = await pool.query(
     `select p.id, p.user_id, u.email,
-            p.method, p.amount, p.period_days, p.screenshot_url,
-            p.verification_status, p.created_at
+            p.method, p.amount, p.period_days, p.plan_code, p.team_id, p.screenshot_url,
+            p.screenshot_key, p.screenshot_type, p.screenshot_bytes,
+            p.verification_status, p.created_at, p.reviewed_at, p.receipt_sent_at
        from payments p
   left join app_users u on u.id = p.user_id
       where p.verification_status = $1
@@ -805,23 +5376,26 @@ app.get('/admin/payments', requireAuth, requireAdmin, async (req, res) => {
       limit 200`,
     [status]
   );
-  res.json(rows);
+  const baseUrl = publicBaseUrl(req);
+  const expiresAt = new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString();
+  try {
+    res.json(await Promise.all(rows.map(async ({ screenshot_key, ...p }) => {
+      const key = paymentScreenshotKey({ ...p, screenshot_key });
+      return {
+        ...p,
+        screenshot_url: key ? await storage.signedUrl(key, SIGNED_URL_TTL_SECONDS, baseUrl) : null,
+        screenshot_url_expires_at: key ? expiresAt : null
+      };
+    })));
+  } catch (e) {
+    console.error('GET /admin/payments error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
 });
 /* ============ ADMIN: USERS & PLANS ============ */
 
-// Helper: admin-secret check (we already gate with requireAuth+requireAdmin)
-function requireAdminSecret(req, res) {
-  if ((req.header('x-admin-secret') || '') !== (process.env.ADMIN_SECRET || '')) {
-    res.status(401).json({ error: 'unauthorized' });
-    return false;
-  }
-  return true;
-}
-
 // GET /admin/users?query=abc   -> minimal profile + subscription snapshot
-app.get('/admin/users', requireAuth, requireAdmin, async (req, res) => {
-  if (!requireAdminSecret(req, res)) return;
-
+app.get('/admin/users', requireAuth, requirePermission('users.view'), async (req, res) => {
   const q = String(req.query.query || '').trim();
   const rows = q
     ? (await pool.query(
@@ -849,96 +5423,401 @@ app.get('/admin/users', requireAuth, requireAdmin, async (req, res) => {
 });
 
 // POST /admin/users { email } -> create if not exists, return row
-app.post('/admin/users', requireAuth, requireAdmin, async (req, res) => {
-  if (!requireAdminSecret(req, res)) return;
+app.post('/admin/users', requireAuth, requirePermission('users.create'), async (req, res) => {
   const { email } = req.body || {};
   if (!email) return res.status(400).json({ error: 'email_required' });
 
-  const r = await pool.query(
-    `insert into app_users(email) values($1)
-       on conflict (email) do update set email=excluded.email
-     returning id, email, name, created_at, status, is_admin`,
-    [email]
-  );
-  res.json(r.rows[0]);
+  await ensureAuditSchema();
+  const user = await withTransaction(async (client) => {
+    const before = await client.query('select id from app_users where email=$1', [email]);
+    const r = await client.query(
+      `insert into app_users(email) values($1)
+         on conflict (email) do update set email=excluded.email
+       returning id, email, name, created_at, status, is_admin`,
+      [email]
+    );
+    // an existing address is returned as is; only a new account is an action
+    if (!before.rows.length) {
+      await audit(client, req, {
+        action: 'user.create', targetType: 'user', targetId: r.rows[0].id, subjectUserId: r.rows[0].id, after: r.rows[0]
+      });
+    }
+    return r.rows[0];
+  });
+  res.json(user);
 });
 
-// POST /admin/users/:id/subscription/extend { period_days, plan? , idem_key? }
-app.post('/admin/users/:id/subscription/extend', requireAuth, requireAdmin, async (req, res) => {
-  if (!requireAdminSecret(req, res)) return;
-  const userId = Number(req.params.id);
-  const period = Number(req.body?.period_days || 0);
-  const plan   = String(req.body?.plan || '').trim() || (
-      period === 31  ? 'monthly' :
-      period === 180 ? 'halfyear' :
-      period === 365 ? 'yearly'  : 'custom'
-  );
-  const idem   = String(req.body?.idem_key || '');
-
-  if (!userId || period <= 0) return res.status(400).json({ error: 'bad_args' });
-
-  // optional idempotency (ledger) — create table once
-  await pool.query(`
+function ensureSubscriptionLedger() {
+  return ensureSchema('subscription_ledger', `
     create table if not exists subscription_ledger (
       idem_key   text primary key,
       user_id    bigint not null,
       period_days int not null,
       created_at timestamptz not null default now()
     )`);
+}
+
+// Extend (or start) a paid period. teamId set = the team plan (subscriptions.team_id),
+// which covers every member; its row is kept under the team owner's user_id.
+// With idem the extension happens once (subscription_ledger). Returns the extended
+// subscription row ({ plan, start_at, end_at, team_id }), or null when idem was already used.
+// `db` is the pool or a transaction client (payment approval runs it in its transaction).
+async function extendSubscription(db, { userId, teamId = null, period, plan, idem }) {
+  await ensureSubscriptionLedger();
+  await ensureTeamsSchema();
 
   if (idem) {
-    const ins = await pool.query(
+    const ins = await db.query(
       `insert into subscription_ledger(idem_key, user_id, period_days)
        values ($1,$2,$3)
        on conflict (idem_key) do nothing`,
       [idem, userId, period]
     );
-    if (ins.rowCount === 0) {
-      return res.json({ ok: true, changed: 0, reason: 'duplicate' });
-    }
+    if (ins.rowCount === 0) return null;
   }
 
-  // extend (or start) subscription
-  const now = new Date();
-  const { rows } = await pool.query(
+  // the same person can have a personal plan and be the owner on a team plan
+  const where = teamId ? 'team_id = $1' : 'user_id = $1 and team_id is null';
+  const key = teamId || userId;
+  const { rows } = await db.query(
     `select start_at, end_at
        from subscriptions
-      where user_id=$1 and end_at >= now()
+      where ${where} and end_at >= now()
       order by end_at desc
       limit 1`,
-    [userId]
+    [key]
   );
 
   if (!rows.length) {
-    await pool.query(
-      `insert into subscriptions(user_id, mode, plan, start_at, end_at)
-       values ($1,'paid',$2, now(), now() + ($3 || ' days')::interval)`,
-      [userId, plan, period]
-    );
-  } else {
-    await pool.query(
-      `update subscriptions
-          set mode='paid',
-              plan=$2,
-              end_at = end_at + ($3 || ' days')::interval
-        where user_id=$1`,
-      [userId, plan, period]
+    const ins = await db.query(
+      `insert into subscriptions(user_id, mode, plan, start_at, end_at, team_id)
+       values ($1,'paid',$2, now(), now() + ($3 || ' days')::interval, $4)
+       returning plan, start_at, end_at, team_id`,
+      [userId, plan, period, teamId]
     );
+    return ins.rows[0];
   }
+  const upd = await db.query(
+    `update subscriptions
+        set mode='paid',
+            plan=$2,
+            end_at = end_at + ($3 || ' days')::interval
+      where ${where}
+    returning plan, start_at, end_at, team_id`,
+    [key, plan, period]
+  );
+  return upd.rows.reduce((a, b) => (b.end_at > a.end_at ? b : a));
+}
+
+// Name for a bare period: the catalog plan with that period_days, else 'custom'
+async function planCodeForPeriod(db, period, { team = false } = {}) {
+  await ensurePlansSchema();
+  const { rows } = await db.query(
+    `select code from plans where period_days=$1 and is_team=$2 order by active desc, sort_order limit 1`,
+    [period, team]
+  );
+  return rows[0]?.code || (team ? 'team_custom' : 'custom');
+}
+
+// POST /admin/users/:id/subscription/extend { period_days, plan? , idem_key? }
+app.post('/admin/users/:id/subscription/extend', requireAuth, requirePermission('subscriptions.extend'), async (req, res) => {
+  const userId = Number(req.params.id);
+  const period = Number(req.body?.period_days || 0);
+  const idem   = String(req.body?.idem_key || '');
+
+  if (!userId || period <= 0) return res.status(400).json({ error: 'bad_args' });
+  const plan   = String(req.body?.plan || '').trim() || await planCodeForPeriod(pool, period);
+
+  await ensureAuditSchema();
+  const changed = await withTransaction(async (client) => {
+    const before = await subscriptionSnapshot(client, { userId });
+    if (!(await extendSubscription(client, { userId, period, plan, idem }))) return 0;
+    await audit(client, req, {
+      action: 'subscription.extend', targetType: 'user', targetId: userId, subjectUserId: userId,
+      before: { subscriptions: before },
+      after: { period_days: period, plan, idem_key: idem || null, subscriptions: await subscriptionSnapshot(client, { userId }) }
+    });
+    return 1;
+  });
+  if (!changed) return res.json({ ok: true, changed: 0, reason: 'duplicate' });
   const sub = await getSubscriptionStatus(userId);
   res.json({ ok: true, changed: 1, subscription: sub });
 });
 
+// GET /admin/plans -> the whole catalog, inactive plans included
+app.get('/admin/plans', requireAuth, requirePermission('plans.view'), async (req, res) => {
+  await ensurePlansSchema();
+  const { rows } = await pool.query(`select ${PLAN_COLUMNS}, updated_at from plans order by sort_order, code`);
+  res.json(rows);
+});
+
+/**
+ * PUT /admin/plans/:code { name, price_pkr, period_days, features?, is_team?, active?, sort_order? }
+ * Creates or updates a plan (omitted fields keep their value). An active plan needs a price.
+ */
+app.put('/admin/plans/:code', requireAuth, requirePermission('plans.manage'), async (req, res) => {
+  const code = String(req.params.code || '').trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,40}$/.test(code)) return res.status(400).json({ error: 'bad_code' });
+  await ensurePlansSchema();
+  const cur = (await pool.query('select * from plans where code=$1', [code])).rows[0] || {};
+  const b = req.body || {};
+  const next = {
+    name: b.name !== undefined ? String(b.name || '').trim() : cur.name,
+    price_pkr: b.price_pkr !== undefined ? (b.price_pkr === null || b.price_pkr === '' ? null : Number(b.price_pkr)) : cur.price_pkr ?? null,
+    period_days: b.period_days !== undefined ? Number(b.period_days) : cur.period_days,
+    features: b.features !== undefined ? b.features : cur.features ?? [],
+    is_team: b.is_team !== undefined ? !!b.is_team : cur.is_team ?? false,
+    active: b.active !== undefined ? !!b.active : cur.active ?? false,
+    sort_order: b.sort_order !== undefined ? Number(b.sort_order) : cur.sort_order ?? 0
+  };
+  if (!next.name) return res.status(400).json({ error: 'name_required' });
+  if (!Number.isInteger(next.period_days) || next.period_days <= 0) return res.status(400).json({ error: 'bad_period_days' });
+  if (next.price_pkr !== null && !(Number.isFinite(next.price_pkr) && next.price_pkr >= 0)) return res.status(400).json({ error: 'bad_price_pkr' });
+  if (next.active && next.price_pkr === null) return res.status(400).json({ error: 'price_required' });
+  if (!Array.isArray(next.features) || next.features.some(f => typeof f !== 'string')) return res.status(400).json({ error: 'bad_features' });
+  if (!Number.isInteger(next.sort_order)) return res.status(400).json({ error: 'bad_sort_order' });
+
+  await ensureAuditSchema();
+  const row = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `insert into plans (code, name, price_pkr, period_days, features, is_team, active, sort_order)
+       values ($1,$2,$3,$4,$5,$6,$7,$8)
+       on conflict (code) do update set
+         name=excluded.name, price_pkr=excluded.price_pkr, period_days=excluded.period_days,
+         features=excluded.features, is_team=excluded.is_team, active=excluded.active,
+         sort_order=excluded.sort_order, updated_at=now()
+       returning ${PLAN_COLUMNS}, updated_at`,
+      [code, next.name, next.price_pkr, next.period_days, JSON.stringify(next.features), next.is_team, next.active, next.sort_order]
+    );
+    await audit(client, req, {
+      action: 'plan.upsert', targetType: 'plan', targetId: code,
+      before: cur.code ? cur : null, after: rows[0]
+    });
+    return rows[0];
+  });
+  res.json(row);
+});
+
+// GET /admin/teams?query=name  -> teams with member count + owner emails
+app.get('/admin/teams', requireAuth, requirePermission('teams.view'), async (req, res) => {
+  await ensureTeamsSchema();
+  const q = String(req.query.query || '').trim();
+  const { rows } = await pool.query(
+    `select t.id, t.name, t.created_at,
+            (select count(*)::int from team_members m where m.team_id = t.id) as member_count,
+            (select array_agg(u.email order by u.email) from team_members m join app_users u on u.id = m.user_id
+              where m.team_id = t.id and m.role = 'owner') as owners,
+            (select max(s.end_at) from subscriptions s where s.team_id = t.id) as plan_end_at
+       from teams t
+      where $1 = '' or t.name ilike '%' || $1 || '%'
+      order by t.created_at desc
+      limit 100`,
+    [q]
+  );
+  res.json(rows);
+});
+
+// POST /admin/teams/:id/subscription/extend { period_days, plan?, idem_key? } -> team plan for every member
+app.post('/admin/teams/:id/subscription/extend', requireAuth, requirePermission('subscriptions.extend'), async (req, res) => {
+  const teamId = Number(req.params.id);
+  const period = Number(req.body?.period_days || 0);
+  const idem   = String(req.body?.idem_key || '');
+  if (!teamId || period <= 0) return res.status(400).json({ error: 'bad_args' });
+  const plan   = String(req.body?.plan || '').trim() || await planCodeForPeriod(pool, period, { team: true });
+
+  await ensureTeamsSchema();
+  const owner = await pool.query(
+    `select user_id from team_members where team_id=$1 and role='owner' order by joined_at limit 1`,
+    [teamId]
+  );
+  if (!owner.rows.length) return res.status(404).json({ error: 'not_found' });
+
+  const ownerId = owner.rows[0].user_id;
+  await ensureAuditSchema();
+  const changed = await withTransaction(async (client) => {
+    const before = await subscriptionSnapshot(client, { userId: ownerId, teamId });
+    if (!(await extendSubscription(client, { userId: ownerId, teamId, period, plan, idem }))) return 0;
+    await audit(client, req, {
+      action: 'team.subscription.extend', targetType: 'team', targetId: teamId, subjectUserId: ownerId,
+      before: { subscriptions: before },
+      after: { period_days: period, plan, idem_key: idem || null, subscriptions: await subscriptionSnapshot(client, { userId: ownerId, teamId }) }
+    });
+    return 1;
+  });
+  if (!changed) return res.json({ ok: true, changed: 0, reason: 'duplicate' });
+  const sub = await getSubscriptionStatus(owner.rows[0].user_id);
+  res.json({ ok: true, changed: 1, subscription: sub });
+});
+
 // POST /admin/users/:id/devices/reset  -> revoke active sessions
-app.post('/admin/users/:id/devices/reset', requireAuth, requireAdmin, async (req, res) => {
-  if (!requireAdminSecret(req, res)) return;
+app.post('/admin/users/:id/devices/reset', requireAuth, requirePermission('devices.reset'), async (req, res) => {
   const userId = Number(req.params.id);
-  const r = await pool.query(
-    `update user_devices set status='revoked'
-      where user_id=$1 and status='active'`,
-    [userId]
+  await ensureDevicesSchema();
+  await ensureAuditSchema();
+  const revoked = await withTransaction(async (client) => {
+    const r = await client.query(
+      `update user_devices set status='revoked', revoked_at=now()
+        where user_id=$1 and status='active'
+      returning id, name, device_type, last_seen_at`,
+      [userId]
+    );
+    await audit(client, req, {
+      action: 'devices.reset', targetType: 'user', targetId: userId, subjectUserId: userId,
+      before: { active_devices: r.rows }, after: { active_devices: [] }
+    });
+    return r.rowCount;
+  });
+  res.json({ ok: true, revoked });
+});
+
+// GET /admin/roles -> { roles: { role: [permissions] }, admins: [{ id, email, name, roles }] }
+app.get('/admin/roles', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  const { rows } = await pool.query(
+    `select u.id, u.email, u.name, array_agg(r.role order by r.role) as roles
+       from admin_roles r join app_users u on u.id = r.user_id
+      group by u.id
+      order by u.email`
+  );
+  res.json({ roles: ROLE_PERMISSIONS, admins: rows });
+});
+
+/**
+ * PUT /admin/users/:id/roles { roles: ['support', 'billing', 'superadmin'], reason? }
+ * Replaces the user's roles ([] removes admin access). The last superadmin can't be demoted.
+ */
+app.put('/admin/users/:id/roles', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  const userId = Number(req.params.id);
+  const roles = req.body?.roles;
+  if (!Array.isArray(roles) || roles.some(r => !ADMIN_ROLES.includes(r))) {
+    return res.status(400).json({ error: 'bad_roles', allowed: ADMIN_ROLES });
+  }
+  const next = [...new Set(roles)].sort();
+  try {
+    await ensureAuditSchema();
+    const result = await withTransaction(async (client) => {
+      const u = await client.query('select id from app_users where id=$1', [userId]);
+      if (!u.rows.length) return { status: 404, body: { error: 'not_found' } };
+      // lock the superadmin set so two demotions can't both pass the check
+      const supers = await client.query(`select user_id from admin_roles where role='superadmin' for update`);
+      const before = await adminRolesOf(client, userId);
+      if (before.includes('superadmin') && !next.includes('superadmin') && supers.rows.length <= 1) {
+        return { status: 409, body: { error: 'last_superadmin' } };
+      }
+      await client.query('delete from admin_roles where user_id=$1 and role <> all($2)', [userId, next]);
+      await client.query(
+        `insert into admin_roles (user_id, role, granted_by)
+         select $1, unnest($2::text[]), $3
+         on conflict do nothing`,
+        [userId, next, req.user.uid]
+      );
+      await client.query('update app_users set is_admin=$2 where id=$1', [userId, next.length > 0]);
+      await audit(client, req, {
+        action: 'roles.update', targetType: 'user', targetId: userId, subjectUserId: userId,
+        before: { roles: before }, after: { roles: next }
+      });
+      return { status: 200, body: { ok: true, id: userId, roles: next } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error('PUT /admin/users/:id/roles error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* ============ ADMIN: BREAK-GLASS ============ */
+// Off unless BREAK_GLASS_ENABLED=1 and ADMIN_SECRET is set. Wrong secrets are audited and
+// throttled like OTP checks (5 per hour per account and per IP, then locked with backoff).
+
+async function alertBreakGlass(req, session, reason) {
+  const { rows } = await pool.query(
+    `select u.email from admin_roles r join app_users u on u.id = r.user_id
+      where r.role = 'superadmin' and u.id <> $1`,
+    [req.user.uid]
   );
-  res.json({ ok: true, revoked: r.rowCount });
+  const to = [...new Set([...rows.map(r => r.email), ...(process.env.BREAK_GLASS_ALERT_EMAIL ? [process.env.BREAK_GLASS_ALERT_EMAIL] : [])])];
+  const text = [
+    `${req.user.email} opened a break-glass admin session.`,
+    '',
+    `Reason:   ${reason}`,
+    `IP:       ${req.ip}`,
+    `Expires:  ${new Date(session.expires_at).toISOString()}`,
+    '',
+    'Every request made in it is in the audit log (GET /admin/audit?action=break_glass.*).'
+  ].join('\n');
+  for (const email of to) await sendEmailPlain(email, 'PlotNama: break-glass admin access opened', text);
+  return to.length;
+}
+
+/**
+ * POST /admin/break-glass { reason }   (X-Admin-Secret: <secret>)
+ * -> { ok, expires_at }: full admin access for this account for BREAK_GLASS_MINUTES.
+ */
+app.post('/admin/break-glass', requireAuth, async (req, res) => {
+  if (!BREAK_GLASS_ENABLED) return res.status(404).json({ error: 'not_found' });
+  try {
+    await ensureAdminRolesSchema();
+    await ensureAuditSchema();
+    await ensureOtpSchema();
+    const who = String(req.user.uid);
+    const locked = Math.max(await throttleLockedFor('break_glass', who), await throttleLockedFor('break_glass_ip', String(req.ip)));
+    if (locked) throw tooManyRequests('too_many_attempts', locked);
+
+    req.adminVia = 'break_glass';
+    const given = crypto.createHash('sha256').update(String(req.header('x-admin-secret') || '')).digest();
+    const want = crypto.createHash('sha256').update(process.env.ADMIN_SECRET).digest();
+    if (!crypto.timingSafeEqual(given, want)) {
+      await audit(pool, req, { action: 'break_glass.denied', targetType: 'user', targetId: req.user.uid });
+      const lock = Math.max(
+        await throttleFail('break_glass', who, 5),
+        await throttleFail('break_glass_ip', String(req.ip), 5)
+      );
+      if (lock) throw tooManyRequests('too_many_attempts', lock);
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    const reason = String(req.body?.reason || '').trim();
+    if (reason.length < 10) return res.status(400).json({ error: 'reason_required' });
+
+    const { rows } = await pool.query(
+      `insert into break_glass_sessions (user_id, reason, ip, expires_at)
+       values ($1, $2, $3, now() + $4 * interval '1 minute')
+       returning id, opened_at, expires_at`,
+      [req.user.uid, reason.slice(0, 500), req.ip, BREAK_GLASS_MINUTES]
+    );
+    await audit(pool, req, {
+      action: 'break_glass.open', targetType: 'user', targetId: req.user.uid,
+      after: { session_id: rows[0].id, expires_at: rows[0].expires_at }
+    });
+    const alerted = await alertBreakGlass(req, rows[0], reason);
+    res.json({ ok: true, session_id: rows[0].id, expires_at: rows[0].expires_at, alerted });
+  } catch (e) {
+    sendAuthError(res, e, 'POST /admin/break-glass');
+  }
+});
+
+// DELETE /admin/break-glass -> end your session early
+app.delete('/admin/break-glass', requireAuth, async (req, res) => {
+  if (!BREAK_GLASS_ENABLED) return res.status(404).json({ error: 'not_found' });
+  try {
+    await ensureAdminRolesSchema();
+    await ensureAuditSchema();
+    const { rows } = await pool.query(
+      `update break_glass_sessions set closed_at = now()
+        where user_id=$1 and closed_at is null and expires_at > now()
+        returning id`,
+      [req.user.uid]
+    );
+    if (rows.length) {
+      req.adminVia = 'break_glass';
+      await audit(pool, req, {
+        action: 'break_glass.close', targetType: 'user', targetId: req.user.uid,
+        after: { session_ids: rows.map(r => r.id) }
+      });
+    }
+    res.json({ ok: true, closed: rows.length });
+  } catch (e) {
+    console.error('DELETE /admin/break-glass error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
 });
 
 
@@ -951,10 +5830,36 @@ app.get('/', (req, res) => {
     'DealerBook API is running.\n\n' +
     'POST /auth/signup  { email }\n' +
     'POST /auth/verify  { email, code }\n' +
+    'POST /auth/register { email, name, password, confirm }   POST /auth/login { email, password }  (then /auth/verify)\n' +
     'GET  /me           (Authorization: Bearer <token>)\n' +
-    'GET  /listings     ?soc=&blk=&unit=&nature=&min=&max=&q=\n' +
+    'POST /me/password  { current_password, password, confirm }  (signs out your other devices)\n' +
+    'POST /auth/refresh { refresh_token }   GET /me/devices   PATCH /me/devices/:id { name }   DELETE /me/devices/:id\n' +
+    'GET  /me/audit     (billing history)   GET /admin/audit ?user=&action=&from=&to=&cursor=  (admin)\n' +
+    'GET  /admin/roles   PUT /admin/users/:id/roles { roles }   POST|DELETE /admin/break-glass { reason }  (X-Admin-Secret)\n' +
+    'GET  /listings     ?book=mine|team|all&visibility=&soc=&blk=&unit=&nature=&min=&max=&q=&status=&include_stale=&sort=&order=&cursor=&limit=\n' +
+    '                   &min_area=&max_area= (sq ft) &min_ppm=&max_ppm= &min_ppsf=&max_ppsf=  sort=date|price|size|ppm|ppsf|relevance\n' +
+    'GET|POST /societies  ({ items: [{ name, city, aliases, sqft_per_marla }] })\n' +
+    'POST /parse        { text, multi? }   (your societies + settings)\n' +
+    'GET|PUT /me/settings  { block_output_style, aliases_json }\n' +
+    'POST /teams { name }   GET /teams/me   PATCH|DELETE /teams/:id   POST /teams/:id/invites { email, role }\n' +
+    'GET  /team-invites   POST /team-invites/:id/accept|decline   PATCH|DELETE /teams/:id/members/:userId\n' +
     'POST /listings     (Authorization: Bearer <token>)\n' +
-    'POST /payments     (Authorization: Bearer <token>, multipart form)\n' +
+    'PATCH  /listings/:id  DELETE /listings/:id  GET /listings/:id/history\n' +
+    'GET  /listings/duplicates   POST /listings/merge { keep_id, merge_ids }\n' +
+    'GET|POST /requirements  PATCH|DELETE /requirements/:id  GET /requirements/:id/matches\n' +
+    'GET|POST /saved-searches  PATCH|DELETE /saved-searches/:id\n' +
+    'POST /listings/import            (WhatsApp .txt export or paste -> preview)\n' +
+    'POST /listings/import/:id/commit { indexes?, edits? }\n' +
+    'GET  /listings/export?format=csv|xlsx  (+ GET /listings filters)\n' +
+    'GET  /listings/stale   POST /listings/confirm { ids }   POST /listings/:id/confirm\n' +
+    'POST /listings/import/spreadsheet  (file=.csv|.xlsx, mapping?, dry_run?)\n' +
+    'GET  /analytics/prices  ?society=&block=&marla=&group=society,block,size&days=|from=&to=&scope=market|mine\n' +
+    'GET  /analytics/prices/trend  (same + interval=week|month)   GET /admin/analytics/outliers\n' +
+    'POST /listings/:id/contact-requests { name, phone|email, message }  (public listings; no login)\n' +
+    'GET  /contact-requests?status=   GET /contact-requests/sent   POST /contact-requests/:id/approve|decline\n' +
+    'GET|POST /contacts  ?q=&tag=&min_rating=&sort=   GET|PATCH /contacts/:id  { name, notes, tags, rating }\n' +
+    'GET  /contacts/:id/listings   POST /contacts/merge { keep_id, merge_ids }\n' +
+    'GET  /public/plans   POST /payments  (Authorization: Bearer <token>, multipart: screenshot (jpeg/png/webp), plan, amount, method)\n' +
     'GET  /db-ping'
   );
 });
@@ -1006,6 +5911,8 @@ if (process.env.VERCEL !== '1') {
   });
 }
 module.exports = app;
+// for the signer test (scripts/s3-sigv4.test.js)
+module.exports.s3StorageDriver = s3StorageDriver;
 
 
 
@@ -0,0 +1,933 @@
+// Generated from shared/parser.ts by scripts/build-parser.js. Do not edit.
+"use strict";
+// shared/parser.ts
+// One source of truth for both web + mobile.
+// Pulled from your dealerbook.html logic, but made DOM-free.
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DEFAULT_SQFT_PER_MARLA = exports.DEFAULT_SOC_DICT = exports.DEFAULT_ALIASES = void 0;
+exports.toE164 = toE164;
+exports.parseSocietyCSV = parseSocietyCSV;
+exports.areaInSqFt = areaInSqFt;
+exports.parseMessage = parseMessage;
+exports.parseMessageMulti = parseMessageMulti;
+exports.splitChatExport = splitChatExport;
+const hitOf = (m, reason, confidence, group = 0) => {
+    const raw = m[group];
+    const start = m.index + (group ? m[0].indexOf(raw) : 0) + (raw.length - raw.trimStart().length);
+    return { start, end: start + raw.trim().length, reason, confidence };
+};
+// ===== Helpers (ported) =====
+exports.DEFAULT_ALIASES = {
+    "Bahria Town Rawalpindi": { "Phase 7": ["BHT 7", "BT P7", "Bahria P7", "Bahria Town Phase 7"] },
+    "Faisal Hills": { "Executive": ["FH Executive", "FH Executive Block", "Executive Block"] },
+    "Multi Gardens B-17": { "Block X": ["B17 X", "Multi Garden X", "B-17 X"] }
+};
+exports.DEFAULT_SOC_DICT = `Bahria Town Karachi : BTK, Bahria Karachi, BT Karachi, بحریہ ٹاؤن کراچی, بحریہ کراچی
+DHA Lahore : DHA LHR, Defence Lahore, ڈی ایچ اے لاہور
+Bahria Town Rawalpindi : BTR, Bahria Pindi, Bahria Rwp, بحریہ ٹاؤن راولپنڈی, بحریہ پنڈی
+Gulberg Islamabad : GI, Gulberg Isb, گلبرگ اسلام آباد
+Multi Gardens B-17 : MG B-17, Multi Garden, MPCHS B-17, B-17, B17, MPCHS, B/17, B.17, ملٹی گارڈن
+Faisal Hills : FH, FH{block}, FH{name}, Faisal Hills Taxila, فیصل ہلز`;
+function escRe(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
+// ===== Fallback helpers (used only if the primary parser didn't set a value) =====
+// A: detect "123 series" or "123series" (2–4 digits) and return normalized "123 series"
+const RE_PLOT_SERIES = /\b(\d{2,4})\s*-?\s*series\b/i;
+// B: detect a 2–4 digit standalone number that is NOT followed/preceded by size/streets/units/series,
+//    so we can treat it as a plot number when no '#' is present.
+const RE_STANDALONE_PLOT_NUM = /(?:^|\b)(\d{2,4})(?:\b(?!\s*(marla|marla\s*plot|sq|square|yd|yard|yds|feet|ft|x|by|street|st|series)))/i;
+// C: accept non-standard marla sizes like "15 marla", "22.5 marla", "7.75 m"
+const RE_FLEX_MARLA = /(\d{1,3}(?:\.\d+)?)\s*(marla|mrl|m)\b/i;
+// D: block/phase preference
+//    - Prefer "F Block" / "G Block" etc (letter before Block)
+//    - Also accept "Block C" forms
+//    - Avoid "Size Block" false positives
+const RE_BLOCK_LETTER_BEFORE = /\b([A-Z])\s*Block\b/i; // e.g., "F Block"
+const RE_BLOCK_AFTER_WORD = /\bBlock\s*([A-Z0-9-]+)\b/i; // e.g., "Block C", "Block B-17"
+const RE_SIZE_BLOCK_PHRASE = /\b(?:Size\s*Block|Plot\s*Size\s*Block)\b/i;
+function formatBlock(letter, style = "title") {
+    const L = String(letter || "").toUpperCase();
+    if (!L)
+        return "";
+    return style === "letter" ? `${L} block` : `Block ${L}`;
+}
+function labelBlock(blockOrName, style = "title") {
+    if (!blockOrName)
+        return "";
+    const s = String(blockOrName).trim();
+    if (/^[A-Za-z]$/.test(s))
+        return formatBlock(s, style);
+    return s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
+}
+function toE164(pk) {
+    const d = (pk || "").replace(/\D/g, "");
+    if (!d)
+        return "";
+    if (d.startsWith("92"))
+        return "+" + d;
+    if (d.startsWith("0"))
+        return "+92" + d.slice(1);
+    if (d.startsWith("3") && d.length === 10)
+        return "+92" + d;
+    return "+" + d;
+}
+// ===== Dictionary (CSV) =====
+function parseSocietyCSV(csv) {
+    const map = new Map();
+    (csv || "").split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed)
+            return;
+        const parts = trimmed.split(":");
+        if (parts.length < 2)
+            return;
+        const left = parts.shift();
+        const right = parts.join(":");
+        const canonical = (left || "").trim();
+        const aliases = (right || "").split(",").map(s => s.trim()).filter(Boolean);
+        if (!canonical)
+            return;
+        if (!map.has(canonical))
+            map.set(canonical, new Set());
+        const set = map.get(canonical);
+        aliases.forEach(a => set.add(a));
+        set.add(canonical);
+    });
+    return map;
+}
+function findSocietyFromDict(text, csv) {
+    const map = parseSocietyCSV(csv || exports.DEFAULT_SOC_DICT);
+    const t = text; // regexes use /i
+    for (const [canonical, set] of map.entries()) {
+        for (const aliasRaw of set) {
+            const alias = (aliasRaw || "").trim();
+            if (!alias)
+                continue;
+            if (/\{block\}/i.test(alias)) {
+                const base = alias.replace(/\{block\}/i, "");
+                const rx = new RegExp(`\\b${escRe(base)}\\s*([A-Z])\\b`, "i");
+                const m = rx.exec(t);
+                if (m)
+                    return { society: canonical, block: m[1].toUpperCase(), hit: hitOf(m, "dictionary {block} alias", 0.8) };
+                continue;
+            }
+            if (/\{name\}/i.test(alias)) {
+                const base = alias.replace(/\{name\}/i, "");
+                const rx = new RegExp(`\\b${escRe(base)}\\s*([A-Z])\\b`, "i");
+                const m = rx.exec(t);
+                if (m)
+                    return { society: canonical, block: m[1], hit: hitOf(m, "dictionary {name} alias", 0.8) };
+                continue;
+            }
+            if (alias.length >= 2) {
+                // \b only knows ASCII word chars, so Urdu aliases ("بحریہ ٹاؤن") need explicit boundaries
+                const rx = /^[\x00-\x7f]*$/.test(alias)
+                    ? new RegExp(`\\b${escRe(alias)}\\b`, "i")
+                    : new RegExp(`(?<![\\p{L}\\p{N}])${escRe(alias)}(?![\\p{L}\\p{N}])`, "iu");
+                const m = rx.exec(t);
+                if (m)
+                    return { society: canonical, block: "", hit: hitOf(m, "dictionary alias", 0.9) };
+            }
+        }
+    }
+    return { society: "", block: "", hit: null };
+}
+// ===== Aliases JSON (advanced) =====
+function matchAliases(text, aliasesJSON) {
+    // Force a dictionary shape that TS can index safely
+    const aliases = (aliasesJSON ?? exports.DEFAULT_ALIASES);
+    const t = text.toLowerCase();
+    for (const society of Object.keys(aliases)) {
+        const blocks = aliases[society] || {};
+        for (const phase of Object.keys(blocks)) {
+            const patterns = blocks[phase] || [];
+            for (const pat of patterns) {
+                const at = t.indexOf(String(pat).toLowerCase());
+                if (at >= 0) {
+                    return { society, phase_block: phase, hit: { start: at, end: at + String(pat).length, reason: "phase alias", confidence: 0.85 } };
+                }
+            }
+        }
+        const at = t.indexOf(society.toLowerCase());
+        if (at >= 0) {
+            return { society, phase_block: "", hit: { start: at, end: at + society.length, reason: "society name", confidence: 0.85 } };
+        }
+    }
+    return { society: "", phase_block: "", hit: null };
+}
+// ===== Regex library =====
+const phoneRe = /(?:\+?92|0)3\d{2}[\s-]?\d{7}/g;
+const priceRe = new RegExp(String.raw `(?:(?:demand|price|asking)\s*[:=]?\s*)?(\d{1,3}(?:[\,\.]\d{3})*(?:\.\d+)?|\d{1,4}(?:\.\d{1,2})?)\s*(?:(cr|crore|cr\.|lac|lakh|lacs|k|m|million|thousand)(?![a-z]))?`, "gi");
+const sizeWordRe = /\(?\s*(\d{1,3}(?:\.\d{1,2})?)\s*\)?\s*(kanal|marla|sq\.?\s?ft|sq\.?\s?yds?|sq\.?\s?yard(?:s)?|gaz|yard|yds?|feet)\b/i;
+const sizeShortRe = /(?<![\d.])\b(\d{1,2})\s*([mk])\b/i; // not the tail of "1.5m"
+const dimensionRe = /(\d{2,3})\s*([x×*\/])\s*(\d{2,3})/i;
+const plotWordRe = /plot(?:\s*#|(?:\s*no\.?)?|num)?\s*([\d]{1,6}[A-Z]?)/i;
+const plotSeriesRe = /\b(\d{2,5})\s*-?\s*(?:series|sereis)\b/i;
+const plotHashRe = /(?:^|\s)#\s*([0-9]{1,6}[A-Z]?)(?=\b)/mi;
+const streetRe = /(?:street|st)\s*(\d{1,4})/i;
+const flags = [
+    { re: /\bndc\s*(open|clear|available)\b/i, label: "NDC open" },
+    { re: /\bpossession\b/i, label: "Possession" },
+    { re: /\b(sun\s*face(?:d|ing)?|south\s*open)\b/i, label: "Sun face" },
+    { re: /\bcorner\b/i, label: "Corner" },
+    { re: /\bpark[-\s]?facing\b/i, label: "Park facing" },
+    { re: /\bboulevard|\bmain\s+boulevard|\bon\s+boulevard\b/i, label: "Boulevard" },
+    { re: /\bnear\s+commercial|\bnear\s+markaz|\bback\s+open\b/i, label: "Near commercial/markaz/back open" }, { re: /\b2nd\s+to\s+corner\b/i, label: "2nd to corner" }, { re: /\b2nd\s+to\s+mdr\b/i, label: "2nd to MDR" }
+];
+// What dealers *call* these plots; the real area is w*h (see areaInSqFt)
+const DIM_TO_MARLA = { "25x50": 5, "30x60": 7, "35x70": 10, "50x90": 20, "100x90": 40 };
+// ===== Area =====
+// A marla is 225 sq ft in most private societies, 250 or 272.25 in others.
+exports.DEFAULT_SQFT_PER_MARLA = 225;
+// Size -> sq ft. `unit` may be a dimension ("30*17"), as parseSize leaves unknown ones.
+// `dims` (e.g. "25x50") wins over a conventional marla count when given.
+function areaInSqFt(value, unit, sqftPerMarla = exports.DEFAULT_SQFT_PER_MARLA, dims = "") {
+    const d = String(dims || unit || "").match(/^\s*(\d{2,3})\s*[x×*\/]\s*(\d{2,3})\s*$/i);
+    if (d)
+        return parseInt(d[1], 10) * parseInt(d[2], 10);
+    const v = Number(value);
+    if (value === null || value === undefined || value === "" || !Number.isFinite(v) || v <= 0)
+        return null;
+    const u = String(unit || "marla").toLowerCase().replace(/[^a-z]/g, "");
+    const spm = sqftPerMarla > 0 ? sqftPerMarla : exports.DEFAULT_SQFT_PER_MARLA;
+    let sqft = null;
+    if (u === "marla")
+        sqft = v * spm;
+    else if (u === "kanal")
+        sqft = v * 20 * spm;
+    else if (u === "sqft" || u === "feet")
+        sqft = v;
+    else if (u === "sqyd" || u === "sqyard" || u === "yard" || u === "yds" || u === "gaz")
+        sqft = v * 9;
+    return sqft === null ? null : Math.round(sqft * 100) / 100;
+}
+const UR = "\\u0600-\\u06FF"; // Arabic block (Urdu letters + digits)
+const urWord = (alts) => new RegExp(`(?<![${UR}])(?:${alts})(?![${UR}])`, "g");
+const romanWord = (alts) => new RegExp(`\\b(?:${alts})\\b`, "gi");
+// [pattern, English term]. Padded with spaces because Urdu units are often glued to digits ("5مرلہ").
+const URDU_TERMS = [
+    [urWord("کروڑ|کروڈ|کرور"), " crore "],
+    [urWord("لاکھ|لاکه|لکھ"), " lac "],
+    [urWord("ہزار|هزار"), " thousand "],
+    [urWord("مرلہ|مرلے|مرلا|مرله|مرلوں"), " marla "],
+    [urWord("کنال|کنالیں|کنالے"), " kanal "],
+    [urWord("پلاٹ|پلاٹس"), " plot "],
+    [urWord("نمبر"), " no "],
+    [urWord("بلاک"), " block "],
+    [urWord("فیز"), " phase "],
+    [urWord("سیکٹر"), " sector "],
+    [urWord("سیریز"), " series "],
+    [urWord("گلی|اسٹریٹ|سٹریٹ"), " street "],
+    [urWord("ڈیمانڈ|ڈمانڈ"), " demand "],
+    [urWord("قیمت"), " price "],
+    [urWord("کارنر"), " corner "],
+    [urWord("پارک\\s*فیسنگ|پارک\\s*فیس|پارک\\s*کے\\s*سامنے"), " park facing "],
+    [urWord("قبضہ|قبضه|پوزیشن|پوزیشن"), " possession "],
+    [urWord("بلیوارڈ"), " boulevard "],
+    [urWord("رابطہ|رابطے|رابطه"), " contact "],
+    [urWord("گز"), " gaz "],
+    [urWord("فٹ"), " feet "],
+    [romanWord("karor|karorr|karore|krore|kror|crorr"), "crore"],
+    [romanWord("laakh|lakhh|lakhs"), "lac"],
+    [romanWord("hazar|hazaar|hzar"), "thousand"],
+    [romanWord("marlay|marle|marlah|mrla"), "marla"],
+    [romanWord("kanaal|knal"), "kanal"],
+    [romanWord("nambar|number"), "no"],
+    [romanWord("qeemat|qimat|keemat|kimat"), "price"],
+    [romanWord("qabza|qabzah|qabzaa"), "possession"]
+];
+// Number words, only rewritten right before a unit ("dhai crore", "پانچ مرلہ") because
+// Roman ones ("do", "char", "das") are ordinary English words elsewhere.
+const NUMBER_WORDS = {
+    "ایک": 1, "دو": 2, "تین": 3, "چار": 4, "پانچ": 5, "چھ": 6, "چھے": 6, "سات": 7, "آٹھ": 8, "نو": 9, "دس": 10,
+    "گیارہ": 11, "بارہ": 12, "پندرہ": 15, "بیس": 20, "پچیس": 25, "تیس": 30, "چالیس": 40, "پچاس": 50,
+    "ساٹھ": 60, "ستر": 70, "اسی": 80, "نوے": 90, "سو": 100, "آدھا": 0.5, "ڈیڑھ": 1.5, "ڈھائی": 2.5,
+    ek: 1, do: 2, teen: 3, char: 4, chaar: 4, panch: 5, paanch: 5, chay: 6, chhe: 6, saat: 7, sat: 7, aath: 8, ath: 8,
+    das: 10, dus: 10, pandra: 15, bees: 20, pachees: 25, tees: 30, chalees: 40, pachas: 50, sau: 100,
+    adha: 0.5, aadha: 0.5, derh: 1.5, dairh: 1.5, deedh: 1.5, dhai: 2.5, dhaai: 2.5, arhai: 2.5, dhaee: 2.5
+};
+// "ساڑھے تین" = 3.5, "sawa do" = 2.25, "pone teen" = 2.75
+const NUMBER_MODIFIERS = {
+    "ساڑھے": 0.5, "سوا": 0.25, "پونے": -0.25, sarhe: 0.5, saarhe: 0.5, sadhe: 0.5, saade: 0.5, sawa: 0.25, pone: -0.25, paune: -0.25
+};
+const alts = (o) => Object.keys(o).sort((a, b) => b.length - a.length).map(escRe).join("|");
+const numberPhraseRe = new RegExp(`(?<![\\p{L}\\p{N}])(?:(${alts(NUMBER_MODIFIERS)})\\s*)?(${alts(NUMBER_WORDS)}|\\d+(?:\\.\\d+)?)(?=\\s*(?:crore|lac|lakh|thousand|marla|kanal)\\b)`, "giu");
+function replaceMapped(n, re, fn) {
+    let text = "", last = 0;
+    const starts = [], ends = [];
+    const keep = (from, to) => {
+        text += n.text.slice(from, to);
+        for (let k = from; k < to; k++) {
+            starts.push(n.starts[k]);
+            ends.push(n.ends[k]);
+        }
+    };
+    for (const m of n.text.matchAll(re)) {
+        const i = m.index, j = i + m[0].length;
+        keep(last, i);
+        const rep = fn(m);
+        text += rep;
+        // every replacement char stands for the whole replaced token
+        for (let k = 0; k < rep.length; k++) {
+            starts.push(n.starts[i]);
+            ends.push(n.ends[j - 1]);
+        }
+        last = j;
+    }
+    keep(last, n.text.length);
+    return { text, starts, ends };
+}
+// Normalized [start, end) -> original [start, end)
+function originalSpan(n, start, end) {
+    if (end <= start) {
+        const at = start < n.starts.length ? n.starts[start] : (n.ends[n.ends.length - 1] ?? 0);
+        return { start: at, end: at };
+    }
+    return { start: n.starts[start], end: n.ends[end - 1] };
+}
+function normalizeMessage(src) {
+    const s = String(src || "");
+    // 1:1 character swaps first: digits and Arabic punctuation
+    let text = "";
+    for (const ch of s) {
+        const c = ch.charCodeAt(0);
+        if (c >= 0x06F0 && c <= 0x06F9)
+            text += String(c - 0x06F0); // Urdu/Persian digits
+        else if (c >= 0x0660 && c <= 0x0669)
+            text += String(c - 0x0660); // Arabic-Indic digits
+        else if (ch === "٫")
+            text += ".";
+        else if (ch === "٬" || ch === "،")
+            text += ",";
+        else if (ch === "۔")
+            text += ".";
+        else
+            text += ch;
+    }
+    // still 1:1 with the source (same UTF-16 length), so the maps start as identity
+    let n = { text, starts: [], ends: [] };
+    for (let i = 0; i < text.length; i++) {
+        n.starts.push(i);
+        n.ends.push(i + 1);
+    }
+    if (!/[\u0600-\u06FF]|[a-z]{2,}/i.test(text))
+        return n; // digits/punctuation only
+    for (const [re, term] of URDU_TERMS)
+        n = replaceMapped(n, re, () => term);
+    n = replaceMapped(n, numberPhraseRe, (m) => {
+        const word = m[2].toLowerCase();
+        const base = NUMBER_WORDS[word] ?? NUMBER_WORDS[m[2]] ?? parseFloat(m[2]);
+        if (!m[1] && /^\d/.test(m[2]))
+            return m[0];
+        const mod = m[1] ? (NUMBER_MODIFIERS[m[1].toLowerCase()] ?? NUMBER_MODIFIERS[m[1]] ?? 0) : 0;
+        return String(base + mod);
+    });
+    // the padding above leaves runs of spaces; "demand  2  crore" -> "demand 2 crore"
+    n = replaceMapped(n, / {2,}/g, () => " ");
+    return n;
+}
+// --- Bare plot fallback: first 2–4 digits with optional suffix letter (A–Z),
+// excluding phones, dimensions, explicit plot contexts, price spans, and streets.
+function extractBarePlotNumber(text) {
+    const exclusions = [];
+    // phones
+    for (const m of text.matchAll(/(?:\+?92|0)3\d{2}[\s-]?\d{7}/g)) {
+        exclusions.push([m.index, m.index + m[0].length]);
+    }
+    // dimensions like 50x90 / 25/50
+    for (const m of text.matchAll(/(\d{2,3})\s*[x×*\/]\s*(\d{2,3})/gi)) {
+        exclusions.push([m.index, m.index + m[0].length]);
+    }
+    // explicit plot contexts (word + number)
+    for (const m of text.matchAll(/plot(?:\s*#|(?:\s*no\.?)?|num)?\s*([\d]{1,6}[A-Z]?)/gi)) {
+        exclusions.push([m.index, m.index + m[0].length]);
+    }
+    // bare hash contexts (# 2783 / #2783)
+    for (const m of text.matchAll(/(?:^|\s)#\s*([0-9]{1,6}[A-Z]?)(?=\b)/gm)) {
+        exclusions.push([m.index, m.index + m[0].length]);
+    }
+    // price spans (numbers with units/cues)
+    for (const m of text.matchAll(/(?:(?:demand|price|asking)\s*[:=]?\s*)?(\d{1,3}(?:[\,\.]\d{3})*(?:\.\d+)?|\d{1,4}(?:\.\d{1,2})?)\s*(?:(cr|crore|cr\.|lac|lakh|lacs|k|m|million|thousand)(?![a-z]))?/gi)) {
+        exclusions.push([m.index, m.index + m[0].length]);
+    }
+    // streets
+    for (const m of text.matchAll(/(?:street|st)\s*\d{1,4}/gi)) {
+        exclusions.push([m.index, m.index + m[0].length]);
+    }
+    const inside = (i) => exclusions.some(([s, e]) => i >= s && i < e);
+    // pick the first clean 2–4 digits optionally followed by one letter
+    for (const m of text.matchAll(/\b(\d{2,4}[A-Z]?)\b/gi)) {
+        const i = m.index ?? 0;
+        const near = text.slice(Math.max(0, i - 10), i + 10).toLowerCase();
+        if (inside(i))
+            continue;
+        if (/\b(marla|kanal|sq|yard|yds?|feet|ft|street|st|series)\b/.test(near))
+            continue;
+        return { value: m[1].toUpperCase(), hit: hitOf(m, "bare number fallback", 0.35, 1) };
+    }
+    return { value: '', hit: null };
+}
+// ===== Price / Size / Block =====
+// `claimed` is a span another field already owns (the size: "5m" is 5 marla, not 5 million).
+function parsePrice(text, claimed = null) {
+    const t = text;
+    const matches = [...t.matchAll(priceRe)];
+    if (!matches.length)
+        return { amount: "", text: "", hit: null };
+    // Treat numbers that ARE a plot number (or a piece of a longer number) as NOT price:
+    // - "Plot # 2783", "Plot no 2783", "# 2783", "200 series/sereis"
+    // - fragments of phones / long ids ("0300|1234567")
+    // Only the candidate's own number is checked, so "#12 demand 95 lac" still prices 95 lac.
+    const inPlotContext = (numIdx, numLen) => {
+        const before = t.slice(Math.max(0, numIdx - 12), numIdx).toLowerCase();
+        const after = t.slice(numIdx + numLen, numIdx + numLen + 10).toLowerCase();
+        if (/\d$/.test(before) || /^\d/.test(after))
+            return true;
+        if (/(?:^|\s)#\s*$/.test(before))
+            return true;
+        if (/plot(?:\s*#|(?:\s*no\.?)?|num)?\s*$/.test(before))
+            return true;
+        if (/^[a-z]?\s*-?\s*(?:series|sereis)\b/.test(after))
+            return true;
+        return false;
+    };
+    // We only allow price if there is a unit OR a nearby cue word.
+    const cuesRe = /\b(demand|asking|final|only)\b/i;
+    const cands = [];
+    for (const m of matches) {
+        const raw = m[0];
+        const numStr = m[1];
+        const unit = (m[2] || "").toLowerCase();
+        const idx = m.index ?? t.indexOf(raw);
+        if (!numStr)
+            continue;
+        if (inPlotContext(idx + raw.indexOf(numStr), numStr.length))
+            continue;
+        const priceWord = /\b(demand|price|asking)\b/i.test(raw);
+        if (claimed && !priceWord && idx < claimed.end && idx + raw.trimEnd().length > claimed.start)
+            continue;
+        // a bare "m" is the marla shorthand unless a price word says otherwise ("demand 5m")
+        if (unit === "m" && !/\b(demand|price|asking)\b/i.test(t.slice(Math.max(0, idx - 20), idx) + raw))
+            continue;
+        const num = parseFloat(numStr.replace(/,/g, ""));
+        let pkr;
+        let reason = "amount with unit", confidence = 0.8;
+        // Units → direct conversion
+        if (unit === "cr" || unit === "cr." || unit === "crore")
+            pkr = num * 10000000;
+        else if (unit === "lac" || unit === "lakh" || unit === "lacs")
+            pkr = num * 100000;
+        else if (unit === "k" || unit === "thousand")
+            pkr = num * 1000;
+        else if (unit === "m" || unit === "million")
+            pkr = num * 1000000;
+        else {
+            // No explicit unit: only accept if a cue word is nearby and value looks like "lacs"
+            const around = t.slice(Math.max(0, idx - 20), idx + 20).toLowerCase();
+            const hasCue = cuesRe.test(around);
+            if (hasCue && num >= 20 && num <= 500)
+                pkr = num * 100000;
+            reason = "cue word, assumed lac";
+            confidence = 0.5;
+        }
+        // No unit and no cues → skip (prevents phantom 5,000,000)
+        if (!pkr)
+            continue;
+        // Light scoring to choose best candidate if multiple appear
+        let score = 0;
+        if (unit)
+            score += 2;
+        if (/\bdemand\b/i.test(t))
+            score += Math.max(0, 2 - Math.abs(idx - t.toLowerCase().indexOf("demand")) / 50);
+        if (/\bprice\b/i.test(t))
+            score += 1;
+        if (unit && /\b(demand|price|asking)\b/i.test(raw)) {
+            reason = "amount with unit after demand cue";
+            confidence = 0.95;
+        }
+        cands.push({ pkr: Math.round(pkr), raw, score, hit: { start: idx, end: idx + raw.trimEnd().length, reason, confidence } });
+    }
+    if (!cands.length)
+        return { amount: "", text: "", hit: null };
+    cands.sort((a, b) => b.score - a.score || b.pkr - a.pkr);
+    return { amount: cands[0].pkr, text: cands[0].raw, hit: cands[0].hit };
+}
+function parseSize(text) {
+    // short forms first: 5M => 5 Marla, 1K => 1 Kanal
+    const sShort = text.match(sizeShortRe);
+    if (sShort) {
+        const n = parseFloat(sShort[1]);
+        const u = sShort[2].toLowerCase();
+        return { val: n, unit: (u === 'k' ? 'Kanal' : 'Marla'), dim: '', hit: hitOf(sShort, "short size form", 0.75) };
+    }
+    const s1 = text.match(sizeShortRe);
+    if (s1) {
+        const n = parseFloat(s1[1]);
+        const u = s1[2].toLowerCase();
+        return { val: n, unit: (u === "k" ? "Kanal" : "Marla"), dim: "", hit: hitOf(s1, "short size form", 0.75) };
+    }
+    const d = text.match(dimensionRe);
+    if (d) {
+        const w = parseInt(d[1], 10), h = parseInt(d[3], 10), dimExact = d[0].replace(/\s+/g, ''), dimKey = `${w}x${h}`.toLowerCase();
+        if (DIM_TO_MARLA[dimKey] !== undefined)
+            return { val: DIM_TO_MARLA[dimKey], unit: 'Marla', dim: dimExact, hit: hitOf(d, "known dimensions", 0.8) };
+        return { val: '', unit: dimExact, dim: dimExact, hit: hitOf(d, "unknown dimensions", 0.5) };
+    }
+    const s2 = text.match(sizeWordRe) || text.match(/\b(\d{1,3}(?:\.\d+)?)\s*marla\b/i);
+    if (s2) {
+        const val = parseFloat(s2[1]);
+        const raw = (s2[2] ?? 'marla').toLowerCase().replace(/[\s.]/g, '');
+        const unitMap = {
+            kanal: "Kanal", marla: "Marla",
+            sqft: "SqFt",
+            sqyd: "SqYd", sqyard: "SqYd", yard: "SqYd", yds: "SqYd", gaz: "SqYd", feet: "SqFt"
+        };
+        return { val, unit: unitMap[raw] || (s2[2] || '').trim(), dim: '', hit: hitOf(s2, "number + size unit", 0.9) };
+    }
+    return { val: "", unit: "", dim: "", hit: null };
+}
+// ===== Contact name =====
+// "Contact: Ali Khan", "Name: Bilal", "Regards, Bilal", or the words right next to the phone
+// ("Ali Khan 0300-1234567", "0300-1234567 Ahmed"). Words that are listing vocabulary, and the
+// society (`exclude`), are never a name: "Need plot in FH, call number 0300…" has none.
+const contactStopRe = /^(?:demand|price|plot|block|phase|marla|kanal|corner|call|contact|person|cell|mob|mobile|whatsapp|wa|no|num|number|ph|phone|for|details|detail|info|only|sir|dealer|me|us|at|on|now|and|or|the|pm|dm|in|of|need|needed|want|wanted|required|available|sale|rent|urgent|sb|sahib|saab)$/i;
+function parseContactName(text, exclude = null) {
+    const clean = (s) => s.split(/\s+/)
+        .map(w => w.replace(/[.'’]+$/, ""))
+        .filter(w => /^[A-Za-z][A-Za-z.'’]+$/.test(w) && !contactStopRe.test(w))
+        .slice(0, 3)
+        .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+        .join(" ");
+    const phoneAny = new RegExp(phoneRe.source, "g");
+    let pos = 0;
+    for (const line of String(text || "").split("\n")) {
+        const at = pos;
+        pos += line.length + 1;
+        const cue = line.match(/\b(?:name|contact(?:\s*person)?|regards|whats\s*app|call)\b[\s:,\-]*([A-Za-z][A-Za-z.'’ ]{1,40})/i);
+        if (cue) {
+            const n = clean(cue[1]);
+            if (n) {
+                const h = hitOf(cue, "name after contact cue", 0.7, 1);
+                return { name: n, hit: { ...h, start: h.start + at, end: h.end + at } };
+            }
+        }
+        const phone = new RegExp(phoneRe.source).exec(line);
+        if (phone) {
+            if (/\d/.test(line.replace(phoneAny, " ")))
+                continue; // listing line that happens to carry a number
+            // name words touching the number, up to 3, stopping at punctuation or a non-name word
+            const isName = (w, i) => /^[A-Za-z][A-Za-z.'’]+$/.test(w.replace(/[,;:\-–]+$/, ""))
+                && !contactStopRe.test(w.replace(/[.'’,;:\-–]+$/, ""))
+                && !(exclude && at + i < exclude.end && at + i + w.length > exclude.start);
+            const before = [...line.slice(0, phone.index).matchAll(/\S+/g)].reverse();
+            const after = [...line.slice(phone.index + phone[0].length).matchAll(/\S+/g)];
+            const offset = phone.index + phone[0].length;
+            const pick = (tokens, base, leading) => {
+                const out = [];
+                for (const t of tokens) {
+                    const i = base + t.index;
+                    if (out.length === 3 || !isName(t[0], i))
+                        break;
+                    // "FH, Ali 0300…": a comma closes the name on the side away from the number
+                    if (out.length && /[,;:]$/.test(leading ? out[out.length - 1].w : t[0]))
+                        break;
+                    out.push({ w: t[0], i });
+                }
+                return leading ? out : out.reverse();
+            };
+            let words = pick(before, 0, false);
+            if (!words.length)
+                words = pick(after, offset, true);
+            if (words.length) {
+                const n = words.map(x => x.w.replace(/[.'’,;:\-–]+$/, "")).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
+                // the span covers the name and the number ("Ali Khan 0300-1234567")
+                const start = at + Math.min(words[0].i, phone.index);
+                const last = words[words.length - 1];
+                const end = at + Math.max(last.i + last.w.length, phone.index + phone[0].length);
+                return { name: n, hit: { start, end, reason: "name beside phone", confidence: 0.5 } };
+            }
+        }
+    }
+    return { name: "", hit: null };
+}
+// --- smarter block/phase detector ---
+// Goal: prefer the token that comes *after* the word "block" (e.g., "Multi Block F" => "Block F")
+//       but still handle "F Block", and numeric/roman "Phase 7" etc.
+function parsePhaseBlock(text, style) {
+    const t = ` ${String(text || "").toLowerCase()} `;
+    // small helpers
+    const cap = (s) => s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+    const isSingleLetter = (s) => /^[a-z]$/i.test(s);
+    const isAlphaNum = (s) => /^[a-z0-9-]+$/i.test(s);
+    // t is padded with one space, so hits shift back by one
+    const found = (value, m, reason, confidence) => {
+        const h = hitOf(m, reason, confidence);
+        return { value, hit: { ...h, start: h.start - 1, end: h.end - 1 } };
+    };
+    // Roman → Arabic (basic) I, II, III, IV, V, VI, VII, VIII, IX, X
+    const romanToArabic = (r) => {
+        const map = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+        const R = r.toUpperCase();
+        if (!/^[IVXLCDM]+$/.test(R))
+            return null;
+        let sum = 0;
+        for (let i = 0; i < R.length; i++) {
+            const v = map[R[i]], n = map[R[i + 1]] || 0;
+            sum += v < n ? -v : v;
+        }
+        return sum;
+    };
+    // 1) Strongest: token to the RIGHT of "block"
+    //    Examples: "Block F", "blk G", "block executive"
+    let m = t.match(/\b(?:block|blk)\s*(?!size\b)(?!\d{2,3}\s*[x×*\/]\s*\d{2,3}\b)([a-z0-9-]+)\b/i);
+    if (m) {
+        const token = m[1].trim();
+        if (isSingleLetter(token))
+            return found(`Block ${token.toUpperCase()}`, m, "block-after-word", 0.85);
+        if (/^(executive|overseas|safari|hills|extension|ext)$/i.test(token))
+            return found(cap(token), m, "block-after-word", 0.85);
+        if (isAlphaNum(token))
+            return found(`${cap(token)} Block`, m, "block-after-word", 0.75);
+    }
+    // 2) Also support token to the LEFT of "block"
+    //    Examples: "F Block", "Executive Block"
+    m = t.match(/\b(?!size\b)([a-z0-9-]+)\s*(?:block|blk)\b/i);
+    if (m) {
+        const token = m[1].trim();
+        if (isSingleLetter(token))
+            return found(`Block ${token.toUpperCase()}`, m, "block-before-word", 0.75);
+        if (/^(executive|overseas|safari|hills|extension|ext)$/i.test(token))
+            return found(cap(token), m, "block-before-word", 0.75);
+        if (isAlphaNum(token))
+            return found(`${cap(token)} Block`, m, "block-before-word", 0.6);
+    }
+    // 3) Phases: "Phase 7", "Phase-7", "Phase VII", "7 Phase"
+    m = t.match(/\bphase\s*([0-9ivxlcdm]+)\b/i) || t.match(/\b([0-9ivxlcdm]+)\s*phase\b/i);
+    if (m) {
+        const raw = m[1].trim();
+        const num = /^[0-9]+$/.test(raw) ? Number(raw) : (romanToArabic(raw) || raw);
+        return found(`Phase ${String(num).toUpperCase()}`, m, "phase number", 0.9);
+    }
+    // Nothing found
+    return { value: "", hit: null };
+}
+function parseSocietyBlockPlot(text, style, dictCSV, aliasesJSON) {
+    const t = text;
+    const dictHit = findSocietyFromDict(t, dictCSV);
+    let society = dictHit.society || "";
+    let phase_block = "";
+    let plotNo = "";
+    const hits = { society: dictHit.hit, phase_block: null, plot_no: null };
+    if (dictHit.block) {
+        phase_block = labelBlock(dictHit.block, style);
+        hits.phase_block = dictHit.hit;
+    }
+    if (!society) {
+        const hit = matchAliases(t, aliasesJSON);
+        society = hit.society || "";
+        hits.society = hit.hit;
+        if (!phase_block && hit.phase_block) {
+            phase_block = hit.phase_block;
+            hits.phase_block = hit.hit;
+        }
+    }
+    if (!phase_block) {
+        const pb = parsePhaseBlock(t, style);
+        phase_block = pb.value;
+        hits.phase_block = pb.hit;
+    }
+    let mSeries = t.match(plotSeriesRe);
+    if (mSeries) {
+        plotNo = `${mSeries[1]} series`.replace(/X/g, "x");
+        hits.plot_no = hitOf(mSeries, "plot series", 0.8);
+    }
+    else {
+        let mPlot = t.match(plotWordRe);
+        if (mPlot) {
+            plotNo = mPlot[1];
+            hits.plot_no = hitOf(mPlot, "number after plot word", 0.9);
+        }
+        else {
+            const mHash = t.match(plotHashRe);
+            if (mHash) {
+                plotNo = mHash[1];
+                hits.plot_no = hitOf(mHash, "number after #", 0.85);
+            }
+        }
+    }
+    if (!plotNo) {
+        const bare = extractBarePlotNumber(t);
+        if (bare.value) {
+            plotNo = bare.value;
+            hits.plot_no = bare.hit;
+        }
+    }
+    return { society, phase_block, plotNo, hits };
+}
+// The listing is only as trustworthy as its weakest key field; phone/name/block don't count.
+function overallConfidence(fields) {
+    const key = ["society", "plot_no", "size", "demand"].map(k => fields[k]).filter(Boolean);
+    return key.length ? Math.min(...key.map(f => f.confidence)) : 0;
+}
+// ===== Public entry point =====
+function parseMessage(raw, opts = {}) {
+    const norm = normalizeMessage(raw);
+    const text = norm.text;
+    const style = opts.blockOutputStyle || "title";
+    const dictCSV = opts.societyDictCSV || exports.DEFAULT_SOC_DICT;
+    const { society, phase_block, plotNo, hits } = parseSocietyBlockPlot(text, style, dictCSV, opts.aliasesJSON || null);
+    const phone = new RegExp(phoneRe.source).exec(text);
+    const size = parseSize(text);
+    const demand = parsePrice(text, size.hit);
+    const contact = parseContactName(text, hits.society);
+    const fields = {};
+    const put = (k, value, h) => {
+        if (value === "" || !h)
+            return;
+        fields[k] = { confidence: h.confidence, span: originalSpan(norm, h.start, h.end), reason: h.reason };
+    };
+    put("society", society, hits.society);
+    put("phase_block", phase_block, hits.phase_block);
+    put("plot_no", plotNo, hits.plot_no);
+    put("size", size.unit, size.hit);
+    put("demand", demand.amount, demand.hit);
+    put("phone", phone ? phone[0] : "", phone && hitOf(phone, "phone number", 0.95));
+    put("contact_name", contact.name, contact.hit);
+    const lower = text.toLowerCase();
+    const notesBits = [];
+    for (const f of flags) {
+        if (f.re.test(lower))
+            notesBits.push(f.label);
+    }
+    if (size.dim)
+        notesBits.push(`Dimensions ${size.dim}`);
+    return {
+        society,
+        phase_block,
+        plot_no: plotNo || "",
+        size_val: size.val ?? "",
+        size_unit: size.unit || "",
+        area_sqft: areaInSqFt(size.val, size.unit, (society && opts.marlaSqFt?.[society]) || exports.DEFAULT_SQFT_PER_MARLA, size.dim) ?? "",
+        demand_pkr: demand.amount ?? "",
+        demand_text: demand.text || "",
+        phone_e164: phone ? toE164(phone[0]) : "",
+        contact_name: contact.name,
+        notes: Array.from(new Set(notesBits)).join(", "),
+        flags: {
+            corner: /\bcorner\b/i.test(lower),
+            park: /park[-\s]?facing/i.test(lower),
+            possession: /\bpossession\b/i.test(lower)
+        },
+        dimensions: size.dim || "",
+        fields,
+        confidence: overallConfidence(fields),
+        parserVersion: 'expo-mobile-shared'
+    };
+}
+// "1)" "(2)" "3." (dot needs a following space, so "1.9 cr" is not a marker) and keycap emoji "4️⃣"
+const itemNumberRe = /(^|[\s,;|])(?:\(?(\d{1,2})\)|(\d{1,2})\.(?=\s)|(\d)\uFE0F?\u20E3)/g;
+const itemBulletRe = /^\s*(?:[-–•*▪▫◦●○►▶✅✔☑]\uFE0F?|🔸|🔹|🔶|🔷|📍|👉|\u27A1\uFE0F?)\s*/u;
+function looksLikeItem(line) {
+    const hasSize = sizeWordRe.test(line) || sizeShortRe.test(line) || dimensionRe.test(line);
+    const hasPrice = parsePrice(line).amount !== "";
+    const hasPlot = plotWordRe.test(line) || plotHashRe.test(line);
+    return hasSize && (hasPrice || hasPlot);
+}
+// Trailing lines of the last item that carry no size/price/plot (contact, "call now") are context.
+function splitFooter(text, start, end) {
+    let cut = end;
+    const body = text.slice(start, end);
+    const lines = body.split("\n");
+    for (let i = lines.length - 1; i > 0; i--) {
+        const line = lines[i];
+        if (line.trim() && (sizeWordRe.test(line) || sizeShortRe.test(line) || parsePrice(line).amount !== "" || plotHashRe.test(line)))
+            break;
+        cut -= line.length + 1;
+    }
+    // Same-line sign-off: "... 1.9 cr. Contact: Bilal 0311…"
+    const cue = /[\s,.;]\s*(?:contact(?:\s*person)?|call|regards|whats\s*app)\b/i.exec(text.slice(start, cut));
+    if (cue && cue.index > 0 && !sizeWordRe.test(text.slice(start + cue.index, cut)))
+        cut = start + cue.index + 1;
+    return cut;
+}
+function segmentItems(text) {
+    // 1) numbered items, accepted only as a 1,2,3… chain
+    const starts = [];
+    let expect = 1;
+    for (const m of text.matchAll(itemNumberRe)) {
+        const n = parseInt(m[2] || m[3] || m[4], 10);
+        if (n === expect) {
+            starts.push(m.index + m[1].length);
+            expect++;
+        }
+    }
+    if (starts.length < 2) {
+        // 2) bullet lines; 3) several lines that each look like a listing
+        starts.length = 0;
+        let pos = 0;
+        const lines = text.split("\n");
+        const bullets = [], itemLines = [];
+        for (const line of lines) {
+            if (itemBulletRe.test(line) && line.replace(itemBulletRe, "").trim())
+                bullets.push(pos);
+            if (looksLikeItem(line))
+                itemLines.push(pos);
+            pos += line.length + 1;
+        }
+        if (bullets.length >= 2)
+            starts.push(...bullets);
+        else if (itemLines.length >= 2) {
+            // one line per item, no continuation lines
+            return itemLines.map(st => ({ start: st, end: st + text.slice(st).split("\n")[0].length }));
+        }
+    }
+    if (starts.length < 2)
+        return [];
+    const out = starts.map((st, i) => ({ start: st, end: i + 1 < starts.length ? starts[i + 1] : text.length }));
+    const last = out[out.length - 1];
+    last.end = splitFooter(text, last.start, last.end);
+    for (const it of out) {
+        while (it.end > it.start && /\s/.test(text[it.end - 1]))
+            it.end--;
+    }
+    return out;
+}
+function parseMessageMulti(text, opts = {}) {
+    const src = String(text || "");
+    const norm = normalizeMessage(src);
+    const segs = segmentItems(norm.text).map(({ start, end }) => originalSpan(norm, start, end));
+    if (!segs.length) {
+        return [{ ...parseMessage(src, opts), span: { start: 0, end: src.length }, text: src }];
+    }
+    const head = segs[0].start, tail = segs[segs.length - 1].end;
+    const context = src.slice(0, head) + "\n" + src.slice(tail);
+    const ctx = parseMessage(context, opts);
+    // context offsets -> source offsets (the joining "\n" sits at index `head`)
+    const fromContext = (f) => f && {
+        confidence: Math.round(f.confidence * 0.9 * 100) / 100,
+        span: f.span && {
+            start: f.span.start < head ? f.span.start : f.span.start - head - 1 + tail,
+            end: f.span.end <= head ? f.span.end : f.span.end - head - 1 + tail
+        },
+        reason: `shared context: ${f.reason}`
+    };
+    return segs.map(({ start, end }) => {
+        const itemText = src.slice(start, end);
+        const r = parseMessage(itemText, opts);
+        const fields = {};
+        for (const [k, f] of Object.entries(r.fields)) {
+            fields[k] = { ...f, span: f.span && { start: f.span.start + start, end: f.span.end + start } };
+        }
+        const inherit = (k) => { const f = fromContext(ctx.fields[k]); if (f)
+            fields[k] = f; };
+        if (!r.society) {
+            r.society = ctx.society;
+            inherit("society");
+            // the marla depends on the society
+            if (r.society)
+                r.area_sqft = areaInSqFt(r.size_val, r.size_unit, opts.marlaSqFt?.[r.society] || exports.DEFAULT_SQFT_PER_MARLA, r.dimensions) ?? "";
+            // a block in the header belongs to the header's society
+            if (!r.phase_block) {
+                r.phase_block = ctx.phase_block;
+                inherit("phase_block");
+            }
+        }
+        else if (!r.phase_block && r.society === ctx.society) {
+            r.phase_block = ctx.phase_block;
+            inherit("phase_block");
+        }
+        if (!r.phone_e164) {
+            r.phone_e164 = ctx.phone_e164;
+            inherit("phone");
+        }
+        if (!r.contact_name) {
+            r.contact_name = ctx.contact_name;
+            inherit("contact_name");
+        }
+        return { ...r, fields, confidence: overallConfidence(fields), span: { start, end }, text: itemText };
+    });
+}
+// Android: "12/31/23, 9:15 PM - Ali: text"    iOS: "[31/12/2023, 21:15:30] Ali: text"
+const chatHeaderRe = /^\[?(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2,4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?\s?m\.?)?(?:\]\s*|\s+[-–]\s+)/i;
+const chatSenderRe = /^([^:\n]{1,80}?):\s?([\s\S]*)$/;
+const chatMediaRe = /^(?:<media omitted>|<attached:[^>]*>|(?:image|video|audio|sticker|gif|document) omitted|this message was deleted|you deleted this message|null)$/i;
+function cleanChatLine(line) {
+    // exports sprinkle LTR/RTL marks around names and use narrow no-break spaces before AM/PM
+    return line.replace(/[\u200e\u200f\u202a-\u202e]/g, "").replace(/[\u202f\u00a0]/g, " ");
+}
+function chatTimestamp(m, dayFirst) {
+    const a = parseInt(m[1], 10), b = parseInt(m[2], 10);
+    let y = parseInt(m[3], 10);
+    if (y < 100)
+        y += 2000;
+    const day = dayFirst ? a : b, month = dayFirst ? b : a;
+    let h = parseInt(m[4], 10);
+    const ampm = (m[7] || "").replace(/[\s.]/g, "").toLowerCase();
+    if (ampm === "pm" && h < 12)
+        h += 12;
+    if (ampm === "am" && h === 12)
+        h = 0;
+    const p = (n) => String(n).padStart(2, "0");
+    return `${y}-${p(month)}-${p(day)}T${p(h)}:${m[5]}:${m[6] || "00"}`;
+}
+function splitChatExport(raw) {
+    const text = String(raw || "");
+    const lines = [];
+    let pos = 0;
+    for (const line of text.split("\n")) {
+        lines.push({ line: cleanChatLine(line.replace(/\r$/, "")), start: pos, end: pos + line.length });
+        pos += line.length + 1;
+    }
+    const headers = lines.map(l => l.line.match(chatHeaderRe));
+    // No timestamps at all → a plain paste; one message per blank-line separated chunk.
+    if (!headers.some(Boolean)) {
+        const out = [];
+        for (const m of text.matchAll(/\S[\s\S]*?(?=\r?\n\s*\r?\n|\s*$)/g)) {
+            const body = m[0].trim();
+            if (body)
+                out.push({ sent_at: "", sender: "", text: body, start: m.index, end: m.index + m[0].length });
+        }
+        return out;
+    }
+    // Exports are either D/M/Y or M/D/Y throughout; decide once from the whole file.
+    let dayFirst = true;
+    for (const h of headers) {
+        if (!h)
+            continue;
+        if (parseInt(h[1], 10) > 12) {
+            dayFirst = true;
+            break;
+        }
+        if (parseInt(h[2], 10) > 12) {
+            dayFirst = false;
+            break;
+        }
+    }
+    const out = [];
+    let cur = null;
+    const flush = () => {
+        if (!cur)
+            return;
+        cur.text = cur.text.trim();
+        if (cur.text && !chatMediaRe.test(cur.text))
+            out.push(cur);
+        cur = null;
+    };
+    lines.forEach((l, i) => {
+        const h = headers[i];
+        if (h) {
+            flush();
+            const rest = l.line.slice(h[0].length);
+            const sm = rest.match(chatSenderRe);
+            if (!sm)
+                return; // system line (encryption notice, joins, group renames…)
+            cur = { sent_at: chatTimestamp(h, dayFirst), sender: sm[1].trim(), text: sm[2], start: l.start, end: l.end };
+            return;
+        }
+        if (cur) {
+            cur.text += "\n" + l.line;
+            cur.end = l.end;
+        }
+    });
+    flush();
+    return out;
+}
@@ -0,0 +1,5 @@
+// shared/parser.node.js
+// Lets the API (plain CommonJS, no build step at deploy) use shared/parser.ts, so the server
+// parses exactly like web + mobile do. Loads shared/parser.compiled.js, which
+// scripts/build-parser.js generates from parser.ts and which is committed with it.
+module.exports = require('./parser.compiled.js');
@@ -8,6 +8,7 @@ export interface ParseOptions {
   blockOutputStyle?: BlockOutputStyle;     // "title" = "Block F" (default), "letter" = "F block"
   societyDictCSV?: string;                 // if omitted, uses DEFAULT_SOC_DICT
   aliasesJSON?: Record<string, any> | null;// if omitted, uses DEFAULT_ALIASES
+  marlaSqFt?: Record<string, number>;      // sq ft per marla by society name; others use DEFAULT_SQFT_PER_MARLA
 }
 export interface ParsedResult {
   society: string;
@@ -15,14 +16,33 @@ export interface ParsedResult {
   plot_no: string;
   size_val: number | "";
   size_unit: string;        // Dim text if unknown (e.g., "30*17")
+  area_sqft: number | "";   // size in sq ft using the society's marla; exact w*h for dimensions
   demand_pkr: number | "";
   demand_text: string;
   phone_e164: string;
+  contact_name: string;     // "" when no name is found near a phone / "Contact:" cue
   notes: string;
   flags: { corner?: boolean; park?: boolean; possession?: boolean };
   dimensions?: string;      // e.g., 25x50 / 30*90 / 28/55
+  fields: Partial<Record<ParsedField, FieldInfo>>; // only fields that were found
+  confidence: number;       // weakest of society/plot_no/size/demand that were found, 0 if none
 }
 
+// Where a value came from, so the UI can highlight weak guesses.
+export type ParsedField = "society" | "phase_block" | "plot_no" | "size" | "demand" | "phone" | "contact_name";
+export interface FieldInfo {
+  confidence: number;                          // 0..1
+  span: { start: number; end: number } | null; // offsets in the text passed to the parser
+  reason: string;                              // rule that matched, e.g. "dictionary alias"
+}
+// Same thing on the normalized text, before spans are mapped back.
+interface Hit { start: number; end: number; reason: string; confidence: number }
+const hitOf = (m: RegExpMatchArray | RegExpExecArray, reason: string, confidence: number, group = 0): Hit=>{
+  const raw = m[group];
+  const start = m.index! + (group ? m[0].indexOf(raw) : 0) + (raw.length - raw.trimStart().length);
+  return { start, end: start + raw.trim().length, reason, confidence };
+};
+
 // ===== Helpers (ported) =====
 export const DEFAULT_ALIASES = {
 
@@ -31,12 +51,12 @@ export const DEFAULT_ALIASES = {
   "Multi Gardens B-17": { "Block X": ["B17 X", "Multi Garden X", "B-17 X"] }
 };
 
-export const DEFAULT_SOC_DICT = `Bahria Town Karachi : BTK, Bahria Karachi, BT Karachi
-DHA Lahore : DHA LHR, Defence Lahore
-Bahria Town Rawalpindi : BTR, Bahria Pindi, Bahria Rwp
-Gulberg Islamabad : GI, Gulberg Isb
-Multi Gardens B-17 : MG B-17, Multi Garden, MPCHS B-17, B-17, B17, MPCHS, B/17, B.17
-Faisal Hills : FH, FH{block}, FH{name}, Faisal Hills Taxila`;
+export const DEFAULT_SOC_DICT = `Bahria Town Karachi : BTK, Bahria Karachi, BT Karachi, بحریہ ٹاؤن کراچی, بحریہ کراچی
+DHA Lahore : DHA LHR, Defence Lahore, ڈی ایچ اے لاہور
+Bahria Town Rawalpindi : BTR, Bahria Pindi, Bahria Rwp, بحریہ ٹاؤن راولپنڈی, بحریہ پنڈی
+Gulberg Islamabad : GI, Gulberg Isb, گلبرگ اسلام آباد
+Multi Gardens B-17 : MG B-17, Multi Garden, MPCHS B-17, B-17, B17, MPCHS, B/17, B.17, ملٹی گارڈن
+Faisal Hills : FH, FH{block}, FH{name}, Faisal Hills Taxila, فیصل ہلز`;
 
 
 function escRe(s: string){ return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
@@ -114,7 +134,7 @@ function findSocietyFromDict(text: string, csv: string){
         const base = alias.replace(/\{block\}/i, "");
         const rx = new RegExp(`\\b${escRe(base)}\\s*([A-Z])\\b`, "i");
         const m = rx.exec(t);
-        if (m) return { society: canonical, block: m[1].toUpperCase() };
+        if (m) return { society: canonical, block: m[1].toUpperCase(), hit: hitOf(m, "dictionary {block} alias", 0.8) };
 
         continue;
       }
@@ -123,16 +143,20 @@ function findSocietyFromDict(text: string, csv: string){
         const rx = new RegExp(`\\b${escRe(base)}\\s*([A-Z])\\b`, "i");
 
         const m = rx.exec(t);
-        if (m) return { society: canonical, block: m[1] };
+        if (m) return { society: canonical, block: m[1], hit: hitOf(m, "dictionary {name} alias", 0.8) };
         continue;
       }
       if (alias.length >= 2){
-        const rx = new RegExp(`\\b${escRe(alias)}\\b`, "i");
-        if (rx.test(t)) return { society: canonical, block: "" };
+        // \b only knows ASCII word chars, so Urdu aliases ("بحریہ ٹاؤن") need explicit boundaries
+        const rx = /^[\x00-\x7f]*$/.test(alias)
+          ? new RegExp(`\\b${escRe(alias)}\\b`, "i")
+          : new RegExp(`(?<![\\p{L}\\p{N}])${escRe(alias)}(?![\\p{L}\\p{N}])`, "iu");
+        const m = rx.exec(t);
+        if (m) return { society: canonical, block: "", hit: hitOf(m, "dictionary alias", 0.9) };
       }
     }
   }
-  return { society: "", block: "" };
+  return { society: "", block: "", hit: null };
 }
 
 // ===== Aliases JSON (advanced) =====
@@ -151,25 +175,27 @@ function matchAliases(
     for (const phase of Object.keys(blocks)) {
       const patterns = blocks[phase] || [];
       for (const pat of patterns) {
-        if (t.includes(String(pat).toLowerCase())) {
-          return { society, phase_block: phase };
+        const at = t.indexOf(String(pat).toLowerCase());
+        if (at >= 0) {
+          return { society, phase_block: phase, hit: { start: at, end: at + String(pat).length, reason: "phase alias", confidence: 0.85 } as Hit };
         }
       }
     }
-    if (t.includes(society.toLowerCase())) {
-      return { society, phase_block: "" };
+    const at = t.indexOf(society.toLowerCase());
+    if (at >= 0) {
+      return { society, phase_block: "", hit: { start: at, end: at + society.length, reason: "society name", confidence: 0.85 } as Hit };
     }
   }
-  return { society: "", phase_block: "" };
+  return { society: "", phase_block: "", hit: null };
 }
 
 
 // ===== Regex library =====
 const phoneRe       = /(?:\+?92|0)3\d{2}[\s-]?\d{7}/g;
 
-const priceRe       = new RegExp(String.raw`(?:(?:demand|price|asking)\s*[:=]?\s*)?(\d{1,3}(?:[\,\.]\d{3})*(?:\.\d+)?|\d{1,4}(?:\.\d{1,2})?)\s*(cr|crore|cr\.|lac|lakh|lacs|k|m|million)?`,"gi");
+const priceRe       = new RegExp(String.raw`(?:(?:demand|price|asking)\s*[:=]?\s*)?(\d{1,3}(?:[\,\.]\d{3})*(?:\.\d+)?|\d{1,4}(?:\.\d{1,2})?)\s*(?:(cr|crore|cr\.|lac|lakh|lacs|k|m|million|thousand)(?![a-z]))?`,"gi");
 const sizeWordRe    = /\(?\s*(\d{1,3}(?:\.\d{1,2})?)\s*\)?\s*(kanal|marla|sq\.?\s?ft|sq\.?\s?yds?|sq\.?\s?yard(?:s)?|gaz|yard|yds?|feet)\b/i;
-const sizeShortRe   = /\b(\d{1,2})\s*([mk])\b/i;
+const sizeShortRe   = /(?<![\d.])\b(\d{1,2})\s*([mk])\b/i;   // not the tail of "1.5m"
 const dimensionRe   = /(\d{2,3})\s*([x×*\/])\s*(\d{2,3})/i;
 
 const plotWordRe    = /plot(?:\s*#|(?:\s*no\.?)?|num)?\s*([\d]{1,6}[A-Z]?)/i;
@@ -194,8 +220,150 @@ const flags = [
   {re:/\bnear\s+commercial|\bnear\s+markaz|\bback\s+open\b/i, label:"Near commercial/markaz/back open"}, {re:/\b2nd\s+to\s+corner\b/i, label:"2nd to corner"}, {re:/\b2nd\s+to\s+mdr\b/i, label:"2nd to MDR"}
 ];
 
+// What dealers *call* these plots; the real area is w*h (see areaInSqFt)
 const DIM_TO_MARLA: Record<string, number> = {"25x50":5,"30x60":7,"35x70":10,"50x90":20,"100x90":40};
 
+// ===== Area =====
+// A marla is 225 sq ft in most private societies, 250 or 272.25 in others.
+export const DEFAULT_SQFT_PER_MARLA = 225;
+
+// Size -> sq ft. `unit` may be a dimension ("30*17"), as parseSize leaves unknown ones.
+// `dims` (e.g. "25x50") wins over a conventional marla count when given.
+export function areaInSqFt(value: number | string | null | undefined, unit: string | null | undefined, sqftPerMarla = DEFAULT_SQFT_PER_MARLA, dims = ""): number | null{
+  const d = String(dims || unit || "").match(/^\s*(\d{2,3})\s*[x×*\/]\s*(\d{2,3})\s*$/i);
+  if (d) return parseInt(d[1], 10) * parseInt(d[2], 10);
+  const v = Number(value);
+  if (value === null || value === undefined || value === "" || !Number.isFinite(v) || v <= 0) return null;
+  const u = String(unit || "marla").toLowerCase().replace(/[^a-z]/g, "");
+  const spm = sqftPerMarla > 0 ? sqftPerMarla : DEFAULT_SQFT_PER_MARLA;
+  let sqft: number | null = null;
+  if (u === "marla") sqft = v * spm;
+  else if (u === "kanal") sqft = v * 20 * spm;
+  else if (u === "sqft" || u === "feet") sqft = v;
+  else if (u === "sqyd" || u === "sqyard" || u === "yard" || u === "yds" || u === "gaz") sqft = v * 9;
+  return sqft === null ? null : Math.round(sqft * 100) / 100;
+}
+
+// ===== Urdu / Roman-Urdu normalization =====
+// Rewrites Urdu script, Urdu/Eastern-Arabic digits and Roman-Urdu spellings into the
+// English vocabulary the regexes above understand ("دو کروڑ" -> "2 crore", "5 مرلہ" -> "5 marla",
+// "karor" -> "crore"). starts[i]/ends[i] give the original span behind normalized char i, so
+// spans found on the normalized text can be reported against what the user actually typed.
+interface Normalized { text: string; starts: number[]; ends: number[] }
+
+const UR = "\\u0600-\\u06FF";                       // Arabic block (Urdu letters + digits)
+const urWord = (alts: string)=> new RegExp(`(?<![${UR}])(?:${alts})(?![${UR}])`, "g");
+const romanWord = (alts: string)=> new RegExp(`\\b(?:${alts})\\b`, "gi");
+
+// [pattern, English term]. Padded with spaces because Urdu units are often glued to digits ("5مرلہ").
+const URDU_TERMS: Array<[RegExp, string]> = [
+  [urWord("کروڑ|کروڈ|کرور"), " crore "],
+  [urWord("لاکھ|لاکه|لکھ"), " lac "],
+  [urWord("ہزار|هزار"), " thousand "],
+  [urWord("مرلہ|مرلے|مرلا|مرله|مرلوں"), " marla "],
+  [urWord("کنال|کنالیں|کنالے"), " kanal "],
+  [urWord("پلاٹ|پلاٹس"), " plot "],
+  [urWord("نمبر"), " no "],
+  [urWord("بلاک"), " block "],
+  [urWord("فیز"), " phase "],
+  [urWord("سیکٹر"), " sector "],
+  [urWord("سیریز"), " series "],
+  [urWord("گلی|اسٹریٹ|سٹریٹ"), " street "],
+  [urWord("ڈیمانڈ|ڈمانڈ"), " demand "],
+  [urWord("قیمت"), " price "],
+  [urWord("کارنر"), " corner "],
+  [urWord("پارک\\s*فیسنگ|پارک\\s*فیس|پارک\\s*کے\\s*سامنے"), " park facing "],
+  [urWord("قبضہ|قبضه|پوزیشن|پوزیشن"), " possession "],
+  [urWord("بلیوارڈ"), " boulevard "],
+  [urWord("رابطہ|رابطے|رابطه"), " contact "],
+  [urWord("گز"), " gaz "],
+  [urWord("فٹ"), " feet "],
+  [romanWord("karor|karorr|karore|krore|kror|crorr"), "crore"],
+  [romanWord("laakh|lakhh|lakhs"), "lac"],
+  [romanWord("hazar|hazaar|hzar"), "thousand"],
+  [romanWord("marlay|marle|marlah|mrla"), "marla"],
+  [romanWord("kanaal|knal"), "kanal"],
+  [romanWord("nambar|number"), "no"],
+  [romanWord("qeemat|qimat|keemat|kimat"), "price"],
+  [romanWord("qabza|qabzah|qabzaa"), "possession"]
+];
+
+// Number words, only rewritten right before a unit ("dhai crore", "پانچ مرلہ") because
+// Roman ones ("do", "char", "das") are ordinary English words elsewhere.
+const NUMBER_WORDS: Record<string, number> = {
+  "ایک":1, "دو":2, "تین":3, "چار":4, "پانچ":5, "چھ":6, "چھے":6, "سات":7, "آٹھ":8, "نو":9, "دس":10,
+  "گیارہ":11, "بارہ":12, "پندرہ":15, "بیس":20, "پچیس":25, "تیس":30, "چالیس":40, "پچاس":50,
+  "ساٹھ":60, "ستر":70, "اسی":80, "نوے":90, "سو":100, "آدھا":0.5, "ڈیڑھ":1.5, "ڈھائی":2.5,
+  ek:1, do:2, teen:3, char:4, chaar:4, panch:5, paanch:5, chay:6, chhe:6, saat:7, sat:7, aath:8, ath:8,
+  das:10, dus:10, pandra:15, bees:20, pachees:25, tees:30, chalees:40, pachas:50, sau:100,
+  adha:0.5, aadha:0.5, derh:1.5, dairh:1.5, deedh:1.5, dhai:2.5, dhaai:2.5, arhai:2.5, dhaee:2.5
+};
+// "ساڑھے تین" = 3.5, "sawa do" = 2.25, "pone teen" = 2.75
+const NUMBER_MODIFIERS: Record<string, number> = {
+  "ساڑھے":0.5, "سوا":0.25, "پونے":-0.25, sarhe:0.5, saarhe:0.5, sadhe:0.5, saade:0.5, sawa:0.25, pone:-0.25, paune:-0.25
+};
+const alts = (o: Record<string, number>)=> Object.keys(o).sort((a,b)=> b.length - a.length).map(escRe).join("|");
+const numberPhraseRe = new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:(${alts(NUMBER_MODIFIERS)})\\s*)?(${alts(NUMBER_WORDS)}|\\d+(?:\\.\\d+)?)(?=\\s*(?:crore|lac|lakh|thousand|marla|kanal)\\b)`,
+  "giu"
+);
+
+function replaceMapped(n: Normalized, re: RegExp, fn: (m: RegExpMatchArray)=> string): Normalized{
+  let text = "", last = 0;
+  const starts: number[] = [], ends: number[] = [];
+  const keep = (from: number, to: number)=>{
+    text += n.text.slice(from, to);
+    for (let k = from; k < to; k++){ starts.push(n.starts[k]); ends.push(n.ends[k]); }
+  };
+  for (const m of n.text.matchAll(re)){
+    const i = m.index!, j = i + m[0].length;
+    keep(last, i);
+    const rep = fn(m);
+    text += rep;
+    // every replacement char stands for the whole replaced token
+    for (let k = 0; k < rep.length; k++){ starts.push(n.starts[i]); ends.push(n.ends[j - 1]); }
+    last = j;
+  }
+  keep(last, n.text.length);
+  return { text, starts, ends };
+}
+
+// Normalized [start, end) -> original [start, end)
+function originalSpan(n: Normalized, start: number, end: number){
+  if (end <= start) { const at = start < n.starts.length ? n.starts[start] : (n.ends[n.ends.length - 1] ?? 0); return { start: at, end: at }; }
+  return { start: n.starts[start], end: n.ends[end - 1] };
+}
+
+function normalizeMessage(src: string): Normalized{
+  const s = String(src || "");
+  // 1:1 character swaps first: digits and Arabic punctuation
+  let text = "";
+  for (const ch of s){
+    const c = ch.charCodeAt(0);
+    if (c >= 0x06F0 && c <= 0x06F9) text += String(c - 0x06F0);        // Urdu/Persian digits
+    else if (c >= 0x0660 && c <= 0x0669) text += String(c - 0x0660);   // Arabic-Indic digits
+    else if (ch === "٫") text += ".";
+    else if (ch === "٬" || ch === "،") text += ",";
+    else if (ch === "۔") text += ".";
+    else text += ch;
+  }
+  // still 1:1 with the source (same UTF-16 length), so the maps start as identity
+  let n: Normalized = { text, starts: [], ends: [] };
+  for (let i = 0; i < text.length; i++){ n.starts.push(i); n.ends.push(i + 1); }
+  if (!/[\u0600-\u06FF]|[a-z]{2,}/i.test(text)) return n;  // digits/punctuation only
+  for (const [re, term] of URDU_TERMS) n = replaceMapped(n, re, ()=> term);
+  n = replaceMapped(n, numberPhraseRe, (m)=>{
+    const word = m[2].toLowerCase();
+    const base = NUMBER_WORDS[word] ?? NUMBER_WORDS[m[2]] ?? parseFloat(m[2]);
+    if (!m[1] && /^\d/.test(m[2])) return m[0];
+    const mod = m[1] ? (NUMBER_MODIFIERS[m[1].toLowerCase()] ?? NUMBER_MODIFIERS[m[1]] ?? 0) : 0;
+    return String(base + mod);
+  });
+  // the padding above leaves runs of spaces; "demand  2  crore" -> "demand 2 crore"
+  n = replaceMapped(n, / {2,}/g, ()=> " ");
+  return n;
+}
+
 
 
 // --- Bare plot fallback: first 2–4 digits with optional suffix letter (A–Z),
@@ -220,7 +388,7 @@ function extractBarePlotNumber(text: string){
     exclusions.push([m.index!, m.index! + m[0].length]);
   }
   // price spans (numbers with units/cues)
-  for (const m of text.matchAll(/(?:(?:demand|price|asking)\s*[:=]?\s*)?(\d{1,3}(?:[\,\.]\d{3})*(?:\.\d+)?|\d{1,4}(?:\.\d{1,2})?)\s*(cr|crore|cr\.|lac|lakh|lacs|k|m|million)?/gi)){
+  for (const m of text.matchAll(/(?:(?:demand|price|asking)\s*[:=]?\s*)?(\d{1,3}(?:[\,\.]\d{3})*(?:\.\d+)?|\d{1,4}(?:\.\d{1,2})?)\s*(?:(cr|crore|cr\.|lac|lakh|lacs|k|m|million|thousand)(?![a-z]))?/gi)){
     exclusions.push([m.index!, m.index! + m[0].length]);
   }
   // streets
@@ -236,24 +404,29 @@ function extractBarePlotNumber(text: string){
     const near = text.slice(Math.max(0,i-10), i+10).toLowerCase();
     if (inside(i)) continue;
     if (/\b(marla|kanal|sq|yard|yds?|feet|ft|street|st|series)\b/.test(near)) continue;
-    return m[1].toUpperCase();
+    return { value: m[1].toUpperCase(), hit: hitOf(m, "bare number fallback", 0.35, 1) };
   }
-  return '';
+  return { value: '', hit: null };
 }
 
 // ===== Price / Size / Block =====
-function parsePrice(text: string){
+// `claimed` is a span another field already owns (the size: "5m" is 5 marla, not 5 million).
+function parsePrice(text: string, claimed: Hit | null = null){
   const t = text;
   const matches = [...t.matchAll(priceRe)];
-  if (!matches.length) return { amount: "", text: "" };
+  if (!matches.length) return { amount: "", text: "", hit: null };
 
-  // Treat numbers inside/near plot contexts as NOT price:
+  // Treat numbers that ARE a plot number (or a piece of a longer number) as NOT price:
   // - "Plot # 2783", "Plot no 2783", "# 2783", "200 series/sereis"
-  const inPlotContext = (idx: number) => {
-    const window = t.slice(Math.max(0, idx - 12), idx + 12).toLowerCase();
-    if (/(?:^|\s)#\s*\d{1,6}[a-z]?\b/.test(window)) return true;
-    if (/plot(?:\s*#|(?:\s*no\.?)?|num)?\s*\d{1,6}[a-z]?\b/.test(window)) return true;
-    if (/\b\d{2,5}\s*-?\s*(?:series|sereis)\b/.test(window)) return true;
+  // - fragments of phones / long ids ("0300|1234567")
+  // Only the candidate's own number is checked, so "#12 demand 95 lac" still prices 95 lac.
+  const inPlotContext = (numIdx: number, numLen: number) => {
+    const before = t.slice(Math.max(0, numIdx - 12), numIdx).toLowerCase();
+    const after = t.slice(numIdx + numLen, numIdx + numLen + 10).toLowerCase();
+    if (/\d$/.test(before) || /^\d/.test(after)) return true;
+    if (/(?:^|\s)#\s*$/.test(before)) return true;
+    if (/plot(?:\s*#|(?:\s*no\.?)?|num)?\s*$/.test(before)) return true;
+    if (/^[a-z]?\s*-?\s*(?:series|sereis)\b/.test(after)) return true;
     return false;
   };
 
@@ -261,7 +434,7 @@ function parsePrice(text: string){
   const cuesRe = /\b(demand|asking|final|only)\b/i;
 
 
-  const cands: { pkr: number; raw: string; score: number }[] = [];
+  const cands: { pkr: number; raw: string; score: number; hit: Hit }[] = [];
 
   for (const m of matches) {
     const raw = m[0];
@@ -269,21 +442,27 @@ function parsePrice(text: string){
     const unit = (m[2] || "").toLowerCase();
     const idx = m.index ?? t.indexOf(raw);
     if (!numStr) continue;
-    if (inPlotContext(idx)) continue;
+    if (inPlotContext(idx + raw.indexOf(numStr), numStr.length)) continue;
+    const priceWord = /\b(demand|price|asking)\b/i.test(raw);
+    if (claimed && !priceWord && idx < claimed.end && idx + raw.trimEnd().length > claimed.start) continue;
+    // a bare "m" is the marla shorthand unless a price word says otherwise ("demand 5m")
+    if (unit === "m" && !/\b(demand|price|asking)\b/i.test(t.slice(Math.max(0, idx - 20), idx) + raw)) continue;
 
     const num = parseFloat(numStr.replace(/,/g, ""));
     let pkr: number | undefined;
+    let reason = "amount with unit", confidence = 0.8;
 
     // Units → direct conversion
     if (unit === "cr" || unit === "cr." || unit === "crore") pkr = num * 10_000_000;
     else if (unit === "lac" || unit === "lakh" || unit === "lacs") pkr = num * 100_000;
-    else if (unit === "k") pkr = num * 1_000;
+    else if (unit === "k" || unit === "thousand") pkr = num * 1_000;
     else if (unit === "m" || unit === "million") pkr = num * 1_000_000;
     else {
       // No explicit unit: only accept if a cue word is nearby and value looks like "lacs"
       const around = t.slice(Math.max(0, idx - 20), idx + 20).toLowerCase();
       const hasCue = cuesRe.test(around);
       if (hasCue && num >= 20 && num <= 500) pkr = num * 100_000;
+      reason = "cue word, assumed lac"; confidence = 0.5;
     }
 
     // No unit and no cues → skip (prevents phantom 5,000,000)
@@ -295,35 +474,36 @@ function parsePrice(text: string){
     if (/\bdemand\b/i.test(t)) score += Math.max(0, 2 - Math.abs(idx - t.toLowerCase().indexOf("demand")) / 50);
     if (/\bprice\b/i.test(t)) score += 1;
 
-    cands.push({ pkr: Math.round(pkr), raw, score });
+    if (unit && /\b(demand|price|asking)\b/i.test(raw)) { reason = "amount with unit after demand cue"; confidence = 0.95; }
+    cands.push({ pkr: Math.round(pkr), raw, score, hit: { start: idx, end: idx + raw.trimEnd().length, reason, confidence } });
   }
 
-  if (!cands.length) return { amount: "", text: "" };
+  if (!cands.length) return { amount: "", text: "", hit: null };
   cands.sort((a, b) => b.score - a.score || b.pkr - a.pkr);
-  return { amount: cands[0].pkr, text: cands[0].raw };
+  return { amount: cands[0].pkr, text: cands[0].raw, hit: cands[0].hit };
 }
 
 
 function parseSize(text: string){
   // short forms first: 5M => 5 Marla, 1K => 1 Kanal
-const sShort = text.match(/\b(\d{1,2})\s*([mk])\b/i);
+const sShort = text.match(sizeShortRe);
 if (sShort){
   const n = parseFloat(sShort[1]);
   const u = sShort[2].toLowerCase();
-  return { val: n, unit: (u === 'k' ? 'Kanal' : 'Marla'), dim: '' };
+  return { val: n, unit: (u === 'k' ? 'Kanal' : 'Marla'), dim: '', hit: hitOf(sShort, "short size form", 0.75) };
 }
 
   const s1 = text.match(sizeShortRe);
   if (s1){
     const n = parseFloat(s1[1]); const u = s1[2].toLowerCase();
-    return {val: n, unit: (u==="k"?"Kanal":"Marla"), dim:""};
+    return {val: n, unit: (u==="k"?"Kanal":"Marla"), dim:"", hit: hitOf(s1, "short size form", 0.75)};
   }
   
 const d = text.match(dimensionRe);
 if (d){
   const w = parseInt(d[1],10), h = parseInt(d[3],10), dimExact = d[0].replace(/\s+/g,''), dimKey = `${w}x${h}`.toLowerCase();
-  if (DIM_TO_MARLA[dimKey] !== undefined) return { val: DIM_TO_MARLA[dimKey], unit: 'Marla', dim: dimExact };
-  return { val: '', unit: dimExact, dim: dimExact };
+  if (DIM_TO_MARLA[dimKey] !== undefined) return { val: DIM_TO_MARLA[dimKey], unit: 'Marla', dim: dimExact, hit: hitOf(d, "known dimensions", 0.8) };
+  return { val: '', unit: dimExact, dim: dimExact, hit: hitOf(d, "unknown dimensions", 0.5) };
 }
 
 
@@ -337,10 +517,68 @@ if (s2){
   sqyd: "SqYd", sqyard: "SqYd", yard: "SqYd", yds: "SqYd", gaz: "SqYd", feet: "SqFt"
 };
 
-  return { val, unit: unitMap[raw] || (s2[2] || '').trim(), dim: '' };
+  return { val, unit: unitMap[raw] || (s2[2] || '').trim(), dim: '', hit: hitOf(s2, "number + size unit", 0.9) };
 }
 
-  return {val:"", unit:"", dim:""};
+  return {val:"", unit:"", dim:"", hit: null};
+}
+
+// ===== Contact name =====
+// "Contact: Ali Khan", "Name: Bilal", "Regards, Bilal", or the words right next to the phone
+// ("Ali Khan 0300-1234567", "0300-1234567 Ahmed"). Words that are listing vocabulary, and the
+// society (`exclude`), are never a name: "Need plot in FH, call number 0300…" has none.
+const contactStopRe = /^(?:demand|price|plot|block|phase|marla|kanal|corner|call|contact|person|cell|mob|mobile|whatsapp|wa|no|num|number|ph|phone|for|details|detail|info|only|sir|dealer|me|us|at|on|now|and|or|the|pm|dm|in|of|need|needed|want|wanted|required|available|sale|rent|urgent|sb|sahib|saab)$/i;
+function parseContactName(text: string, exclude: Hit | null = null){
+  const clean = (s: string)=> s.split(/\s+/)
+    .map(w=> w.replace(/[.'’]+$/,""))
+    .filter(w=> /^[A-Za-z][A-Za-z.'’]+$/.test(w) && !contactStopRe.test(w))
+    .slice(0,3)
+    .map(w=> w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+  const phoneAny = new RegExp(phoneRe.source, "g");
+  let pos = 0;
+  for (const line of String(text||"").split("\n")){
+    const at = pos;
+    pos += line.length + 1;
+    const cue = line.match(/\b(?:name|contact(?:\s*person)?|regards|whats\s*app|call)\b[\s:,\-]*([A-Za-z][A-Za-z.'’ ]{1,40})/i);
+    if (cue){
+      const n = clean(cue[1]);
+      if (n){ const h = hitOf(cue, "name after contact cue", 0.7, 1); return { name: n, hit: { ...h, start: h.start + at, end: h.end + at } }; }
+    }
+    const phone = new RegExp(phoneRe.source).exec(line);
+    if (phone){
+      if (/\d/.test(line.replace(phoneAny, " "))) continue; // listing line that happens to carry a number
+      // name words touching the number, up to 3, stopping at punctuation or a non-name word
+      const isName = (w: string, i: number)=> /^[A-Za-z][A-Za-z.'’]+$/.test(w.replace(/[,;:\-–]+$/,""))
+        && !contactStopRe.test(w.replace(/[.'’,;:\-–]+$/,""))
+        && !(exclude && at + i < exclude.end && at + i + w.length > exclude.start);
+      const before = [...line.slice(0, phone.index).matchAll(/\S+/g)].reverse();
+      const after = [...line.slice(phone.index + phone[0].length).matchAll(/\S+/g)];
+      const offset = phone.index + phone[0].length;
+      const pick = (tokens: RegExpMatchArray[], base: number, leading: boolean)=>{
+        const out: { w: string; i: number }[] = [];
+        for (const t of tokens){
+          const i = base + t.index!;
+          if (out.length === 3 || !isName(t[0], i)) break;
+          // "FH, Ali 0300…": a comma closes the name on the side away from the number
+          if (out.length && /[,;:]$/.test(leading ? out[out.length - 1].w : t[0])) break;
+          out.push({ w: t[0], i });
+        }
+        return leading ? out : out.reverse();
+      };
+      let words = pick(before, 0, false);
+      if (!words.length) words = pick(after, offset, true);
+      if (words.length){
+        const n = words.map(x=> x.w.replace(/[.'’,;:\-–]+$/,"")).map(w=> w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
+        // the span covers the name and the number ("Ali Khan 0300-1234567")
+        const start = at + Math.min(words[0].i, phone.index!);
+        const last = words[words.length - 1];
+        const end = at + Math.max(last.i + last.w.length, phone.index! + phone[0].length);
+        return { name: n, hit: { start, end, reason: "name beside phone", confidence: 0.5 } as Hit };
+      }
+    }
+  }
+  return { name: "", hit: null };
 }
 
 // --- smarter block/phase detector ---
@@ -353,6 +591,11 @@ function parsePhaseBlock(text: string, style: BlockOutputStyle){
   const cap = (s: string) => s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
   const isSingleLetter = (s: string) => /^[a-z]$/i.test(s);
   const isAlphaNum = (s: string) => /^[a-z0-9-]+$/i.test(s);
+  // t is padded with one space, so hits shift back by one
+  const found = (value: string, m: RegExpMatchArray, reason: string, confidence: number) => {
+    const h = hitOf(m, reason, confidence);
+    return { value, hit: { ...h, start: h.start - 1, end: h.end - 1 } };
+  };
 
   // Roman → Arabic (basic) I, II, III, IV, V, VI, VII, VIII, IX, X
   const romanToArabic = (r: string): number | null => {
@@ -372,9 +615,9 @@ function parsePhaseBlock(text: string, style: BlockOutputStyle){
 let m = t.match(/\b(?:block|blk)\s*(?!size\b)(?!\d{2,3}\s*[x×*\/]\s*\d{2,3}\b)([a-z0-9-]+)\b/i);
  if (m){
    const token = m[1].trim();
-    if (isSingleLetter(token)) return `Block ${token.toUpperCase()}`;
-    if (/^(executive|overseas|safari|hills|extension|ext)$/i.test(token)) return cap(token);
-    if (isAlphaNum(token)) return `${cap(token)} Block`;
+    if (isSingleLetter(token)) return found(`Block ${token.toUpperCase()}`, m, "block-after-word", 0.85);
+    if (/^(executive|overseas|safari|hills|extension|ext)$/i.test(token)) return found(cap(token), m, "block-after-word", 0.85);
+    if (isAlphaNum(token)) return found(`${cap(token)} Block`, m, "block-after-word", 0.75);
   }
 
   // 2) Also support token to the LEFT of "block"
@@ -382,9 +625,9 @@ let m = t.match(/\b(?:block|blk)\s*(?!size\b)(?!\d{2,3}\s*[x×*\/]\s*\d{2,3}\b)(
   m = t.match(/\b(?!size\b)([a-z0-9-]+)\s*(?:block|blk)\b/i);
  if (m){
    const token = m[1].trim();
-    if (isSingleLetter(token)) return `Block ${token.toUpperCase()}`;
-    if (/^(executive|overseas|safari|hills|extension|ext)$/i.test(token)) return cap(token);
-    if (isAlphaNum(token)) return `${cap(token)} Block`;
+    if (isSingleLetter(token)) return found(`Block ${token.toUpperCase()}`, m, "block-before-word", 0.75);
+    if (/^(executive|overseas|safari|hills|extension|ext)$/i.test(token)) return found(cap(token), m, "block-before-word", 0.75);
+    if (isAlphaNum(token)) return found(`${cap(token)} Block`, m, "block-before-word", 0.6);
   }
 
   // 3) Phases: "Phase 7", "Phase-7", "Phase VII", "7 Phase"
@@ -392,11 +635,11 @@ let m = t.match(/\b(?:block|blk)\s*(?!size\b)(?!\d{2,3}\s*[x×*\/]\s*\d{2,3}\b)(
   if (m){
     const raw = m[1].trim();
     const num = /^[0-9]+$/.test(raw) ? Number(raw) : (romanToArabic(raw) || raw);
-    return `Phase ${String(num).toUpperCase()}`;
+    return found(`Phase ${String(num).toUpperCase()}`, m, "phase number", 0.9);
   }
 
   // Nothing found
-  return "";
+  return { value: "", hit: null };
 }
 
 
@@ -407,48 +650,76 @@ function parseSocietyBlockPlot(text: string, style: BlockOutputStyle, dictCSV: s
   let society = dictHit.society || "";
   let phase_block = "";
   let plotNo = "";
+  const hits: { society: Hit | null; phase_block: Hit | null; plot_no: Hit | null } = { society: dictHit.hit, phase_block: null, plot_no: null };
 
-  if (dictHit.block) phase_block = labelBlock(dictHit.block, style);
+  if (dictHit.block){ phase_block = labelBlock(dictHit.block, style); hits.phase_block = dictHit.hit; }
 
   if(!society){
     const hit = matchAliases(t, aliasesJSON);
     society = hit.society || "";
-    if(!phase_block) phase_block = hit.phase_block || "";
+    hits.society = hit.hit;
+    if(!phase_block && hit.phase_block){ phase_block = hit.phase_block; hits.phase_block = hit.hit; }
   }
   if(!phase_block){
-    phase_block = parsePhaseBlock(t, style);
+    const pb = parsePhaseBlock(t, style);
+    phase_block = pb.value;
+    hits.phase_block = pb.hit;
   }
 
   let mSeries = t.match(plotSeriesRe);
   if (mSeries){
     plotNo = `${mSeries[1]} series`.replace(/X/g,"x");
+    hits.plot_no = hitOf(mSeries, "plot series", 0.8);
   } else {
     let mPlot = t.match(plotWordRe);
     if (mPlot) {
       plotNo = mPlot[1];
+      hits.plot_no = hitOf(mPlot, "number after plot word", 0.9);
     } else {
       const mHash = t.match(plotHashRe);
-      if (mHash) plotNo = mHash[1];
+      if (mHash){ plotNo = mHash[1]; hits.plot_no = hitOf(mHash, "number after #", 0.85); }
     }
   }
   if (!plotNo){
     const bare = extractBarePlotNumber(t);
-    if (bare) plotNo = bare;
+    if (bare.value){ plotNo = bare.value; hits.plot_no = bare.hit; }
   }
   
-  return {society, phase_block, plotNo};
+  return {society, phase_block, plotNo, hits};
+}
+
+// The listing is only as trustworthy as its weakest key field; phone/name/block don't count.
+function overallConfidence(fields: Partial<Record<ParsedField, FieldInfo>>){
+  const key = (["society", "plot_no", "size", "demand"] as ParsedField[]).map(k=> fields[k]).filter(Boolean) as FieldInfo[];
+  return key.length ? Math.min(...key.map(f=> f.confidence)) : 0;
 }
 
 // ===== Public entry point =====
-export function parseMessage(text: string, opts: ParseOptions = {}): ParsedResult{
+export function parseMessage(raw: string, opts: ParseOptions = {}): ParsedResult{
+  const norm = normalizeMessage(raw);
+  const text = norm.text;
   const style = opts.blockOutputStyle || "title";
   const dictCSV = opts.societyDictCSV || DEFAULT_SOC_DICT;
 
-  const { society, phase_block, plotNo } = parseSocietyBlockPlot(text, style, dictCSV, opts.aliasesJSON || null);
+  const { society, phase_block, plotNo, hits } = parseSocietyBlockPlot(text, style, dictCSV, opts.aliasesJSON || null);
 
-  const phones = text.match(phoneRe) || [];
-  const demand = parsePrice(text);
+  const phone = new RegExp(phoneRe.source).exec(text);
   const size = parseSize(text);
+  const demand = parsePrice(text, size.hit);
+  const contact = parseContactName(text, hits.society);
+
+  const fields: Partial<Record<ParsedField, FieldInfo>> = {};
+  const put = (k: ParsedField, value: unknown, h: Hit | null)=>{
+    if (value === "" || !h) return;
+    fields[k] = { confidence: h.confidence, span: originalSpan(norm, h.start, h.end), reason: h.reason };
+  };
+  put("society", society, hits.society);
+  put("phase_block", phase_block, hits.phase_block);
+  put("plot_no", plotNo, hits.plot_no);
+  put("size", size.unit, size.hit);
+  put("demand", demand.amount, demand.hit);
+  put("phone", phone ? phone[0] : "", phone && hitOf(phone, "phone number", 0.95));
+  put("contact_name", contact.name, contact.hit);
 
   const lower = text.toLowerCase();
   const notesBits: string[] = [];
@@ -461,9 +732,11 @@ export function parseMessage(text: string, opts: ParseOptions = {}): ParsedResul
     plot_no: plotNo || "",
     size_val: (size.val as number) ?? "",
     size_unit: size.unit || "",
+    area_sqft: areaInSqFt(size.val, size.unit, (society && opts.marlaSqFt?.[society]) || DEFAULT_SQFT_PER_MARLA, size.dim) ?? "",
     demand_pkr: (demand.amount as number) ?? "",
     demand_text: demand.text || "",
-    phone_e164: phones[0] ? toE164(phones[0]) : "",
+    phone_e164: phone ? toE164(phone[0]) : "",
+    contact_name: contact.name,
     notes: Array.from(new Set(notesBits)).join(", "),
     flags: {
             corner: /\bcorner\b/i.test(lower),
@@ -471,7 +744,215 @@ export function parseMessage(text: string, opts: ParseOptions = {}): ParsedResul
             possession: /\bpossession\b/i.test(lower)
     },
     dimensions: size.dim || "",
+    fields,
+    confidence: overallConfidence(fields),
     parserVersion: 'expo-mobile-shared'
   } as any;
 }
 
+
+// ===== Multi-listing messages =====
+// Inventory posts: "Bahria Phase 7\n1) 5 marla Block F #123 95 lac\n2) 10 marla Block C #45 1.9 cr\nAli 0300-1234567"
+// Each item is parsed on its own; society/block, phone and contact name missing from an
+// item are carried over from the shared context (text before the first item + trailing
+// contact lines after the last one).
+export interface ParsedItem extends ParsedResult {
+  span: { start: number; end: number };   // offsets of the item in the original text
+  text: string;
+}
+
+// "1)" "(2)" "3." (dot needs a following space, so "1.9 cr" is not a marker) and keycap emoji "4️⃣"
+const itemNumberRe = /(^|[\s,;|])(?:\(?(\d{1,2})\)|(\d{1,2})\.(?=\s)|(\d)\uFE0F?\u20E3)/g;
+const itemBulletRe = /^\s*(?:[-–•*▪▫◦●○►▶✅✔☑]\uFE0F?|🔸|🔹|🔶|🔷|📍|👉|\u27A1\uFE0F?)\s*/u;
+
+function looksLikeItem(line: string){
+  const hasSize = sizeWordRe.test(line) || sizeShortRe.test(line) || dimensionRe.test(line);
+  const hasPrice = parsePrice(line).amount !== "";
+  const hasPlot = plotWordRe.test(line) || plotHashRe.test(line);
+  return hasSize && (hasPrice || hasPlot);
+}
+
+// Trailing lines of the last item that carry no size/price/plot (contact, "call now") are context.
+function splitFooter(text: string, start: number, end: number){
+  let cut = end;
+  const body = text.slice(start, end);
+  const lines = body.split("\n");
+  for (let i = lines.length - 1; i > 0; i--){
+    const line = lines[i];
+    if (line.trim() && (sizeWordRe.test(line) || sizeShortRe.test(line) || parsePrice(line).amount !== "" || plotHashRe.test(line))) break;
+    cut -= line.length + 1;
+  }
+  // Same-line sign-off: "... 1.9 cr. Contact: Bilal 0311…"
+  const cue = /[\s,.;]\s*(?:contact(?:\s*person)?|call|regards|whats\s*app)\b/i.exec(text.slice(start, cut));
+  if (cue && cue.index > 0 && !sizeWordRe.test(text.slice(start + cue.index, cut))) cut = start + cue.index + 1;
+  return cut;
+}
+
+function segmentItems(text: string): Array<{ start: number; end: number }>{
+  // 1) numbered items, accepted only as a 1,2,3… chain
+  const starts: number[] = [];
+  let expect = 1;
+  for (const m of text.matchAll(itemNumberRe)){
+    const n = parseInt(m[2] || m[3] || m[4], 10);
+    if (n === expect){ starts.push(m.index! + m[1].length); expect++; }
+  }
+  if (starts.length < 2){
+    // 2) bullet lines; 3) several lines that each look like a listing
+    starts.length = 0;
+    let pos = 0;
+    const lines = text.split("\n");
+    const bullets: number[] = [], itemLines: number[] = [];
+    for (const line of lines){
+      if (itemBulletRe.test(line) && line.replace(itemBulletRe, "").trim()) bullets.push(pos);
+      if (looksLikeItem(line)) itemLines.push(pos);
+      pos += line.length + 1;
+    }
+    if (bullets.length >= 2) starts.push(...bullets);
+    else if (itemLines.length >= 2){
+      // one line per item, no continuation lines
+      return itemLines.map(st=> ({ start: st, end: st + text.slice(st).split("\n")[0].length }));
+    }
+  }
+  if (starts.length < 2) return [];
+  const out = starts.map((st, i)=> ({ start: st, end: i + 1 < starts.length ? starts[i + 1] : text.length }));
+  const last = out[out.length - 1];
+  last.end = splitFooter(text, last.start, last.end);
+  for (const it of out){ while (it.end > it.start && /\s/.test(text[it.end - 1])) it.end--; }
+  return out;
+}
+
+export function parseMessageMulti(text: string, opts: ParseOptions = {}): ParsedItem[]{
+  const src = String(text || "");
+  const norm = normalizeMessage(src);
+  const segs = segmentItems(norm.text).map(({ start, end })=> originalSpan(norm, start, end));
+  if (!segs.length){
+    return [{ ...parseMessage(src, opts), span: { start: 0, end: src.length }, text: src }];
+  }
+
+  const head = segs[0].start, tail = segs[segs.length - 1].end;
+  const context = src.slice(0, head) + "\n" + src.slice(tail);
+  const ctx = parseMessage(context, opts);
+  // context offsets -> source offsets (the joining "\n" sits at index `head`)
+  const fromContext = (f: FieldInfo | undefined): FieldInfo | undefined => f && {
+    confidence: Math.round(f.confidence * 0.9 * 100) / 100,
+    span: f.span && {
+      start: f.span.start < head ? f.span.start : f.span.start - head - 1 + tail,
+      end: f.span.end <= head ? f.span.end : f.span.end - head - 1 + tail
+    },
+    reason: `shared context: ${f.reason}`
+  };
+
+  return segs.map(({ start, end })=>{
+    const itemText = src.slice(start, end);
+    const r = parseMessage(itemText, opts);
+    const fields: ParsedResult["fields"] = {};
+    for (const [k, f] of Object.entries(r.fields) as Array<[ParsedField, FieldInfo]>){
+      fields[k] = { ...f, span: f.span && { start: f.span.start + start, end: f.span.end + start } };
+    }
+    const inherit = (k: ParsedField)=>{ const f = fromContext(ctx.fields[k]); if (f) fields[k] = f; };
+    if (!r.society){
+      r.society = ctx.society; inherit("society");
+      // the marla depends on the society
+      if (r.society) r.area_sqft = areaInSqFt(r.size_val, r.size_unit, opts.marlaSqFt?.[r.society] || DEFAULT_SQFT_PER_MARLA, r.dimensions) ?? "";
+      // a block in the header belongs to the header's society
+      if (!r.phase_block){ r.phase_block = ctx.phase_block; inherit("phase_block"); }
+    } else if (!r.phase_block && r.society === ctx.society){
+      r.phase_block = ctx.phase_block; inherit("phase_block");
+    }
+    if (!r.phone_e164){ r.phone_e164 = ctx.phone_e164; inherit("phone"); }
+    if (!r.contact_name){ r.contact_name = ctx.contact_name; inherit("contact_name"); }
+    return { ...r, fields, confidence: overallConfidence(fields), span: { start, end }, text: itemText };
+  });
+}
+
+
+// ===== WhatsApp chat exports =====
+// Splits a "Export chat" .txt (Android or iOS) or a raw paste into single messages.
+// System lines ("Messages are end-to-end encrypted", "X added Y") and media-only
+// messages are dropped. Continuation lines are folded into the previous message.
+export interface ChatMessage {
+  sent_at: string;          // "YYYY-MM-DDTHH:MM:SS" (export has no timezone) or "" for raw pastes
+  sender: string;           // contact name / number as shown in the export, "" for raw pastes
+  text: string;
+  start: number;            // offsets of the whole message in the original text
+  end: number;
+}
+
+// Android: "12/31/23, 9:15 PM - Ali: text"    iOS: "[31/12/2023, 21:15:30] Ali: text"
+const chatHeaderRe = /^\[?(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2,4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?\s?m\.?)?(?:\]\s*|\s+[-–]\s+)/i;
+const chatSenderRe = /^([^:\n]{1,80}?):\s?([\s\S]*)$/;
+const chatMediaRe  = /^(?:<media omitted>|<attached:[^>]*>|(?:image|video|audio|sticker|gif|document) omitted|this message was deleted|you deleted this message|null)$/i;
+
+function cleanChatLine(line: string){
+  // exports sprinkle LTR/RTL marks around names and use narrow no-break spaces before AM/PM
+  return line.replace(/[\u200e\u200f\u202a-\u202e]/g, "").replace(/[\u202f\u00a0]/g, " ");
+}
+
+function chatTimestamp(m: RegExpMatchArray, dayFirst: boolean){
+  const a = parseInt(m[1],10), b = parseInt(m[2],10);
+  let y = parseInt(m[3],10); if (y < 100) y += 2000;
+  const day = dayFirst ? a : b, month = dayFirst ? b : a;
+  let h = parseInt(m[4],10);
+  const ampm = (m[7] || "").replace(/[\s.]/g,"").toLowerCase();
+  if (ampm === "pm" && h < 12) h += 12;
+  if (ampm === "am" && h === 12) h = 0;
+  const p = (n: number)=> String(n).padStart(2,"0");
+  return `${y}-${p(month)}-${p(day)}T${p(h)}:${m[5]}:${m[6] || "00"}`;
+}
+
+export function splitChatExport(raw: string): ChatMessage[]{
+  const text = String(raw || "");
+  const lines: { line: string; start: number; end: number }[] = [];
+  let pos = 0;
+  for (const line of text.split("\n")){
+    lines.push({ line: cleanChatLine(line.replace(/\r$/, "")), start: pos, end: pos + line.length });
+    pos += line.length + 1;
+  }
+
+  const headers = lines.map(l => l.line.match(chatHeaderRe));
+
+  // No timestamps at all → a plain paste; one message per blank-line separated chunk.
+  if (!headers.some(Boolean)){
+    const out: ChatMessage[] = [];
+    for (const m of text.matchAll(/\S[\s\S]*?(?=\r?\n\s*\r?\n|\s*$)/g)){
+      const body = m[0].trim();
+      if (body) out.push({ sent_at: "", sender: "", text: body, start: m.index!, end: m.index! + m[0].length });
+    }
+    return out;
+  }
+
+  // Exports are either D/M/Y or M/D/Y throughout; decide once from the whole file.
+  let dayFirst = true;
+  for (const h of headers){
+    if (!h) continue;
+    if (parseInt(h[1],10) > 12) { dayFirst = true; break; }
+    if (parseInt(h[2],10) > 12) { dayFirst = false; break; }
+  }
+
+  const out: ChatMessage[] = [];
+  let cur: ChatMessage | null = null;
+  const flush = ()=>{
+    if (!cur) return;
+    cur.text = cur.text.trim();
+    if (cur.text && !chatMediaRe.test(cur.text)) out.push(cur);
+    cur = null;
+  };
+
+  lines.forEach((l, i)=>{
+    const h = headers[i];
+    if (h){
+      flush();
+      const rest = l.line.slice(h[0].length);
+      const sm = rest.match(chatSenderRe);
+      if (!sm) return; // system line (encryption notice, joins, group renames…)
+      cur = { sent_at: chatTimestamp(h, dayFirst), sender: sm[1].trim(), text: sm[2], start: l.start, end: l.end };
+      return;
+    }
+    if (cur){
+      cur.text += "\n" + l.line;
+      cur.end = l.end;
+    }
+  });
+  flush();
+  return out;
+}